@@ -0,0 +1,200 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+// Argument parsing and target naming of mindar-compile, without its canvas and compiler dependencies
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+const SORT_MODES = ['input', 'name', 'mtime'];
+
+// Command line options: name -> {alias, value, description}
+const OPTIONS = {
+  output: { alias: 'o', value: '<file>', description: 'Output .mind file (default: targets.mind)' },
+  sort: { alias: 's', value: '<mode>', description: `Target ordering: ${SORT_MODES.join(' | ')} (default: input)` },
+  metadata: { alias: 'm', value: '<file>', description: 'JSON file with per-target metadata keyed by image file name or path' },
+  'alpha-mask': { description: 'Mask each target with its alpha channel unless the metadata file gives a mask' },
+  compact: { description: 'Write the compact encoding (smaller files, same tracking)' },
+  cache: { alias: 'c', value: '<dir>', description: 'Reuse compiled features of unchanged images from this directory' },
+  workers: { alias: 'w', value: '<n>', description: 'Compile targets in parallel on n worker threads' },
+  summary: { value: '<file>', description: 'Write a JSON summary of the compiled targets' },
+  report: { alias: 'r', value: '<file>', description: 'Write a JSON trackability report of the compiled targets' },
+  heatmaps: { value: '<dir>', description: 'Write a PNG feature heatmap per target' },
+  confusion: { value: '<file>', description: 'Write a JSON report of target pairs the detector may confuse' },
+  quiet: { alias: 'q', description: 'Do not print progress' },
+  help: { alias: 'h', description: 'Show this help' },
+};
+
+const USAGE = `Usage: mindar-compile [options] <image|directory>...
+
+Compiles image files into a .mind target file. Directories are expanded to
+the ${IMAGE_EXTENSIONS.join(', ')} files they contain, sorted by file name.
+
+Options:
+${Object.keys(OPTIONS).map((name) => {
+  const { alias, value, description } = OPTIONS[name];
+  const flag = `${alias ? `-${alias}, ` : '    '}--${name}${value ? ` ${value}` : ''}`;
+  return `  ${flag.padEnd(26)}${description}`;
+}).join('\n')}
+`;
+
+const parseArgs = (argv) => {
+  const options = { output: 'targets.mind', sort: 'input', metadata: null, 'alpha-mask': false, compact: false, cache: null, workers: null, summary: null, report: null, heatmaps: null, confusion: null, quiet: false, help: false };
+  const inputs = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('-')) {
+      inputs.push(arg);
+      continue;
+    }
+
+    const name = arg.startsWith('--')
+      ? arg.slice(2)
+      : Object.keys(OPTIONS).find((key) => OPTIONS[key].alias === arg.slice(1));
+    if (!name || !OPTIONS[name]) {
+      throw new Error(`Unknown option '${arg}'`);
+    }
+
+    if (OPTIONS[name].value) {
+      if (i + 1 >= argv.length) {
+        throw new Error(`Option '${arg}' requires a value`);
+      }
+      options[name] = argv[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+
+  if (options.workers !== null) {
+    const workers = Number(options.workers);
+    if (!Number.isInteger(workers) || workers < 1) {
+      throw new Error(`Invalid worker count '${options.workers}'. Expected a positive integer`);
+    }
+    options.workers = workers;
+  }
+
+  if (!SORT_MODES.includes(options.sort)) {
+    throw new Error(`Invalid sort mode '${options.sort}'. Expected one of: ${SORT_MODES.join(', ')}`);
+  }
+  return { options, inputs };
+};
+
+// Expand directories and validate image files, keeping command line order
+const collectImagePaths = (inputs) => {
+  const imagePaths = [];
+  for (const input of inputs) {
+    if (!fs.existsSync(input)) {
+      throw new Error(`Input '${input}' does not exist`);
+    }
+    if (fs.statSync(input).isDirectory()) {
+      const files = fs.readdirSync(input)
+        .filter((file) => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .sort();
+      for (const file of files) {
+        imagePaths.push(path.join(input, file));
+      }
+    } else {
+      if (!IMAGE_EXTENSIONS.includes(path.extname(input).toLowerCase())) {
+        throw new Error(`Input '${input}' is not a supported image file (${IMAGE_EXTENSIONS.join(', ')})`);
+      }
+      imagePaths.push(input);
+    }
+  }
+  return imagePaths;
+};
+
+const sortImagePaths = (imagePaths, mode) => {
+  const sorted = imagePaths.slice();
+  if (mode === 'name') {
+    sorted.sort((a, b) => path.basename(a).localeCompare(path.basename(b)));
+  } else if (mode === 'mtime') {
+    sorted.sort((a, b) => fs.statSync(a).mtimeMs - fs.statSync(b).mtimeMs);
+  }
+  return sorted;
+};
+
+// Identify each image by its path relative to the common directory of all inputs, with '/' separators.
+// Images are referred to by file name alone (without extension, for names and heatmaps) unless another input shares it
+const buildTargetKeys = (imagePaths) => {
+  const resolved = imagePaths.map((imagePath) => path.resolve(imagePath));
+  const isInside = (root, file) => {
+    const relative = path.relative(root, file);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+  };
+  let root = path.dirname(resolved[0]);
+  while (!resolved.every((file) => isInside(root, file)) && path.dirname(root) !== root) {
+    root = path.dirname(root);
+  }
+
+  const fileNameCounts = new Map();
+  for (const imagePath of imagePaths) {
+    const fileName = path.basename(imagePath);
+    fileNameCounts.set(fileName, (fileNameCounts.get(fileName) ?? 0) + 1);
+  }
+
+  return imagePaths.map((imagePath, index) => {
+    const key = path.relative(root, resolved[index]).split(path.sep).join('/');
+    const fileName = path.basename(imagePath);
+    const uniqueFileName = fileNameCounts.get(fileName) === 1;
+    const id = uniqueFileName ? fileName : key;
+    return { key, fileName: uniqueFileName ? fileName : null, label: id.slice(0, id.length - path.extname(id).length) };
+  });
+};
+
+// Per-target options for compileImageTargets. Targets are named after their file unless the metadata file overrides it.
+// Metadata is keyed by relative path, or by file name when no other input shares it
+const buildTargetOptions = (targetKeys, metadataPath, alphaMask) => {
+  const metadata = metadataPath === null ? {} : JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+  for (const metadataKey of Object.keys(metadata)) {
+    const matches = targetKeys.filter(({ key }) => path.posix.basename(key) === metadataKey);
+    if (matches.length > 1 && !targetKeys.some(({ key }) => key === metadataKey)) {
+      const keys = matches.map(({ key }) => `'${key}'`).join(', ');
+      throw new Error(`Metadata key '${metadataKey}' matches several images; key their metadata by path instead: ${keys}`);
+    }
+  }
+  return targetKeys.map(({ key, fileName, label }) => ({
+    name: label,
+    mask: alphaMask ? 'alpha' : null,
+    ...(metadata[key] ?? (fileName === null ? undefined : metadata[fileName])),
+  }));
+};
+
+const buildSummary = ({ imagePaths, dataList, outputPath, byteLength, duration }) => {
+  return {
+    output: outputPath,
+    byteLength,
+    duration,
+    targets: dataList.map((data, index) => ({
+      index,
+      file: imagePaths[index],
+      name: data.metadata.name,
+      physicalSize: data.metadata.physicalSize,
+      tags: data.metadata.tags,
+      geometry: data.geometry,
+      width: data.targetImage.width,
+      height: data.targetImage.height,
+      matchingKeyframes: data.matchingData.map((keyframe) => ({
+        scale: keyframe.scale,
+        width: keyframe.width,
+        height: keyframe.height,
+        maximaPoints: keyframe.maximaPoints.length,
+        minimaPoints: keyframe.minimaPoints.length,
+      })),
+      trackingKeyframes: data.trackingData.map((keyframe) => ({
+        scale: keyframe.scale,
+        width: keyframe.width,
+        height: keyframe.height,
+        points: keyframe.points.length,
+      })),
+    })),
+  };
+};
+
+export {
+  USAGE,
+  parseArgs,
+  collectImagePaths,
+  sortImagePaths,
+  buildTargetKeys,
+  buildTargetOptions,
+  buildSummary,
+};
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+import * as fs from 'fs';
+import * as path from 'path';
+import * as tf from '@tensorflow/tfjs';
+import { loadImage } from 'canvas';
+import { OfflineCompiler } from '../src/image-target/offline-compiler.js';
+import { FileTargetCache } from '../src/image-target/file-target-cache.js';
+import { USAGE, parseArgs, collectImagePaths, sortImagePaths, buildTargetKeys, buildTargetOptions, buildSummary } from './compile-cli.js';
+
+const main = async () => {
+  const { options, inputs } = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (inputs.length === 0) {
+    throw new Error('No input images given');
+  }
+
+  const imagePaths = sortImagePaths(collectImagePaths(inputs), options.sort);
+  if (imagePaths.length === 0) {
+    throw new Error('No image files found in the given inputs');
+  }
+
+  const targetKeys = buildTargetKeys(imagePaths);
+  const targets = buildTargetOptions(targetKeys, options.metadata, options['alpha-mask']);
+
+  await tf.setBackend('cpu');
+
+  const images = [];
+  for (const imagePath of imagePaths) {
+    images.push(await loadImage(imagePath));
+  }
+
+  const startTime = Date.now();
+  const compiler = new OfflineCompiler();
+  const abortController = new AbortController();
+  const onInterrupt = () => abortController.abort();
+  process.once('SIGINT', onInterrupt);
+  const dataList = await compiler.compileImageTargets(images, (progress) => {
+    if (!options.quiet) {
+      process.stderr.write(`\rCompiling ${imagePaths.length} target(s)... ${progress.percent.toFixed(1)}% (${progress.stage})   `);
+    }
+  }, {
+    targets,
+    report: options.report !== null,
+    cache: options.cache === null ? null : new FileTargetCache(options.cache),
+    workers: options.workers,
+    signal: abortController.signal,
+  }).finally(() => process.off('SIGINT', onInterrupt));
+  if (!options.quiet) {
+    process.stderr.write('\n');
+    if (options.cache !== null) {
+      process.stderr.write(`Cache: ${compiler.cacheStats.hits} reused, ${compiler.cacheStats.misses} compiled\n`);
+    }
+  }
+
+  const buffer = compiler.exportData({ compact: options.compact });
+  fs.writeFileSync(options.output, buffer);
+  const duration = Date.now() - startTime;
+
+  if (options.summary) {
+    const summary = buildSummary({ imagePaths, dataList, outputPath: options.output, byteLength: buffer.byteLength, duration });
+    fs.writeFileSync(options.summary, JSON.stringify(summary, null, 2));
+  }
+
+  if (options.report) {
+    const reports = dataList.map((data, index) => ({ file: imagePaths[index], ...data.report }));
+    fs.writeFileSync(options.report, JSON.stringify(reports, null, 2));
+    if (!options.quiet) {
+      for (const report of reports) {
+        process.stderr.write(`${report.file}: ${report.rating} (${report.score}/100)\n`);
+        for (const warning of report.warnings) {
+          process.stderr.write(`  warning: ${warning.message}\n`);
+        }
+      }
+    }
+  }
+
+  if (options.heatmaps) {
+    for (let i = 0; i < imagePaths.length; i++) {
+      // Images sharing a file name are written to subdirectories mirroring their paths
+      const heatmapPath = path.join(options.heatmaps, `${targetKeys[i].label}.heatmap.png`);
+      fs.mkdirSync(path.dirname(heatmapPath), { recursive: true });
+      fs.writeFileSync(heatmapPath, await compiler.createQualityHeatmap(i));
+    }
+  }
+
+  if (options.confusion) {
+    const confusion = await compiler.analyzeConfusion({
+      progressCallback: (percent) => {
+        if (!options.quiet) {
+          process.stderr.write(`\rCross-matching targets... ${percent.toFixed(1)}%`);
+        }
+      },
+    });
+    fs.writeFileSync(options.confusion, JSON.stringify(confusion, null, 2));
+    if (!options.quiet) {
+      process.stderr.write('\n');
+      for (const pair of confusion.pairs) {
+        const [a, b] = pair.targets;
+        process.stderr.write(`  ${pair.risk} confusion risk: ${imagePaths[a]} <-> ${imagePaths[b]} (${pair.inliers} inliers, ${pair.matches} matches)\n`);
+      }
+    }
+  }
+
+  if (!options.quiet) {
+    process.stderr.write(`Wrote ${imagePaths.length} target(s) to ${options.output} (${buffer.byteLength} bytes, ${duration} ms)\n`);
+  }
+};
+
+main().catch((error) => {
+  process.stderr.write(`mindar-compile: ${error.message}\n`);
+  process.exitCode = 1;
+});
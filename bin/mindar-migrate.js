@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+import * as fs from 'fs';
+import { inspect, migrate } from '../src/image-target/format/migration.js';
+
+// Command line options: name -> {alias, description}
+const OPTIONS = {
+  check: { alias: 'c', description: 'Only report the file version and upgrade steps' },
+  help: { alias: 'h', description: 'Show this help' },
+};
+
+const USAGE = `Usage: mindar-migrate [options] <input.mind> [output.mind]
+
+Upgrades a .mind file to the current format version. The input file is
+overwritten when no output file is given.
+
+Options:
+${Object.keys(OPTIONS).map((name) => {
+  const { alias, description } = OPTIONS[name];
+  return `  ${`-${alias}, --${name}`.padEnd(26)}${description}`;
+}).join('\n')}
+`;
+
+const parseArgs = (argv) => {
+  const options = { check: false, help: false };
+  const inputs = [];
+
+  for (const arg of argv) {
+    if (!arg.startsWith('-')) {
+      inputs.push(arg);
+      continue;
+    }
+    const name = arg.startsWith('--')
+      ? arg.slice(2)
+      : Object.keys(OPTIONS).find((key) => OPTIONS[key].alias === arg.slice(1));
+    if (!name || !OPTIONS[name]) {
+      throw new Error(`Unknown option '${arg}'`);
+    }
+    options[name] = true;
+  }
+
+  if (inputs.length > 2) {
+    throw new Error('Expected at most one input and one output file');
+  }
+  return { options, input: inputs[0] ?? null, output: inputs[1] ?? inputs[0] ?? null };
+};
+
+const formatSteps = (steps) => {
+  return steps.map((step) => `  v${step.from} -> v${step.to}: ${step.description}`).join('\n');
+};
+
+const main = () => {
+  const { options, input, output } = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (input === null) {
+    throw new Error('No input file given');
+  }
+  if (!fs.existsSync(input)) {
+    throw new Error(`Input '${input}' does not exist`);
+  }
+
+  const buffer = fs.readFileSync(input);
+  const inspection = inspect(buffer);
+
+  if (!inspection.migratable) {
+    const missing = inspection.missing.map((field) => `\n  missing ${field}`).join('');
+    throw new Error(`${input}: ${inspection.reason}${missing}`);
+  }
+  if (inspection.steps.length === 0) {
+    process.stderr.write(`${input} is already at version ${inspection.currentVersion}\n`);
+    return;
+  }
+
+  process.stderr.write(`${input} is at version ${inspection.version}. Upgrade steps:\n${formatSteps(inspection.steps)}\n`);
+  if (options.check) {
+    return;
+  }
+
+  const result = migrate(buffer);
+  fs.writeFileSync(output, result.buffer);
+  process.stderr.write(`Wrote version ${result.toVersion} file to ${output} (${result.buffer.byteLength} bytes)\n`);
+};
+
+try {
+  main();
+} catch (error) {
+  process.stderr.write(`mindar-migrate: ${error.message}\n`);
+  process.exitCode = 1;
+}
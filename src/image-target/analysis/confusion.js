@@ -0,0 +1,113 @@
+import { nextFrame } from '@tensorflow/tfjs';
+import { match } from '../matching/matching.js';
+
+// A pair without a homography but with at least this many descriptor matches is a medium risk.
+// Pairs with a homography are a high risk: the detector would report the wrong target
+const MEDIUM_RISK_MATCHES = 12;
+
+const RISK_ORDER = { high: 2, medium: 1, none: 0 };
+
+// Keyframe features as detection query points, maxima and minima interleaved like detector output
+const _toQuerypoints = (keyframe) => {
+  const { maximaPoints, minimaPoints } = keyframe;
+  const querypoints = [];
+  for (let i = 0; i < Math.max(maximaPoints.length, minimaPoints.length); i++) {
+    if (i < maximaPoints.length) querypoints.push(maximaPoints[i]);
+    if (i < minimaPoints.length) querypoints.push(minimaPoints[i]);
+  }
+  return querypoints;
+};
+
+/**
+ * Match every keyframe of the query target against every keyframe of the reference target
+ * @returns {{matches: number, inliers: number, queryScale: number|null, referenceScale: number|null}} - Strongest keyframe pair
+ */
+const matchTargets = (queryTarget, referenceTarget) => {
+  let best = { matches: 0, inliers: 0, queryScale: null, referenceScale: null };
+  for (const queryKeyframe of queryTarget.matchingData) {
+    const querypoints = _toQuerypoints(queryKeyframe);
+    for (const referenceKeyframe of referenceTarget.matchingData) {
+      const { H, matches, debugExtra } = match({
+        keyframe: referenceKeyframe,
+        querypoints,
+        querywidth: queryKeyframe.width,
+        queryheight: queryKeyframe.height,
+        debugMode: true,
+      });
+      const result = {
+        matches: debugExtra.matches ? debugExtra.matches.length : 0,
+        inliers: H ? matches.length : 0,
+        queryScale: queryKeyframe.scale,
+        referenceScale: referenceKeyframe.scale,
+      };
+      if (result.inliers > best.inliers || (result.inliers === best.inliers && result.matches > best.matches)) {
+        best = result;
+      }
+    }
+  }
+  return best;
+};
+
+const _rateRisk = (results) => {
+  if (results.some((result) => result.inliers > 0)) return 'high';
+  if (results.some((result) => result.matches >= MEDIUM_RISK_MATCHES)) return 'medium';
+  return 'none';
+};
+
+/**
+ * Cross-match every target against every other target to find pairs the detector may confuse
+ *
+ * @param {Array} dataList - Compiled targets, as returned by compileImageTargets or importData
+ * @param {Object} options
+ * @param {Function} options.progressCallback - Called with the percentage done
+ * @param {boolean} options.includeAll - Also list pairs without confusion risk
+ * @returns {Promise<{pairs: Array, targets: Array}>}
+ */
+const analyzeConfusion = async (dataList, { progressCallback = null, includeAll = false } = {}) => {
+  const pairs = [];
+  const pairCount = dataList.length * (dataList.length - 1) / 2;
+  let done = 0;
+
+  for (let a = 0; a < dataList.length; a++) {
+    for (let b = a + 1; b < dataList.length; b++) {
+      await nextFrame();
+      // Detection is not symmetric: the camera may see either target while the other is the reference
+      const aAsQuery = matchTargets(dataList[a], dataList[b]);
+      const bAsQuery = matchTargets(dataList[b], dataList[a]);
+      const risk = _rateRisk([aAsQuery, bAsQuery]);
+
+      if (risk !== 'none' || includeAll) {
+        pairs.push({
+          targets: [a, b],
+          names: [dataList[a].metadata.name, dataList[b].metadata.name],
+          risk,
+          inliers: Math.max(aAsQuery.inliers, bAsQuery.inliers),
+          matches: Math.max(aAsQuery.matches, bAsQuery.matches),
+          aAsQuery,
+          bAsQuery,
+        });
+      }
+
+      done += 1;
+      if (progressCallback) {
+        progressCallback(100 * done / pairCount);
+      }
+    }
+  }
+
+  pairs.sort((p1, p2) => RISK_ORDER[p2.risk] - RISK_ORDER[p1.risk] || p2.inliers - p1.inliers || p2.matches - p1.matches);
+
+  const targets = dataList.map((target, index) => {
+    const confusedWith = pairs
+      .filter((pair) => pair.risk !== 'none' && pair.targets.includes(index))
+      .map((pair) => ({ index: pair.targets[0] === index ? pair.targets[1] : pair.targets[0], risk: pair.risk, inliers: pair.inliers }));
+    return { index, name: target.metadata.name, confusedWith };
+  });
+
+  return { pairs, targets };
+};
+
+export {
+  analyzeConfusion,
+  matchTargets
+}
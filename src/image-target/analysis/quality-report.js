@@ -0,0 +1,238 @@
+import { compute as hammingCompute } from '../matching/hamming-distance.js';
+
+// Coverage grid over the target image, in cells per side. Cells outside the target mask are not counted
+const GRID_SIZE = 8;
+
+// Feature counts at which the feature and tracking scores saturate
+const GOOD_MATCHING_FEATURES = 150;
+const GOOD_TRACKING_POINTS = 60;
+
+// Warning thresholds
+const MIN_MATCHING_FEATURES = 40;
+const MIN_TRACKING_POINTS = 20;
+const MIN_COVERAGE = 0.4;
+const MAX_AMBIGUOUS_RATIO = 0.25;
+
+// Two features of the same keyframe further apart than REPEAT_MIN_DISTANCE (in keyframe pixels)
+// with descriptors closer than REPEAT_HAMMING_DISTANCE bits are repeats of the same pattern
+const REPEAT_MIN_DISTANCE = 8;
+const REPEAT_HAMMING_DISTANCE = 64;
+
+// Score weights, summing to 1. The weighted sum is scaled by the share of distinct features
+const SCORE_WEIGHTS = { features: 0.35, tracking: 0.25, coverage: 0.4 };
+
+const RATINGS = [
+  { rating: 'good', minScore: 70 },
+  { rating: 'fair', minScore: 40 },
+  { rating: 'poor', minScore: 0 },
+];
+
+// Matching feature locations of all keyframes, in target image coordinates
+const collectFeatureLocations = (matchingData) => {
+  const locations = [];
+  for (const keyframe of matchingData) {
+    for (const point of [...keyframe.maximaPoints, ...keyframe.minimaPoints]) {
+      locations.push({ x: (point.x + 0.5) / keyframe.scale, y: (point.y + 0.5) / keyframe.scale });
+    }
+  }
+  return locations;
+};
+
+// Feature counts per cell of a GRID_SIZE x GRID_SIZE grid, row-major
+const buildFeatureGrid = (locations, width, height) => {
+  const grid = new Array(GRID_SIZE * GRID_SIZE).fill(0);
+  for (const { x, y } of locations) {
+    const column = Math.min(GRID_SIZE - 1, Math.max(0, Math.floor(x / width * GRID_SIZE)));
+    const row = Math.min(GRID_SIZE - 1, Math.max(0, Math.floor(y / height * GRID_SIZE)));
+    grid[row * GRID_SIZE + column] += 1;
+  }
+  return grid;
+};
+
+// Whether each grid cell contains kept pixels of the target mask
+const _findCellsInMask = (mask) => {
+  const cells = new Array(GRID_SIZE * GRID_SIZE).fill(false);
+  for (let y = 0; y < mask.height; y++) {
+    for (let x = 0; x < mask.width; x++) {
+      if (mask.data[y * mask.width + x] === 0) continue;
+      cells[Math.floor(y / mask.height * GRID_SIZE) * GRID_SIZE + Math.floor(x / mask.width * GRID_SIZE)] = true;
+    }
+  }
+  return cells;
+};
+
+// Number of features that have a repeat elsewhere in the same keyframe
+const countAmbiguousFeatures = (points) => {
+  let count = 0;
+  for (let i = 0; i < points.length; i++) {
+    for (let j = 0; j < points.length; j++) {
+      if (i === j) continue;
+      const dx = points[i].x - points[j].x;
+      const dy = points[i].y - points[j].y;
+      if (dx * dx + dy * dy < REPEAT_MIN_DISTANCE * REPEAT_MIN_DISTANCE) continue;
+      if (hammingCompute({ v1: points[i].descriptors, v2: points[j].descriptors }) < REPEAT_HAMMING_DISTANCE) {
+        count += 1;
+        break;
+      }
+    }
+  }
+  return count;
+};
+
+const _rate = (score) => {
+  return RATINGS.find((r) => score >= r.minScore).rating;
+};
+
+/**
+ * Build the trackability report of a compiled target
+ *
+ * @param {Object} target - Compiled target, as returned by compileImageTargets or importData
+ * @param {number} index - Target index
+ * @returns {Object} - {index, name, width, height, matching, tracking, distribution, repetition, components, score, rating, warnings}
+ */
+const createQualityReport = (target, index) => {
+  const { width, height } = target.targetImage;
+
+  const matching = target.matchingData.map((keyframe) => ({
+    scale: keyframe.scale,
+    width: keyframe.width,
+    height: keyframe.height,
+    maximaPoints: keyframe.maximaPoints.length,
+    minimaPoints: keyframe.minimaPoints.length,
+    total: keyframe.maximaPoints.length + keyframe.minimaPoints.length,
+  }));
+  const tracking = target.trackingData.map((keyframe) => ({
+    scale: keyframe.scale,
+    width: keyframe.width,
+    height: keyframe.height,
+    points: keyframe.points.length,
+  }));
+
+  const grid = buildFeatureGrid(collectFeatureLocations(target.matchingData), width, height);
+  const cellsInMask = target.mask ? _findCellsInMask(target.mask) : grid.map(() => true);
+  const coverage = grid.filter((count, i) => count > 0 && cellsInMask[i]).length / cellsInMask.filter(Boolean).length;
+
+  // Repeats are searched in the full resolution keyframe, where patterns are most distinct
+  const fullKeyframe = target.matchingData[0];
+  const fullFeatureCount = fullKeyframe.maximaPoints.length + fullKeyframe.minimaPoints.length;
+  const ambiguousFeatures = countAmbiguousFeatures(fullKeyframe.maximaPoints) + countAmbiguousFeatures(fullKeyframe.minimaPoints);
+  const ambiguousRatio = fullFeatureCount === 0 ? 0 : ambiguousFeatures / fullFeatureCount;
+
+  const averageMatchingFeatures = matching.reduce((sum, keyframe) => sum + keyframe.total, 0) / matching.length;
+  const fewestMatchingFeatures = Math.min(...matching.map((keyframe) => keyframe.total));
+  const trackingPoints = tracking[0].points;
+
+  const components = {
+    features: Math.min(1, averageMatchingFeatures / GOOD_MATCHING_FEATURES),
+    tracking: Math.min(1, trackingPoints / GOOD_TRACKING_POINTS),
+    coverage,
+    distinctiveness: 1 - ambiguousRatio,
+  };
+  const weightedSum = Object.keys(SCORE_WEIGHTS).reduce((sum, key) => sum + SCORE_WEIGHTS[key] * components[key], 0);
+  const score = Math.round(100 * weightedSum * components.distinctiveness);
+
+  const warnings = [];
+  if (fewestMatchingFeatures < MIN_MATCHING_FEATURES) {
+    const scales = matching.filter((keyframe) => keyframe.total < MIN_MATCHING_FEATURES).map((keyframe) => keyframe.scale.toFixed(2));
+    warnings.push({
+      code: 'low-matching-features',
+      message: `Fewer than ${MIN_MATCHING_FEATURES} matching features at scale(s) ${scales.join(', ')}. Detection may fail at these distances`,
+    });
+  }
+  if (trackingPoints < MIN_TRACKING_POINTS) {
+    warnings.push({
+      code: 'low-tracking-points',
+      message: `Only ${trackingPoints} tracking points. Tracking may be unstable`,
+    });
+  }
+  if (coverage < MIN_COVERAGE) {
+    warnings.push({
+      code: 'low-coverage',
+      message: `Features cover ${Math.round(coverage * 100)}% of the image. Detection fails when the featured area is occluded or out of view`,
+    });
+  }
+  if (ambiguousRatio > MAX_AMBIGUOUS_RATIO) {
+    warnings.push({
+      code: 'repetitive-pattern',
+      message: `${Math.round(ambiguousRatio * 100)}% of features repeat elsewhere in the image. Repetitive patterns produce wrong matches`,
+    });
+  }
+
+  return {
+    index,
+    name: target.metadata ? target.metadata.name : null,
+    width,
+    height,
+    matching,
+    tracking,
+    distribution: { gridSize: GRID_SIZE, grid, coverage },
+    repetition: { ambiguousFeatures, ambiguousRatio },
+    components,
+    score,
+    rating: _rate(score),
+    warnings,
+  };
+};
+
+/**
+ * Render an RGBA heatmap of matching feature density over the grey target image
+ *
+ * @param {Object} target - Compiled target
+ * @param {number} maxSize - Longest side of the heatmap, in pixels
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+ */
+const renderQualityHeatmap = (target, maxSize = 512) => {
+  const { width: targetWidth, height: targetHeight } = target.targetImage;
+  const ratio = Math.min(1, maxSize / Math.max(targetWidth, targetHeight));
+  const width = Math.round(targetWidth * ratio);
+  const height = Math.round(targetHeight * ratio);
+
+  // Imported targets only keep the tracking keyframes as images
+  const background = target.targetImage.data ? target.targetImage : target.trackingData[0];
+
+  const locations = collectFeatureLocations(target.matchingData);
+  const densityGrid = buildFeatureGrid(locations, targetWidth, targetHeight);
+  const maxDensity = Math.max(1, ...densityGrid);
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const bx = Math.min(background.width - 1, Math.floor(x / width * background.width));
+      const by = Math.min(background.height - 1, Math.floor(y / height * background.height));
+      const grey = background.data[by * background.width + bx];
+
+      const column = Math.min(GRID_SIZE - 1, Math.floor(x / width * GRID_SIZE));
+      const row = Math.min(GRID_SIZE - 1, Math.floor(y / height * GRID_SIZE));
+      const heat = densityGrid[row * GRID_SIZE + column] / maxDensity;
+
+      // Empty cells are tinted blue, dense cells red
+      const offset = (y * width + x) * 4;
+      data[offset] = grey * 0.5 + 127 * heat;
+      data[offset + 1] = grey * 0.5;
+      data[offset + 2] = grey * 0.5 + 127 * (1 - heat);
+      data[offset + 3] = 255;
+    }
+  }
+
+  // Feature locations as yellow dots
+  for (const location of locations) {
+    const cx = Math.round(location.x * ratio);
+    const cy = Math.round(location.y * ratio);
+    for (let y = cy - 1; y <= cy + 1; y++) {
+      for (let x = cx - 1; x <= cx + 1; x++) {
+        if (x < 0 || y < 0 || x >= width || y >= height) continue;
+        const offset = (y * width + x) * 4;
+        data[offset] = 255;
+        data[offset + 1] = 255;
+        data[offset + 2] = 0;
+      }
+    }
+  }
+
+  return { data, width, height };
+};
+
+export {
+  createQualityReport,
+  renderQualityHeatmap
+}
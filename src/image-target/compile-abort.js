@@ -0,0 +1,39 @@
+/**
+ * Rejection of compileImageTargets when its options.signal is aborted
+ */
+class CompileAbortError extends Error {
+  /**
+   * @param {*} reason - The reason of the AbortSignal
+   */
+  constructor(reason) {
+    super('Compilation aborted');
+    this.name = 'CompileAbortError';
+    this.reason = reason;
+  }
+}
+
+// Throw a CompileAbortError if the signal is aborted. signal may be null
+const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) {
+    throw new CompileAbortError(signal.reason);
+  }
+};
+
+/**
+ * Call callback with a CompileAbortError once the signal aborts
+ * @param {AbortSignal|null} signal
+ * @param {Function} callback
+ * @returns {Function} - Removes the listener
+ */
+const onAbort = (signal, callback) => {
+  if (!signal) return () => {};
+  const listener = () => callback(new CompileAbortError(signal.reason));
+  signal.addEventListener('abort', listener, { once: true });
+  return () => signal.removeEventListener('abort', listener);
+};
+
+export {
+  CompileAbortError,
+  throwIfAborted,
+  onAbort
+}
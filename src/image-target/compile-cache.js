@@ -0,0 +1,66 @@
+// Part of every cache key. Entries from a different feature extraction version are never reused
+const CACHE_FORMAT = 1;
+
+// 32-bit FNV-1a over the bytes of data, starting from seed
+const _fnv1a = (data, seed) => {
+  let hash = seed;
+  for (let i = 0; i < data.length; i++) {
+    hash ^= data[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const _hex = (value) => value.toString(16).padStart(8, '0');
+
+const _hash = (data) => _hex(_fnv1a(data, 0x811c9dc5)) + _hex(_fnv1a(data, 0x050c5d1f));
+
+/**
+ * Cache key of a grey target image: its dimensions and a 64-bit content hash, plus the hash of its mask
+ * @param {{data: Uint8Array, width: number, height: number, mask: Object|null}} targetImage
+ * @returns {string}
+ */
+const createCacheKey = (targetImage) => {
+  const { data, width, height, mask = null } = targetImage;
+  const maskSuffix = mask === null ? '' : `-m${_hash(mask.data)}`;
+  return `v${CACHE_FORMAT}-${width}x${height}-${_hash(data)}${maskSuffix}`;
+};
+
+/**
+ * In-memory cache of compiled target features, keyed by createCacheKey.
+ * Any object with the same async get/set methods can be passed as options.cache to compileImageTargets.
+ */
+class MemoryTargetCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<{matchingData: Array, trackingData: Array}|null>}
+   */
+  async get(key) {
+    return this.entries.get(key) ?? null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {{matchingData: Array, trackingData: Array}} entry
+   */
+  async set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+export {
+  createCacheKey,
+  MemoryTargetCache
+}
@@ -0,0 +1,96 @@
+import * as tf from '@tensorflow/tfjs';
+import { Detector } from './detector/detector.js';
+import { buildImageList, buildTrackingImageList } from './image-list.js';
+import { build as hierarchicalClusteringBuild } from './matching/hierarchical-clustering.js';
+import { extractTrackingFeatures } from './tracker/extract-utils.js';
+import { isInsideMask } from './target-mask.js';
+import { throwIfAborted } from './compile-abort.js';
+
+// Throws a CompileAbortError between keyframes once signal aborts
+const extractMatchingFeatures = async (imageList, doneCallback, signal = null) => {
+  const keyframes = [];
+  for (let i = 0; i < imageList.length; i++) {
+    const image = imageList[i];
+    const detector = new Detector(image.width, image.height);
+
+    await tf.nextFrame();
+    throwIfAborted(signal);
+    tf.tidy(() => {
+      //const inputT = tf.tensor(image.data, [image.data.length]).reshape([image.height, image.width]);
+      const inputT = tf.tensor(image.data, [image.data.length], 'float32').reshape([image.height, image.width]);
+      //const ps = detector.detectImageData(image.data);
+      const { featurePoints } = detector.detect(inputT);
+      const ps = image.mask ? featurePoints.filter((p) => isInsideMask(image.mask, p.x, p.y)) : featurePoints;
+
+      const maximaPoints = ps.filter((p) => p.maxima);
+      const minimaPoints = ps.filter((p) => !p.maxima);
+      const maximaPointsCluster = hierarchicalClusteringBuild({ points: maximaPoints });
+      const minimaPointsCluster = hierarchicalClusteringBuild({ points: minimaPoints });
+
+      keyframes.push({
+        maximaPoints,
+        minimaPoints,
+        maximaPointsCluster,
+        minimaPointsCluster,
+        width: image.width,
+        height: image.height,
+        scale: image.scale
+      });
+      doneCallback(i);
+    });
+  }
+  return keyframes;
+}
+
+/**
+ * Matching and tracking features of one grey target image, as computed by a compile worker
+ * @param {{data: Uint8Array, width: number, height: number, mask: Object|null}} targetImage
+ * @param {Function} progressCallback - Called with the stage ('matching' or 'tracking') and the percent done
+ *   for this target: matching 0-50, tracking 50-100
+ * @returns {Promise<{matchingData: Array, trackingData: Array}>}
+ */
+const compileTargetFeatures = async (targetImage, progressCallback) => {
+  const imageList = buildImageList(targetImage);
+  let percent = 0;
+  const matchingData = await extractMatchingFeatures(imageList, () => {
+    percent += 50 / imageList.length;
+    progressCallback('matching', percent);
+  });
+
+  const trackingImageList = buildTrackingImageList(targetImage);
+  const trackingData = extractTrackingFeatures(trackingImageList, () => {
+    percent += 50 / trackingImageList.length;
+    progressCallback('tracking', percent);
+  });
+  return { matchingData, trackingData };
+}
+
+/**
+ * Message handler shared by the browser and Node compile pool workers.
+ * Workers run tfjs on the backend given by the pool.
+ * @param {Object} data - {type: 'compileTarget', index, targetImage, backend}
+ * @param {Function} post - Sends a message back to the pool
+ */
+const handleCompileMessage = async (data, post) => {
+  if (data.type !== 'compileTarget') {
+    throw new Error(`Invalid message type '${data.type}'`);
+  }
+  const { index, targetImage, backend } = data;
+  try {
+    if (tf.getBackend() !== backend && !(await tf.setBackend(backend))) {
+      throw new Error(`tfjs backend '${backend}' is not available in compile workers`);
+    }
+    const { matchingData, trackingData } = await compileTargetFeatures(targetImage, (stage, percent) => {
+      post({ type: 'progress', index, stage, percent });
+    });
+    post({ type: 'compileDone', index, matchingData, trackingData });
+  } catch (error) {
+    post({ type: 'error', index, message: error.message });
+  }
+}
+
+export {
+  extractMatchingFeatures,
+  compileTargetFeatures,
+  handleCompileMessage
+}
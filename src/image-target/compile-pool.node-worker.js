@@ -0,0 +1,7 @@
+import { parentPort } from 'worker_threads';
+import './detector/kernels/cpu/index.js';
+import { handleCompileMessage } from './compile-features.js';
+
+parentPort.on('message', (data) => {
+  handleCompileMessage(data, (message) => parentPort.postMessage(message));
+});
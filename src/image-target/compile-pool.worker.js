@@ -0,0 +1,6 @@
+import './detector/kernels/cpu/index.js';
+import { handleCompileMessage } from './compile-features.js';
+
+onmessage = (msg) => {
+  handleCompileMessage(msg.data, (message) => postMessage(message));
+};
@@ -0,0 +1,117 @@
+import { throwIfAborted, onAbort } from './compile-abort.js';
+
+/**
+ * Runs one compile job per target image across a fixed number of workers.
+ * Each target is compiled independently and results are returned in input order.
+ *
+ * Workers are created through createWorker(), which returns an adapter
+ * {postMessage(message), onMessage(handler), onError(handler), terminate()}
+ * around a browser Worker or a Node worker_threads Worker.
+ */
+class CompileWorkerPool {
+  /**
+   * @param {Function} createWorker - Returns a new worker adapter
+   * @param {number} workerCount - Maximum number of workers running at once
+   * @param {string} backend - tfjs backend the workers compile on
+   */
+  constructor(createWorker, workerCount, backend) {
+    if (!Number.isInteger(workerCount) || workerCount < 1) {
+      throw new Error('Compile worker count must be a positive integer');
+    }
+    this.createWorker = createWorker;
+    this.workerCount = workerCount;
+    this.backend = backend;
+  }
+
+  /**
+   * @param {Array} targetImages - Grey target images {data, width, height, mask}
+   * @param {Function} progressCallback - Called with {stage, targetIndex, percent, targetPercent}:
+   *   the stage and percent done of targetImages[targetIndex], and the overall percent done
+   * @param {AbortSignal|null} signal - Aborting terminates all workers and rejects with a CompileAbortError
+   * @returns {Promise<Array<{matchingData: Array, trackingData: Array}>>} - One result per target image
+   */
+  run(targetImages, progressCallback, signal = null) {
+    return new Promise((resolve, reject) => {
+      const results = new Array(targetImages.length);
+      const percents = new Array(targetImages.length).fill(0);
+      const workers = [];
+      let nextIndex = 0;
+      let doneCount = 0;
+      let failed = false;
+
+      if (targetImages.length === 0) {
+        resolve(results);
+        return;
+      }
+
+      let removeAbortListener = () => {};
+      const terminateAll = () => {
+        removeAbortListener();
+        for (const worker of workers) {
+          worker.terminate();
+        }
+      };
+
+      const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        terminateAll();
+        reject(error);
+      };
+
+      const reportProgress = (stage, index) => {
+        const total = percents.reduce((sum, percent) => sum + percent, 0);
+        progressCallback({ stage, targetIndex: index, percent: total / targetImages.length, targetPercent: percents[index] });
+      };
+
+      const startNext = (worker) => {
+        if (nextIndex >= targetImages.length) return;
+        const index = nextIndex++;
+        worker.postMessage({ type: 'compileTarget', index, targetImage: targetImages[index], backend: this.backend });
+      };
+
+      const onMessage = (worker, data) => {
+        if (failed) return;
+        if (data.type === 'progress') {
+          percents[data.index] = data.percent;
+          reportProgress(data.stage, data.index);
+        } else if (data.type === 'compileDone') {
+          results[data.index] = { matchingData: data.matchingData, trackingData: data.trackingData };
+          percents[data.index] = 100;
+          reportProgress('tracking', data.index);
+          doneCount += 1;
+          if (doneCount === targetImages.length) {
+            terminateAll();
+            resolve(results);
+            return;
+          }
+          startNext(worker);
+        } else if (data.type === 'error') {
+          fail(new Error(`Failed to compile target ${data.index}: ${data.message}`));
+        }
+      };
+
+      try {
+        throwIfAborted(signal);
+        removeAbortListener = onAbort(signal, fail);
+        const count = Math.min(this.workerCount, targetImages.length);
+        for (let i = 0; i < count; i++) {
+          const worker = this.createWorker();
+          workers.push(worker);
+          worker.onMessage((data) => onMessage(worker, data));
+          worker.onError((error) => fail(error));
+        }
+      } catch (error) {
+        fail(error);
+        return;
+      }
+      for (const worker of workers) {
+        startNext(worker);
+      }
+    });
+  }
+}
+
+export {
+  CompileWorkerPool
+}
@@ -1,73 +1,194 @@
-import { Detector } from './detector/detector.js';
+import { getBackend } from '@tensorflow/tfjs';
 import { buildImageList, buildTrackingImageList } from './image-list.js';
-import { build as hierarchicalClusteringBuild } from './matching/hierarchical-clustering.js';
 import * as msgpack from '@msgpack/msgpack';
-import * as tf from '@tensorflow/tfjs';
-
-
-const CURRENT_VERSION = 2;
+import { createTargetMetadata, createDefaultTargetMetadata, createThumbnail, validateUniqueNames } from './target-metadata.js';
+import { CURRENT_VERSION, upgradeContent } from './format/migration.js';
+import { encodeCompact, decodeContent, decodeContentStream } from './format/compact.js';
+import { createQualityReport, renderQualityHeatmap } from './analysis/quality-report.js';
+import { analyzeConfusion } from './analysis/confusion.js';
+import { createCacheKey } from './compile-cache.js';
+import { createTargetMask, fillMaskedPixels, resizeMask } from './target-mask.js';
+import { createTargetGeometry, createDefaultTargetGeometry } from './target-geometry.js';
+import { extractMatchingFeatures } from './compile-features.js';
+import { CompileWorkerPool } from './compile-worker-pool.js';
+import { throwIfAborted } from './compile-abort.js';
 
 class CompilerBase {
   constructor() {
     this.data = null;
+    // Version of the last imported file and the steps used to upgrade it
+    this.importedVersion = null;
+    this.importMigrationSteps = [];
+    // Cache hits and misses of the last compileImageTargets call
+    this.cacheStats = { hits: 0, misses: 0 };
   }
 
   // input html Images
-  compileImageTargets(images, progressCallback) {
+  // options.targets: optional per-target {name, physicalSize, tags, extra, mask, geometry}, one entry per image.
+  //   mask is 'alpha', {polygons} or a bitmap, see target-mask.js. Features outside the mask are dropped
+  //   geometry is {type: 'plane'} (default) or {type: 'cylinder', arc | radius}, see target-geometry.js
+  // options.report: attach a trackability report to each compiled target
+  // options.cache: MemoryTargetCache, FileTargetCache or any object with async get(key)/set(key, entry).
+  //   Targets whose image is in the cache skip feature extraction
+  // options.workers: compile targets in parallel on this many workers (see compile-worker-pool.js).
+  //   Workers use the current tfjs backend
+  // options.signal: AbortSignal. Aborting stops feature extraction, terminates the compile workers
+  //   and rejects with a CompileAbortError (see compile-abort.js)
+  // progressCallback is called with {stage, targetIndex, percent, targetPercent}:
+  //   stage 'matching', 'tracking' or 'done'; percent is the overall progress and targetPercent the
+  //   progress of targetIndex, both from 0 to 100. The 'done' event has targetIndex and targetPercent null
+  compileImageTargets(images, progressCallback, options = {}) {
+    const { targets = null, report = false, cache = null, workers = null, signal = null } = options;
+
     return new Promise(async (resolve, reject) => {
       const targetImages = [];
-      for (let i = 0; i < images.length; i++) {
-        const img = images[i];
-        const processCanvas = this.createProcessCanvas(img);
-        const processContext = processCanvas.getContext('2d');
-        processContext.drawImage(img, 0, 0, img.width, img.height);
-        const processData = processContext.getImageData(0, 0, img.width, img.height);
-
-        const greyImageData = new Uint8Array(img.width * img.height);
-
-        for (let i = 0; i < greyImageData.length; i++) {
-          const offset = i * 4;
-          greyImageData[i] = Math.floor((processData.data[offset] + processData.data[offset + 1] + processData.data[offset + 2]) / 3);
+      let metadataList;
+      let geometryList;
+      try {
+        throwIfAborted(signal);
+        if (targets !== null && targets.length !== images.length) {
+          throw new Error(`Expected ${images.length} target options, got ${targets.length}`);
         }
-        const targetImage = { data: greyImageData, height: img.height, width: img.width };
-        targetImages.push(targetImage);
-      }
 
-      // compute matching data: 50% progress
-      const percentPerImage = 50.0 / targetImages.length;
-      let percent = 0.0;
-      this.data = [];
-      for (let i = 0; i < targetImages.length; i++) {
-        const targetImage = targetImages[i];
-        const imageList = buildImageList(targetImage);
-        const percentPerAction = percentPerImage / imageList.length;
-        const matchingData = await _extractMatchingFeatures(imageList, () => {
-          percent += percentPerAction;
-          progressCallback(percent);
+        for (let i = 0; i < images.length; i++) {
+          const img = images[i];
+          const processCanvas = this.createProcessCanvas(img);
+          const processContext = processCanvas.getContext('2d');
+          processContext.drawImage(img, 0, 0, img.width, img.height);
+          const processData = processContext.getImageData(0, 0, img.width, img.height);
+
+          const greyImageData = new Uint8Array(img.width * img.height);
+
+          for (let i = 0; i < greyImageData.length; i++) {
+            const offset = i * 4;
+            greyImageData[i] = Math.floor((processData.data[offset] + processData.data[offset + 1] + processData.data[offset + 2]) / 3);
+          }
+
+          const mask = createTargetMask(targets === null ? null : targets[i].mask ?? null, processData.data, img.width, img.height);
+          if (mask !== null) {
+            fillMaskedPixels(greyImageData, mask);
+          }
+          const targetImage = { data: greyImageData, height: img.height, width: img.width, mask };
+          targetImages.push(targetImage);
+        }
+
+        metadataList = targetImages.map((targetImage, i) => {
+          return targets === null ? createDefaultTargetMetadata() : createTargetMetadata(targets[i], targetImage);
         });
-        this.data.push({
-          targetImage: targetImage,
-          imageList: imageList,
-          matchingData: matchingData
+        validateUniqueNames(metadataList);
+        geometryList = targetImages.map((targetImage, i) => {
+          return targets === null ? createDefaultTargetGeometry() : createTargetGeometry(targets[i].geometry ?? null, targetImage, metadataList[i]);
         });
+      } catch (error) {
+        reject(error);
+        return;
       }
 
-      for (let i = 0; i < targetImages.length; i++) {
-        const trackingImageList = buildTrackingImageList(targetImages[i]);
-        this.data[i].trackingImageList = trackingImageList;
-      }
+      const emitProgress = (stage, targetIndex, percent, targetPercent) => {
+        progressCallback({ stage, targetIndex, percent, targetPercent });
+      };
+
+      try {
+        let cachedList = targetImages.map(() => null);
+        let cacheKeys = null;
+        if (cache !== null) {
+          cacheKeys = targetImages.map((targetImage) => createCacheKey(targetImage));
+          cachedList = await Promise.all(cacheKeys.map((key) => cache.get(key)));
+          throwIfAborted(signal);
+        }
+        const compileIndexes = targetImages.map((_, i) => i).filter((i) => cachedList[i] === null);
+        this.cacheStats = { hits: targetImages.length - compileIndexes.length, misses: compileIndexes.length };
+
+        // pooled compilation: each worker job returns the matching and tracking data of one target
+        let pooledList = null;
+        if (workers !== null) {
+          const pool = new CompileWorkerPool(() => this.createCompileWorker(), workers, getBackend());
+          pooledList = await pool.run(compileIndexes.map((i) => targetImages[i]), (progress) => {
+            emitProgress(progress.stage, compileIndexes[progress.targetIndex], progress.percent, progress.targetPercent);
+          }, signal);
+        }
 
-      const trackingDataList = await this.compileTrack({progressCallback, targetImages, basePercent: 50});
+        // compute matching data: 50% progress
+        const percentPerImage = 50.0 / compileIndexes.length;
+        let percent = 0.0;
+        this.data = [];
+        for (let i = 0; i < targetImages.length; i++) {
+          const targetImage = targetImages[i];
+          const imageList = buildImageList(targetImage);
+          const percentPerAction = percentPerImage / imageList.length;
+          let matchingData;
+          if (cachedList[i] !== null) {
+            matchingData = cachedList[i].matchingData;
+          } else if (pooledList !== null) {
+            matchingData = pooledList[compileIndexes.indexOf(i)].matchingData;
+          } else {
+            matchingData = await extractMatchingFeatures(imageList, (keyframeIndex) => {
+              percent += percentPerAction;
+              emitProgress('matching', i, percent, 50 * (keyframeIndex + 1) / imageList.length);
+            }, signal);
+          }
+          this.data.push({
+            targetImage: targetImage,
+            imageList: imageList,
+            matchingData: matchingData,
+            metadata: metadataList[i],
+            geometry: geometryList[i],
+            thumbnail: createThumbnail(targetImage)
+          });
+        }
+
+        for (let i = 0; i < targetImages.length; i++) {
+          const trackingImageList = buildTrackingImageList(targetImages[i]);
+          this.data[i].trackingImageList = trackingImageList;
+        }
 
-      for (let i = 0; i < targetImages.length; i++) {
-        this.data[i].trackingData = trackingDataList[i];
+        // compute tracking data: remaining 50% progress
+        let trackingDataList = [];
+        if (pooledList !== null) {
+          trackingDataList = pooledList.map((compiled) => compiled.trackingData);
+        } else if (compileIndexes.length > 0) {
+          const trackingPercents = compileIndexes.map(() => 0);
+          trackingDataList = await this.compileTrack({
+            progressCallback: (targetIndex, trackingPercent) => {
+              trackingPercents[targetIndex] = trackingPercent;
+              const total = trackingPercents.reduce((sum, value) => sum + value, 0);
+              emitProgress('tracking', compileIndexes[targetIndex], 50 + total / compileIndexes.length / 2, 50 + trackingPercent / 2);
+            },
+            targetImages: compileIndexes.map((i) => targetImages[i]),
+            signal
+          });
+        }
+        throwIfAborted(signal);
+
+        for (let i = 0; i < targetImages.length; i++) {
+          this.data[i].trackingData = cachedList[i] !== null ? cachedList[i].trackingData : trackingDataList[compileIndexes.indexOf(i)];
+          // Saved at the size of the first tracking keyframe
+          const { mask } = targetImages[i];
+          const { width, height } = this.data[i].trackingData[0];
+          this.data[i].mask = mask === null ? null : resizeMask(mask, width, height);
+          if (report) {
+            this.data[i].report = createQualityReport(this.data[i], i);
+          }
+        }
+
+        if (cache !== null) {
+          for (const i of compileIndexes) {
+            await cache.set(cacheKeys[i], { matchingData: this.data[i].matchingData, trackingData: this.data[i].trackingData });
+          }
+        }
+      } catch (error) {
+        reject(error);
+        return;
       }
+      emitProgress('done', null, 100, null);
       resolve(this.data);
     });
   }
 
   // not exporting imageList because too large. rebuild this using targetImage
-  exportData() {
+  // options.compact: write the compact encoding (packed descriptors, float32 coordinates, compressed pixels)
+  exportData(options = {}) {
+    const { compact = false } = options;
     const dataList = [];
     for (let i = 0; i < this.data.length; i++) {
       dataList.push({
@@ -76,78 +197,124 @@ class CompilerBase {
           width: this.data[i].targetImage.width,
           height: this.data[i].targetImage.height,
         },
+        metadata: this.data[i].metadata,
+        geometry: this.data[i].geometry,
+        thumbnail: this.data[i].thumbnail,
+        mask: this.data[i].mask,
         trackingData: this.data[i].trackingData,
         matchingData: this.data[i].matchingData
       });
     }
-    const buffer = msgpack.encode({
+    const content = {
       v: CURRENT_VERSION,
       dataList
-    });
+    };
+    const buffer = compact ? encodeCompact(content) : msgpack.encode(content);
     return buffer;
   }
 
+  // Plain and compact files are both accepted
   importData(buffer) {
-    const content = msgpack.decode(new Uint8Array(buffer));
-    //console.log("import", content);
+    return this._importContent(decodeContent(buffer));
+  }
 
-    if (content.v !== CURRENT_VERSION) {
-      throw new Error(`Invalid .mind file version. Expected ${CURRENT_VERSION}, got ${content.v || 'undefined'}. Please recompile.`);
-    }
-    const { dataList } = content;
+  /**
+   * Import a .mind file while it downloads. Compact files are decoded target by target as bytes arrive
+   * @param {ReadableStream<Uint8Array>|AsyncIterable<Uint8Array>} stream - For example the body of a fetch response
+   * @param {Function} targetCallback - Called with (targetIndex, targetCount) after each decoded compact target
+   * @returns {Promise<Array>} - Imported targets, as returned by importData
+   */
+  async importDataStream(stream, targetCallback = null) {
+    return this._importContent(await decodeContentStream(stream, targetCallback));
+  }
+
+  _importContent(content) {
+    // Older versions are upgraded in memory; throws MindFileMigrationError if that is not possible
+    const { content: upgradedContent, fromVersion, steps } = upgradeContent(content);
+    this.importedVersion = fromVersion;
+    this.importMigrationSteps = steps;
+
+    const { dataList } = upgradedContent;
     this.data = [];
     for (let i = 0; i < dataList.length; i++) {
       this.data.push({
         targetImage: dataList[i].targetImage,
+        metadata: dataList[i].metadata,
+        geometry: dataList[i].geometry,
+        thumbnail: dataList[i].thumbnail,
+        mask: dataList[i].mask,
         trackingData: dataList[i].trackingData,
         matchingData: dataList[i].matchingData
       });
     }
+    validateUniqueNames(this.data.map((d) => d.metadata));
     return this.data;
   }
 
+  /**
+   * Trackability reports of the compiled or imported targets
+   * @returns {Object[]} - One report per target, see analysis/quality-report.js
+   */
+  getQualityReports() {
+    if (!this.data) {
+      throw new Error('No compiled targets. Compile or import targets first');
+    }
+    return this.data.map((target, i) => createQualityReport(target, i));
+  }
+
+  /**
+   * PNG heatmap of matching feature locations over the target image
+   * @param {number} targetIndex
+   * @param {number} maxSize - Longest side of the heatmap, in pixels
+   * @returns {Promise} - PNG data, in the format of encodePNG
+   */
+  createQualityHeatmap(targetIndex, maxSize = 512) {
+    if (!this.data || !this.data[targetIndex]) {
+      throw new Error(`No target at index ${targetIndex}`);
+    }
+    const heatmap = renderQualityHeatmap(this.data[targetIndex], maxSize);
+    const canvas = this.createProcessCanvas(heatmap);
+    const context = canvas.getContext('2d');
+    const imageData = context.createImageData(heatmap.width, heatmap.height);
+    imageData.data.set(heatmap.data);
+    context.putImageData(imageData, 0, 0);
+    return this.encodePNG(canvas);
+  }
+
+  /**
+   * Cross-match the compiled or imported targets to find pairs the detector may confuse
+   * @param {Object} options - {progressCallback, includeAll}, see analysis/confusion.js
+   * @returns {Promise<{pairs: Array, targets: Array}>}
+   */
+  analyzeConfusion(options = {}) {
+    if (!this.data) {
+      throw new Error('No compiled targets. Compile or import targets first');
+    }
+    return analyzeConfusion(this.data, options);
+  }
+
   createProcessCanvas(img) {
     // sub-class implements
     console.warn("missing createProcessCanvas implementation");
   }
 
-  compileTrack({progressCallback, targetImages, basePercent}) {
+  // progressCallback(targetIndex, percent): tracking progress of targetImages[targetIndex], from 0 to 100.
+  // Rejects with a CompileAbortError when signal aborts
+  compileTrack({progressCallback, targetImages, signal}) {
     // sub-class implements
     console.warn("missing compileTrack implementation");
   }
-}
 
-const _extractMatchingFeatures = async (imageList, doneCallback) => {
-  const keyframes = [];
-  for (let i = 0; i < imageList.length; i++) {
-    const image = imageList[i];
-    const detector = new Detector(image.width, image.height);
-
-    await tf.nextFrame();
-    tf.tidy(() => {
-      //const inputT = tf.tensor(image.data, [image.data.length]).reshape([image.height, image.width]);
-      const inputT = tf.tensor(image.data, [image.data.length], 'float32').reshape([image.height, image.width]);
-      //const ps = detector.detectImageData(image.data);
-      const { featurePoints: ps } = detector.detect(inputT);
-
-      const maximaPoints = ps.filter((p) => p.maxima);
-      const minimaPoints = ps.filter((p) => !p.maxima);
-      const maximaPointsCluster = hierarchicalClusteringBuild({ points: maximaPoints });
-      const minimaPointsCluster = hierarchicalClusteringBuild({ points: minimaPoints });
-
-      keyframes.push({
-        maximaPoints,
-        minimaPoints,
-        maximaPointsCluster,
-        minimaPointsCluster,
-        width: image.width,
-        height: image.height,
-        scale: image.scale
-      });
-      doneCallback(i);
-    });
+  encodePNG(canvas) {
+    // sub-class implements
+    console.warn("missing encodePNG implementation");
+  }
+
+  // Returns a compile pool worker adapter {postMessage, onMessage, onError, terminate}, see compile-worker-pool.js
+  createCompileWorker() {
+    // sub-class implements
+    throw new Error("missing createCompileWorker implementation");
   }
-  return keyframes;
 }
 
 export {
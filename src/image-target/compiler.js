@@ -1,5 +1,7 @@
 import {CompilerBase} from './compiler-base.js'
+import { throwIfAborted, onAbort } from './compile-abort.js';
 import CompilerWorker  from "./compiler.worker.js?worker&inline";
+import CompilePoolWorker from "./compile-pool.worker.js?worker&inline";
 
 export class Compiler extends CompilerBase {
   createProcessCanvas(img) {
@@ -9,17 +11,50 @@ export class Compiler extends CompilerBase {
     return processCanvas;
   }
 
-  compileTrack({progressCallback, targetImages, basePercent}) {
+  compileTrack({progressCallback, targetImages, signal}) {
     return new Promise((resolve, reject) => {
+      try {
+        throwIfAborted(signal);
+      } catch (error) {
+        reject(error);
+        return;
+      }
       const worker = new CompilerWorker();
+      const removeAbortListener = onAbort(signal, (error) => {
+        worker.terminate();
+        reject(error);
+      });
       worker.onmessage = (e) => {
         if (e.data.type === 'progress') {
-          progressCallback(basePercent + e.data.percent * basePercent/100);
+          progressCallback(e.data.targetIndex, e.data.percent);
         } else if (e.data.type === 'compileDone') {
+          removeAbortListener();
+          worker.terminate();
           resolve(e.data.list);
         }
       };
+      worker.onerror = (e) => {
+        removeAbortListener();
+        worker.terminate();
+        reject(new Error(e.message));
+      };
       worker.postMessage({ type: 'compile', targetImages });
     });
   }
+
+  encodePNG(canvas) {
+    return new Promise((resolve) => {
+      canvas.toBlob(resolve, 'image/png');
+    });
+  }
+
+  createCompileWorker() {
+    const worker = new CompilePoolWorker();
+    return {
+      postMessage: (message) => worker.postMessage(message),
+      onMessage: (handler) => { worker.onmessage = (e) => handler(e.data); },
+      onError: (handler) => { worker.onerror = (e) => handler(new Error(e.message)); },
+      terminate: () => worker.terminate(),
+    };
+  }
 }
@@ -6,19 +6,15 @@ onmessage = (msg) => {
   if (data.type === 'compile') {
     //console.log("worker compile...");
     const { targetImages } = data;
-    const percentPerImage = 100.0 / targetImages.length;
-    let percent = 0.0;
     const list = [];
     for (let i = 0; i < targetImages.length; i++) {
       const targetImage = targetImages[i];
       const imageList = buildTrackingImageList(targetImage);
-      const percentPerAction = percentPerImage / imageList.length;
 
       //console.log("compiling tracking...", i);
       const trackingData = extractTrackingFeatures(imageList, (index) => {
         //console.log("done tracking", i, index);
-        percent += percentPerAction
-        postMessage({ type: 'progress', percent });
+        postMessage({ type: 'progress', targetIndex: i, percent: 100 * (index + 1) / imageList.length });
       });
       list.push(trackingData);
     }
@@ -0,0 +1,84 @@
+import {
+  DEFAULT_FILTER_DCUTOFF,
+  DEFAULT_WARMUP_TOLERANCE,
+  DEFAULT_MISS_TOLERANCE,
+  DEFAULT_MAX_TRACK,
+  DEFAULT_MATCH_CANDIDATES,
+  DEFAULT_DETECTION_STRATEGY
+} from './defaults.js';
+import {
+  validateTargetFPS,
+  validateFilterParams,
+  validateWarmupTolerance,
+  validateMissTolerance,
+  validateMaxTrack,
+  validateMatchCandidates
+} from './validators.js';
+import {validateDetectionStrategy} from '../detector/detection-regions.js';
+
+// Controller and WorkerController constructor options with their defaults applied
+export function resolveControllerSettings({
+  debugMode = false,
+  maxTrack = DEFAULT_MAX_TRACK,
+  warmupTolerance = null,
+  missTolerance = null,
+  filterDCutOff = null,
+  targetFPS = null,
+  matchCandidates = null,
+  detectionStrategy = null
+}) {
+  const settings = {
+    debugMode,
+    maxTrack,
+    filterDCutOff: filterDCutOff ?? DEFAULT_FILTER_DCUTOFF,
+    warmupTolerance: warmupTolerance ?? DEFAULT_WARMUP_TOLERANCE,
+    missTolerance: missTolerance ?? DEFAULT_MISS_TOLERANCE,
+    targetFPS,
+    matchCandidates: matchCandidates ?? DEFAULT_MATCH_CANDIDATES,
+    detectionStrategy: detectionStrategy ?? DEFAULT_DETECTION_STRATEGY
+  };
+  validateMatchCandidates(settings.matchCandidates);
+  return settings;
+}
+
+// Setters of Controller and WorkerController: each validates its argument and returns the settings it changes
+export const CONTROLLER_SETTERS = {
+  setTargetFPS: (targetFPS) => {
+    validateTargetFPS(targetFPS);
+    return {targetFPS};
+  },
+  setFilterParams: ({filterDCutOff}) => {
+    validateFilterParams({filterDCutOff});
+    return filterDCutOff === undefined ? {} : {filterDCutOff};
+  },
+  setWarmupTolerance: (warmupTolerance) => {
+    validateWarmupTolerance(warmupTolerance);
+    return {warmupTolerance};
+  },
+  setMissTolerance: (missTolerance) => {
+    validateMissTolerance(missTolerance);
+    return {missTolerance};
+  },
+  setMaxTrack: (maxTrack) => {
+    validateMaxTrack(maxTrack);
+    return {maxTrack: Math.floor(maxTrack)};
+  },
+  setDetectionStrategy: (detectionStrategy) => {
+    validateDetectionStrategy(detectionStrategy);
+    return {detectionStrategy};
+  },
+  setDebugMode: (debugMode) => ({debugMode})
+};
+
+// Controller.getConfig
+export function getControllerConfig(settings) {
+  return {
+    filterDCutOff: settings.filterDCutOff,
+    warmupTolerance: settings.warmupTolerance,
+    missTolerance: settings.missTolerance,
+    maxTrack: settings.maxTrack,
+    targetFPS: settings.targetFPS,
+    matchCandidates: settings.matchCandidates,
+    detectionStrategy: settings.detectionStrategy
+  };
+}
@@ -18,3 +18,9 @@ export const PROJECTION_NEAR = 10;
 export const PROJECTION_FAR = 100000;
 export const PROJECTION_FOVY = 45.0 * Math.PI / 180;
 
+
+// Candidate targets verified per detection when the target index ranks a large target library
+export const DEFAULT_MATCH_CANDIDATES = 5;
+
+export const DEFAULT_MAX_TRACK = 1;
+export const DEFAULT_DETECTION_STRATEGY = {type: 'center'};
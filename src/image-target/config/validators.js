@@ -26,3 +26,9 @@ export function validateMaxTrack(maxTrack) {
   }
 }
 
+
+export function validateMatchCandidates(matchCandidates) {
+  if (!Number.isInteger(matchCandidates) || matchCandidates < 1) {
+    throw new Error('matchCandidates must be a positive integer');
+  }
+}
@@ -0,0 +1,660 @@
+import {memory} from '@tensorflow/tfjs';
+
+const tf = {memory};
+import {Tracker} from './tracker/tracker.js';
+import {CropDetector} from './detector/crop-detector.js';
+import {CompilerBase} from './compiler-base.js';
+import {InputLoader} from './input-loader.js';
+import {PerformanceManager} from './performance/performance-manager.js';
+import {WorkerManager} from './workers/worker-manager.js';
+import {TrackingStateManager} from './core/tracking-state-manager.js';
+import {FrameProcessor} from './core/frame-processor.js';
+import {runFrameLoop} from './core/frame-loop.js';
+import {createInThreadMatchingWorker} from './workers/matching-handler.js';
+import {CURRENT_VERSION} from './format/migration.js';
+import {
+  createPhysicalSize,
+  validateUniqueNames,
+  findTargetIndex,
+  resolveTargetIndex,
+  resolveTargetSelector,
+  resolveTargetActivation
+} from './target-metadata.js';
+import {ImagePoseEstimator} from './image-pose-estimator.js';
+import {createFrameSource} from './frame-source.js';
+import {Logger} from '../libs/logger.js';
+import {resolveControllerSettings, CONTROLLER_SETTERS, getControllerConfig} from './config/controller-settings.js';
+import {createProjectionTransform, createProjectionMatrix} from './math/projection.js';
+import {getRotatedZ90Matrix, glModelViewMatrix} from './math/matrix-transform.js';
+
+// The image-tracking pipeline without DOM access: Controller adds instant targets, which are captured on a canvas.
+// Matching runs on the calling thread unless a subclass provides a worker, see createMatchingWorker.
+// The pipeline worker of WorkerController runs a ControllerBase
+class ControllerBase {
+  constructor({
+    inputWidth,
+    inputHeight,
+    onUpdate = null,
+    onWorkDistributionEnabled = null,
+    ...options
+  }) {
+    this.inputWidth = inputWidth;
+    this.inputHeight = inputHeight;
+    Object.assign(this, resolveControllerSettings(options));
+    this.onUpdate = onUpdate;
+    this.onWorkDistributionEnabled = onWorkDistributionEnabled;
+
+    this.logger = new Logger('Controller', true, this.debugMode ? 'debug' : 'info');
+    this.logger.info('Initializing controller', {
+      inputWidth,
+      inputHeight,
+      maxTrack: this.maxTrack,
+      targetFPS: this.targetFPS,
+      matchCandidates: this.matchCandidates,
+      filterDCutOff: this.filterDCutOff
+    });
+
+    this.cropDetector = new CropDetector(this.inputWidth, this.inputHeight, this.debugMode, this.detectionStrategy);
+    this.inputLoader = new InputLoader(this.inputWidth, this.inputHeight);
+    this.markerDimensions = null;
+    this.targetInfos = [];
+    // Imported data per target, null for removed targets
+    this.targetDataList = [];
+    this.imagePoseEstimator = null;
+
+    this.projectionTransform = createProjectionTransform(this.inputWidth, this.inputHeight);
+    this.projectionMatrix = createProjectionMatrix({
+      projectionTransform: this.projectionTransform,
+      width: this.inputWidth,
+      height: this.inputHeight
+    });
+
+    this.performanceManager = new PerformanceManager({
+      targetFrameTime: this.targetFPS ? (1000 / this.targetFPS) : 33.33,
+      minFrameTime: 16.67,
+      debugMode: this.debugMode
+    });
+
+    this.workerManager = new WorkerManager(this.createMatchingWorker());
+    this.trackingStateManager = null;
+    this.frameProcessor = null;
+    this.tracker = null;
+    this.processingVideo = false;
+    this.processingFrame = false;
+    this.frameSource = null;
+    this.ownsFrameSource = false;
+    this.interestedTargetIndex = -1;
+  }
+
+  // Worker for matching and pose estimation, see controller.worker.js
+  createMatchingWorker() {
+    return createInThreadMatchingWorker();
+  }
+
+  showTFStats() {
+    console.log(tf.memory().numTensors);
+    console.table(tf.memory());
+  }
+
+  async addImageTargets(fileURL) {
+    this.logger.info('Loading image targets from URL', { fileURL });
+    try {
+      const content = await fetch(fileURL);
+      const buffer = await content.arrayBuffer();
+      return this.addImageTargetsFromBuffer(buffer);
+    } catch (error) {
+      this.logger.error('Failed to load image targets from URL', { fileURL, error: error.message });
+      throw error;
+    }
+  }
+
+  addImageTargetsFromBuffer(buffer) {
+    this.logger.info('Adding image targets from buffer', { bufferSize: buffer.byteLength });
+    const dataList = this._importTargetData(buffer);
+    if (dataList.length === 0) {
+      return {dimensions: [], matchingDataList: [], trackingDataList: []};
+    }
+    return this._setupTargets(dataList);
+  }
+
+  /**
+   * Add the targets of a .mind file to the running controller. Video processing continues, and the
+   * indexes and tracking state of the existing targets do not change
+   * @param {ArrayBuffer} buffer - Content of a .mind file
+   * @returns {number[]} - Indexes of the added targets
+   */
+  addTargets(buffer) {
+    this.logger.info('Adding targets at runtime', { bufferSize: buffer.byteLength });
+    return this._addTargetData(this._importTargetData(buffer));
+  }
+
+  /**
+   * Remove a target at runtime. A showing target is reported lost through onUpdate.
+   * Its index is not reused, so the other targets keep their indexes and tracking state
+   * @param {number|string} target - Target index or name
+   */
+  removeTarget(target) {
+    const targetIndex = this._resolveTargetIndex(target);
+    const {showing} = this.trackingStateManager.getState(targetIndex);
+    this.trackingStateManager.removeTarget(targetIndex);
+    this.tracker.removeTarget(targetIndex);
+    this.workerManager.removeTarget(targetIndex);
+    this.targetInfos[targetIndex] = null;
+    this.targetDataList[targetIndex] = null;
+    this._resetImagePoseEstimator();
+    this.logger.info('Target removed', { targetIndex });
+
+    if (showing) {
+      this._notifyTargetHidden(targetIndex);
+    }
+  }
+
+  /**
+   * Allow targets to be detected and tracked again
+   * @param {number|string|{tag: string}|Array} targets - See setActiveTargets
+   * @returns {number[]} - Indexes of the selected targets
+   */
+  enableTargets(targets) {
+    return this._activateTargets('enableTargets', targets);
+  }
+
+  /**
+   * Stop detecting and tracking targets. A showing target is reported lost through onUpdate
+   * @param {number|string|{tag: string}|Array} targets - See setActiveTargets
+   * @returns {number[]} - Indexes of the selected targets
+   */
+  disableTargets(targets) {
+    return this._activateTargets('disableTargets', targets);
+  }
+
+  /**
+   * Enable the selected targets and disable all others. Targets added later are enabled
+   * @param {number|string|{tag: string}|Array} targets - A target index, a target name, {tag} for every
+   *   target with that tag, or an array of these
+   * @returns {number[]} - Indexes of the enabled targets
+   */
+  setActiveTargets(targets) {
+    const targetIndexes = this._activateTargets('setActiveTargets', targets);
+    this.logger.info('Set active targets', { targetIndexes });
+    return targetIndexes;
+  }
+
+  /**
+   * @param {number|string} target - Target index or name
+   * @returns {boolean}
+   */
+  isTargetEnabled(target) {
+    return this.trackingStateManager.isEnabled(this._resolveTargetIndex(target));
+  }
+
+  _activateTargets(method, targets) {
+    const {targetIndexes, enabledStates} = resolveTargetActivation(this.targetInfos, method, targets);
+    for (const [targetIndex, enabled] of enabledStates) {
+      this._setTargetEnabled(targetIndex, enabled);
+    }
+    return targetIndexes;
+  }
+
+  _setTargetEnabled(targetIndex, enabled) {
+    if (this.trackingStateManager.isEnabled(targetIndex) === enabled) return;
+    const {showing} = this.trackingStateManager.getState(targetIndex);
+    this.trackingStateManager.setEnabled(targetIndex, enabled);
+    if (showing) {
+      this._notifyTargetHidden(targetIndex);
+    }
+  }
+
+  _notifyTargetHidden(targetIndex) {
+    if (this.onUpdate) {
+      this.onUpdate({type: 'updateMatrix', targetIndex, worldMatrix: null});
+    }
+  }
+
+  _resolveTargetIndex(target) {
+    return resolveTargetIndex(this.targetInfos, target);
+  }
+
+  _resolveTargetSelector(targets) {
+    return resolveTargetSelector(this.targetInfos, targets);
+  }
+
+  _importTargetData(buffer) {
+    const compiler = new CompilerBase();
+    let dataList;
+    try {
+      dataList = compiler.importData(buffer);
+    } catch (error) {
+      this.logger.error('Failed to import target data from buffer', { error: error.message, missing: error.missing });
+      throw error;
+    }
+
+    if (compiler.importedVersion !== CURRENT_VERSION) {
+      this.logger.warn('Upgraded .mind file in memory. Run mindar-migrate to upgrade it on disk', {
+        fromVersion: compiler.importedVersion,
+        toVersion: CURRENT_VERSION
+      });
+    }
+
+    if (!dataList || dataList.length === 0) {
+      this.logger.warn('No target data found in buffer');
+      return [];
+    }
+    return dataList;
+  }
+
+  _validateNewTargetNames(metadataList) {
+    const activeTargetInfos = this.targetInfos.filter((targetInfo) => targetInfo !== null);
+    validateUniqueNames([...activeTargetInfos, ...metadataList]);
+  }
+
+  // Set up the first targets, or append to the running setup
+  _addTargetData(dataList) {
+    this._validateNewTargetNames(dataList.map((data) => data.metadata));
+    const startIndex = this.targetInfos.length;
+    if (this.frameProcessor) {
+      this._appendTargets(dataList);
+    } else {
+      this._setupTargets(dataList);
+    }
+    return dataList.map((_, i) => startIndex + i);
+  }
+
+  _createTargetInfo(data, index) {
+    return {
+      index,
+      width: data.targetImage.width,
+      height: data.targetImage.height,
+      ...data.metadata,
+      geometry: data.geometry,
+      thumbnail: data.thumbnail
+    };
+  }
+
+  // Add targets to a running setup without resetting the tracking state of the existing targets
+  _appendTargets(dataList) {
+    const startIndex = this.targetInfos.length;
+    const dimensions = dataList.map((data) => [data.targetImage.width, data.targetImage.height]);
+    const geometryList = dataList.map((data) => data.geometry);
+
+    this.targetInfos = [...this.targetInfos, ...dataList.map((data, i) => this._createTargetInfo(data, startIndex + i))];
+    this.targetDataList = [...this.targetDataList, ...dataList];
+    this._resetImagePoseEstimator();
+    this.markerDimensions = [...this.markerDimensions, ...dimensions];
+    this.tracker.addTargets(
+      dimensions,
+      dataList.map((data) => data.trackingData),
+      dataList.map((data) => data.mask),
+      geometryList
+    );
+    this.trackingStateManager.addTargets(dimensions);
+    this.workerManager.addTargets({
+      matchingDataList: dataList.map((data) => data.matchingData),
+      geometryList,
+      targetWidths: dimensions.map(([width]) => width)
+    });
+    this.frameProcessor.markerDimensions = this.markerDimensions;
+  }
+
+  _setupTargets(dataList) {
+    const trackingDataList = [];
+    const matchingDataList = [];
+    const dimensions = [];
+    const targetInfos = [];
+    for (let i = 0; i < dataList.length; i++) {
+      matchingDataList.push(dataList[i].matchingData);
+      trackingDataList.push(dataList[i].trackingData);
+      dimensions.push([dataList[i].targetImage.width, dataList[i].targetImage.height]);
+      targetInfos.push(this._createTargetInfo(dataList[i], i));
+    }
+
+    this.logger.info('Image targets loaded', { count: dimensions.length, dimensions });
+
+    this.markerDimensions = dimensions;
+    this.targetInfos = targetInfos;
+    this.targetDataList = [...dataList];
+    this._resetImagePoseEstimator();
+    this.tracker = new Tracker(
+      dimensions,
+      trackingDataList,
+      this.projectionTransform,
+      this.inputWidth,
+      this.inputHeight,
+      this.debugMode,
+      dataList.map((data) => data.mask),
+      dataList.map((data) => data.geometry)
+    );
+
+    const quality = this.performanceManager.getQuality();
+    this.tracker.setQuality(quality);
+    this.cropDetector.detector.setQuality(quality);
+
+    this.trackingStateManager = new TrackingStateManager(dimensions);
+
+    this.workerManager.setup({
+      inputWidth: this.inputWidth,
+      inputHeight: this.inputHeight,
+      projectionTransform: this.projectionTransform,
+      debugMode: this.debugMode,
+      matchCandidates: this.matchCandidates,
+      matchingDataList,
+      geometryList: dataList.map((data) => data.geometry),
+      targetWidths: dimensions.map(([width]) => width)
+    });
+
+    this.frameProcessor = new FrameProcessor({
+      inputLoader: this.inputLoader,
+      cropDetector: this.cropDetector,
+      tracker: this.tracker,
+      workerManager: this.workerManager,
+      trackingStateManager: this.trackingStateManager,
+      performanceManager: this.performanceManager,
+      onUpdate: this.onUpdate,
+      debugMode: this.debugMode,
+      maxTrack: this.maxTrack,
+      warmupTolerance: this.warmupTolerance,
+      missTolerance: this.missTolerance,
+      targetFPS: this.targetFPS,
+      markerDimensions: this.markerDimensions,
+      inputWidth: this.inputWidth,
+      inputHeight: this.inputHeight,
+      getRotatedZ90Matrix,
+      glModelViewMatrix: (modelViewTransform, targetHeight) => 
+        glModelViewMatrix(modelViewTransform, targetHeight),
+      onWorkDistributionEnabled: this.onWorkDistributionEnabled || null
+    });
+
+    this.logger.info('Controller setup complete', { targetCount: dimensions.length });
+    return {dimensions, matchingDataList, trackingDataList};
+  }
+
+  /**
+   * Find targets in a still image, independent of the video input and its tracking state.
+   * Runs detection on the whole image, matching, pose refinement and, on the webgl backend, tracker refinement
+   * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap|ImageData} image - Any size
+   * @param {Object} options - See ImagePoseEstimator.estimate, and:
+   * @param {number|string|{tag: string}|Array|null} options.targets - Targets to look for, see setActiveTargets.
+   *   null looks for every enabled target
+   * @returns {Promise<Array>} - One result per found target:
+   *   {targetIndex, name, modelViewTransform, worldMatrix, corners, inliers, trackedPoints, reprojectionError}
+   */
+  async estimatePose(image, {targets = null, ...options} = {}) {
+    const targetIndexes = targets === null
+      ? this.targetInfos.flatMap((targetInfo, i) => targetInfo !== null && this.trackingStateManager.isEnabled(i) ? [i] : [])
+      : this._resolveTargetSelector(targets);
+    if (this.imagePoseEstimator === null) {
+      this.imagePoseEstimator = new ImagePoseEstimator(this.targetDataList, {debugMode: this.debugMode});
+    }
+    const results = await this.imagePoseEstimator.estimate(image, {...options, targetIndexes});
+    this.logger.info('Estimated poses in image', { width: image.width, height: image.height, found: results.length });
+    return results;
+  }
+
+  _resetImagePoseEstimator() {
+    if (this.imagePoseEstimator !== null) {
+      this.imagePoseEstimator.dispose();
+      this.imagePoseEstimator = null;
+    }
+  }
+
+  dispose() {
+    this.logger.info('Disposing controller');
+    this._resetImagePoseEstimator();
+    this.stopProcessVideo();
+    this.workerManager.dispose();
+  }
+
+  dummyRun(input) {
+    const inputT = this.inputLoader.loadInput(input);
+    this.cropDetector.detect(inputT);
+    if (this.tracker) {
+      this.tracker.dummyRun(inputT);
+    }
+    inputT.dispose();
+  }
+
+  /**
+   * Get the metadata of a loaded target
+   * @param {number} targetIndex - Index of the target in the loaded .mind file
+   * @returns {{index: number, width: number, height: number, name: string|null, physicalSize: Object|null, tags: string[], extra: *, geometry: Object, thumbnail: Object|null}}
+   */
+  getTargetInfo(targetIndex) {
+    const targetInfo = this.targetInfos[targetIndex];
+    if (!targetInfo) {
+      throw new Error(`No target at index ${targetIndex}`);
+    }
+    return targetInfo;
+  }
+
+  /**
+   * Find the index of a loaded target by name
+   * @param {string} name - Target name stored in the .mind file
+   * @returns {number} - Target index, or -1 if no target has this name
+   */
+  getTargetIndex(name) {
+    return findTargetIndex(this.targetInfos, name);
+  }
+
+  /**
+   * Declare the printed size of a loaded target, replacing the size stored in the .mind file
+   * @param {number} targetIndex - Index of the target in the loaded .mind file
+   * @param {{width: number, unit: 'mm'|'cm'|'m'}} physicalSize - Printed width of the target
+   */
+  setTargetPhysicalSize(targetIndex, physicalSize) {
+    const targetInfo = this.getTargetInfo(targetIndex);
+    targetInfo.physicalSize = createPhysicalSize(physicalSize, targetInfo);
+    this.logger.info('Set target physical size', { targetIndex, physicalSize: targetInfo.physicalSize });
+  }
+
+  getProjectionMatrix() {
+    return this.projectionMatrix;
+  }
+
+  getRotatedZ90Matrix(m) {
+    return getRotatedZ90Matrix(m);
+  }
+
+  getWorldMatrix(modelViewTransform, targetIndex) {
+    return glModelViewMatrix(modelViewTransform, this.markerDimensions[targetIndex][1]);
+  }
+
+  /**
+   * Run one detect/track/update cycle on a frame, for apps that drive processing from their own render loop
+   * instead of processVideo. onUpdate is called as in the loop. Frames are never skipped or FPS-limited and
+   * pauseProcessing does not apply, while adaptive quality does
+   * @param {*} frame - Any frame, see frame-source.js, of the input size
+   * @param {number} timestamp - Frame time, in milliseconds
+   * @returns {Promise<Array<{targetIndex: number, name: string|null, showing: boolean, worldMatrix: number[]|null}>>} -
+   *   One result per loaded target. worldMatrix is the onUpdate matrix of this frame, null while not showing
+   */
+  async processFrame(frame, timestamp = performance.now()) {
+    if (!this.frameProcessor) {
+      throw new Error('Must call addImageTargets before processFrame');
+    }
+    if (this.processingVideo) {
+      throw new Error('Stop video processing before calling processFrame');
+    }
+    if (this.processingFrame) {
+      throw new Error('processFrame called before the previous frame finished processing');
+    }
+    const results = await this._processFrame(frame, timestamp);
+    return results
+      .filter(({targetIndex}) => this.targetInfos[targetIndex] !== null)
+      .map((result) => ({...result, name: this.targetInfos[result.targetIndex].name}));
+  }
+
+  async _processFrame(frame, timestamp) {
+    this.processingFrame = true;
+    try {
+      return await this.frameProcessor.runFrame(frame, timestamp);
+    } finally {
+      this.processingFrame = false;
+    }
+  }
+
+  /**
+   * Start the built-in processing loop: every frame of the source that is not skipped runs the same cycle as
+   * processFrame. Frames are skipped while paused, by FPS limiting and by adaptive scheduling
+   * @param {*} input - A frame source (see frame-source.js), or anything createFrameSource accepts: a video,
+   *   image or canvas element, OffscreenCanvas, ImageBitmap, VideoFrame, raw {data, width, height, format}
+   *   buffer, MediaStream, or a video file or its URL. Its frame size should equal the input size
+   */
+  processVideo(input) {
+    if (this.processingVideo) {
+      this.logger.warn('processVideo called while already processing');
+      return;
+    }
+    if (!this.frameProcessor) {
+      this.logger.error('Must call addImageTargets before processVideo');
+      throw new Error('Must call addImageTargets before processVideo');
+    }
+
+    const frameSource = createFrameSource(input);
+    // Sources created here from streams and files belong to the controller and are closed when processing stops
+    this.frameSource = frameSource;
+    this.ownsFrameSource = frameSource !== input;
+
+    this.logger.info('Starting video processing', {
+      frameWidth: frameSource.width,
+      frameHeight: frameSource.height,
+      canRequestFrame: frameSource.canRequestFrame
+    });
+    this.processingVideo = true;
+    this.trackingStateManager.reset();
+
+    runFrameLoop(frameSource, {
+      isCurrent: () => this.processingVideo && this.frameSource === frameSource,
+      shouldProcessFrame: (now) => this.frameProcessor.shouldProcessFrame(now),
+      processFrame: (frame, now) => this._processFrame(frame, now),
+      onError: (error) => {
+        this.logger.error('Frame processing error', { error: error.message });
+      }
+    });
+  }
+
+  stopProcessVideo() {
+    if (this.processingVideo) {
+      this.logger.info('Stopping video processing');
+    }
+    this.processingVideo = false;
+    if (this.frameSource !== null && this.ownsFrameSource) {
+      this.frameSource.close();
+    }
+    this.frameSource = null;
+    this.ownsFrameSource = false;
+    if (this.frameProcessor) {
+      this.frameProcessor.setPaused(false);
+      this.frameProcessor.resetFrameTiming();
+    }
+  }
+
+  pauseProcessing() {
+    if (this.frameProcessor) {
+      this.frameProcessor.setPaused(true);
+    }
+  }
+
+  resumeProcessing() {
+    if (this.frameProcessor) {
+      this.frameProcessor.setPaused(false);
+      this.frameProcessor.resetFrameTiming();
+    }
+  }
+
+  isProcessingPaused() {
+    return this.frameProcessor ? this.frameProcessor.processingPaused : false;
+  }
+
+  setTargetFPS(targetFPS) {
+    Object.assign(this, CONTROLLER_SETTERS.setTargetFPS(targetFPS));
+    this.logger.info('Setting target FPS', { targetFPS });
+    if (this.frameProcessor) {
+      this.frameProcessor.setTargetFPS(targetFPS);
+    }
+    if (this.performanceManager) {
+      this.performanceManager.config.targetFrameTime = targetFPS ? (1000 / targetFPS) : 33.33;
+    }
+  }
+
+  setFilterParams({filterDCutOff}) {
+    Object.assign(this, CONTROLLER_SETTERS.setFilterParams({filterDCutOff}));
+  }
+
+  setWarmupTolerance(warmupTolerance) {
+    Object.assign(this, CONTROLLER_SETTERS.setWarmupTolerance(warmupTolerance));
+    if (this.frameProcessor) {
+      this.frameProcessor.warmupTolerance = warmupTolerance;
+    }
+  }
+
+  setMissTolerance(missTolerance) {
+    Object.assign(this, CONTROLLER_SETTERS.setMissTolerance(missTolerance));
+    if (this.frameProcessor) {
+      this.frameProcessor.missTolerance = missTolerance;
+    }
+  }
+
+  setMaxTrack(maxTrack) {
+    Object.assign(this, CONTROLLER_SETTERS.setMaxTrack(maxTrack));
+    this.logger.info('Setting max track', { maxTrack: this.maxTrack });
+    if (this.frameProcessor) {
+      this.frameProcessor.maxTrack = this.maxTrack;
+    }
+  }
+
+  /**
+   * Select where detection searches for new targets; takes effect on the next detection
+   * @param {Object} detectionStrategy - {type: 'center'} walks crops around the frame centre,
+   *   {type: 'tiles', overlap} tiles the whole frame, {type: 'roi', regions: [{x, y, width, height}]} searches
+   *   around regions in input pixels, {type: 'multi-scale', scales} walks the centre with crops of several sizes
+   */
+  setDetectionStrategy(detectionStrategy) {
+    Object.assign(this, CONTROLLER_SETTERS.setDetectionStrategy(detectionStrategy));
+    this.logger.info('Setting detection strategy', { type: detectionStrategy.type });
+    this.cropDetector.setDetectionStrategy(detectionStrategy);
+  }
+
+  // Debug logging and timing breakdowns of the controller, detector and tracker
+  setDebugMode(debugMode) {
+    Object.assign(this, CONTROLLER_SETTERS.setDebugMode(debugMode));
+    if (this.cropDetector && this.cropDetector.detector) {
+      this.cropDetector.detector.debugMode = debugMode;
+    }
+    if (this.tracker) {
+      this.tracker.debugMode = debugMode;
+    }
+  }
+
+  getConfig() {
+    return getControllerConfig(this);
+  }
+
+  async detect(input) {
+    const inputT = this.inputLoader.loadInput(input);
+    const {featurePoints, debugExtra} = await this.cropDetector.detect(inputT);
+    inputT.dispose();
+    return {featurePoints, debugExtra};
+  }
+
+  async match(featurePoints, targetIndex) {
+    const {matches, debugExtra} = await this.workerManager.match(featurePoints, [targetIndex]);
+    return {modelViewTransform: matches.length > 0 ? matches[0].modelViewTransform : null, debugExtra};
+  }
+
+  async track(input, modelViewTransform, targetIndex) {
+    const inputT = this.inputLoader.loadInput(input);
+    const result = this.tracker.track(inputT, modelViewTransform, targetIndex);
+    inputT.dispose();
+    return result;
+  }
+
+  async trackUpdate(modelViewTransform, trackFeatures) {
+    if (trackFeatures.worldCoords.length < 4) return null;
+    const modelViewTransform2 = await this.workerManager.trackUpdate(modelViewTransform, trackFeatures);
+    return modelViewTransform2;
+  }
+}
+
+export {
+  ControllerBase
+};
+
@@ -0,0 +1,65 @@
+// The processVideo loop of Controller and WorkerController
+
+// requestAnimationFrame, or a timeout where there is none (workers)
+const nextAnimationFrame = () => new Promise((resolve) => {
+  if (typeof requestAnimationFrame === 'function') {
+    requestAnimationFrame(resolve);
+  } else {
+    setTimeout(resolve);
+  }
+});
+
+/**
+ * Run processFrame on the frames of a frame source, one frame at a time, while isCurrent() is true
+ * @param {Object} frameSource - See frame-source.js
+ * @param {Object} options
+ * @param {Function} options.isCurrent - Returns false once the loop should stop
+ * @param {Function} options.shouldProcessFrame - Called with the frame time; false skips the frame
+ * @param {Function} options.processFrame - Called with (frame, timestamp); returns a promise
+ * @param {Function} options.onError - Called with errors of processFrame; the loop continues
+ * @param {boolean} options.newFramesOnly - Polled videos: skip frames whose currentTime was already processed
+ */
+const runFrameLoop = (frameSource, {isCurrent, shouldProcessFrame, processFrame, onError, newFramesOnly = false}) => {
+  const processLoopFrame = (frame, timestamp) => {
+    return Promise.resolve().then(() => processFrame(frame, timestamp)).catch(onError);
+  };
+
+  if (frameSource.canRequestFrame) {
+    // Frame-driven sources: requestVideoFrameCallback, or frames pushed by the app
+    const scheduleNextFrame = (frame, metadata) => {
+      if (!isCurrent()) return;
+      // Use metadata timing if available (from requestVideoFrameCallback)
+      const now = metadata ? metadata.expectedDisplayTime : performance.now();
+      if (!shouldProcessFrame(now)) {
+        frameSource.requestFrame(scheduleNextFrame);
+        return;
+      }
+      processLoopFrame(frame, now).then(() => {
+        if (isCurrent()) {
+          frameSource.requestFrame(scheduleNextFrame);
+        }
+      });
+    };
+    frameSource.requestFrame(scheduleNextFrame);
+    return;
+  }
+
+  let lastVideoTime = null;
+  const startProcessing = async () => {
+    while (isCurrent()) {
+      const frame = frameSource.getFrame();
+      const videoTime = newFramesOnly && frame !== null && frameSource.isVideo ? frame.currentTime : null;
+      const isNewFrame = videoTime === null || videoTime !== lastVideoTime;
+      if (frame !== null && isNewFrame && shouldProcessFrame(performance.now())) {
+        lastVideoTime = videoTime;
+        await processLoopFrame(frame, performance.now());
+      }
+      await nextAnimationFrame();
+    }
+  };
+  startProcessing();
+};
+
+export {
+  runFrameLoop
+};
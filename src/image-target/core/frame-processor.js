@@ -2,6 +2,7 @@ import {memory, nextFrame} from '@tensorflow/tfjs';
 import {WorkDistributionManager} from '../performance/work-distribution-manager.js';
 import {MemoryManager} from '../performance/memory-manager.js';
 import {SmartScheduler, scheduleIdleWork} from '../performance/smart-scheduler.js';
+import {getFrameSize} from '../frame-source.js';
 import {Logger} from '../../libs/logger.js';
 
 const tf = {memory, nextFrame};
@@ -15,15 +16,19 @@ class FrameProcessor {
     trackingStateManager,
     performanceManager,
     onUpdate,
+    onFrame = null,
     debugMode,
     maxTrack,
     warmupTolerance,
     missTolerance,
     targetFPS,
     markerDimensions,
+    inputWidth,
+    inputHeight,
     getRotatedZ90Matrix,
     glModelViewMatrix,
-    onWorkDistributionEnabled
+    onWorkDistributionEnabled,
+    realtime = true
   }) {
     this.inputLoader = inputLoader;
     this.cropDetector = cropDetector;
@@ -32,18 +37,27 @@ class FrameProcessor {
     this.trackingStateManager = trackingStateManager;
     this.performanceManager = performanceManager;
     this.onUpdate = onUpdate;
+    // Called with (input, timestamp) for every frame that is processed, before detection and tracking
+    this.onFrame = onFrame;
+    // Called with the scheduling decisions of every frame that is processed, after tracking, see runFrame
+    this.onFrameDecisions = null;
     this.debugMode = debugMode;
     this.maxTrack = maxTrack;
     this.warmupTolerance = warmupTolerance;
     this.missTolerance = missTolerance;
     this.targetFPS = targetFPS;
     this.markerDimensions = markerDimensions;
+    this.inputWidth = inputWidth;
+    this.inputHeight = inputHeight;
     this.getRotatedZ90Matrix = getRotatedZ90Matrix;
     this.glModelViewMatrix = glModelViewMatrix;
 
     this.frameInterval = targetFPS ? (1000 / targetFPS) : 0;
     this.lastFrameTime = 0;
     this.processingPaused = false;
+    // Realtime: frame skipping, FPS limiting, work distribution and adaptive quality.
+    // Otherwise every frame is fully processed at full quality, so results only depend on the frames
+    this.realtime = realtime;
 
     this.workDistributionManager = new WorkDistributionManager({
       detectionSkipInterval: 3, // Skip detection every 3 frames when tracking (less aggressive)
@@ -100,6 +114,7 @@ class FrameProcessor {
     this._cachedMatrixArrays = []; // Per-target matrix arrays for slice operations
     this._cachedRotatedMatrices = []; // Per-target rotated matrix arrays
     this._cachedWorldMatrices = []; // Per-target world matrix arrays (from glModelViewMatrix)
+    this._frameWorldMatrices = []; // Per-target matrix last reported through onUpdate, null once hidden
 
     this.logger = new Logger('FrameProcessor', true, debugMode ? 'debug' : 'info');
     this.logger.info('Frame processor initialized', {
@@ -110,41 +125,66 @@ class FrameProcessor {
     });
   }
 
-  async processFrame(input, metadata = null) {
+  shouldProcessFrame(now) {
     if (this.processingPaused) {
-      return;
+      return false;
     }
 
-    const frameStartTime = performance.now();
-
-    // Use metadata timing if available (from requestVideoFrameCallback)
-    const now = metadata ? metadata.expectedDisplayTime : performance.now();
-    
     // Check adaptive frame skipping first (based on previous frame performance)
-    if (this.shouldSkipNextFrame) {
+    if (this.realtime && this.shouldSkipNextFrame) {
       this.shouldSkipNextFrame = false;
       this.logger.debug('Frame skipped (adaptive scheduling)');
-      return;
+      return false;
     }
     
     // Basic FPS limiting
-    if (this.targetFPS && this.frameInterval > 0) {
+    if (this.realtime && this.targetFPS && this.frameInterval > 0) {
       const timeSinceLastFrame = now - this.lastFrameTime;
       
       if (timeSinceLastFrame < this.frameInterval) {
-        return;
+        return false;
       }
       
       this.lastFrameTime = now;
     }
+    return true;
+  }
+
+  /**
+   * Run one detect/track/update cycle on a frame, whatever the pause state and frame timing.
+   *
+   * The scheduling decisions of a frame are {trackerQuality, detectorQuality, skipDetection, trackedTargets}:
+   * the tracker and detector quality it ran at, whether work distribution skipped detection, and the target
+   * indexes work distribution tracked (null when all tracked targets ran). Given decisions, e.g. those of a
+   * recorded frame, are applied instead of the live ones
+   * @param {*} input - Any frame, see frame-source.js
+   * @param {number} now - Frame time, in milliseconds
+   * @param {Object|null} decisions - Scheduling decisions to apply
+   * @returns {Promise<Array<{targetIndex: number, showing: boolean, worldMatrix: number[]|null}>>} - Per target, in
+   *   target index order. worldMatrix is a copy of the last matrix reported through onUpdate, null while not showing.
+   *   Targets that work distribution did not track this frame keep their matrix of the frame they were last tracked
+   */
+  async runFrame(input, now, decisions = null) {
+    const frameStartTime = performance.now();
+
+    if (this.onFrame) {
+      this.onFrame(input, now);
+    }
 
     const inputLoadStart = performance.now();
     const inputT = this.inputLoader.loadInput(input);
     const inputLoadTime = performance.now() - inputLoadStart;
 
-    const quality = this.performanceManager.getQuality();
+    if (decisions !== null) {
+      this._applyQuality(decisions.trackerQuality, decisions.detectorQuality);
+    }
+    const trackerQuality = this.tracker.getQuality();
+    const detectorQuality = this.cropDetector.detector.getQuality();
+
     const qualityLevel = this.performanceManager.getQualityLevel();
-    const isDistributionEnabled = this.workDistributionManager.shouldEnableDistribution(qualityLevel);
+    const isDistributionEnabled = decisions !== null
+      ? decisions.trackedTargets !== null
+      : this.realtime && this.workDistributionManager.shouldEnableDistribution(qualityLevel);
 
     const nTracking = this.trackingStateManager.getTrackingCount();
     const isTracking = nTracking > 0;
@@ -153,7 +193,9 @@ class FrameProcessor {
     let matchingTime = 0;
     
     // Check if we should skip detection (work distribution will handle the logic)
-    const shouldSkipDetection = this.workDistributionManager.shouldSkipDetection(isTracking);
+    const shouldSkipDetection = decisions !== null
+      ? decisions.skipDetection
+      : this.realtime && this.workDistributionManager.shouldSkipDetection(isTracking);
     
     // When maxTrack is 1 and we're already tracking one marker, skip detection entirely
     // Only resume detection when tracking is lost (nTracking becomes 0)
@@ -183,12 +225,13 @@ class FrameProcessor {
       
       if (matchingIndexes.length > 0) {
         const detectStart = performance.now();
-        const {targetIndex: matchedTargetIndex, modelViewTransform} = await this._detectAndMatch(inputT, matchingIndexes);
+        const matches = await this._detectAndMatch(inputT, matchingIndexes, this.maxTrack - nTracking);
         detectionTime = performance.now() - detectStart;
         matchingTime = detectionTime;
 
-        if (matchedTargetIndex !== -1) {
+        for (const {targetIndex: matchedTargetIndex, modelViewTransform} of matches) {
           const state = this.trackingStateManager.getState(matchedTargetIndex);
+          if (state === null || state.disabled) continue;
           state.isTracking = true;
           state.currentModelViewTransform = modelViewTransform;
           this.hasEverDetected = true;
@@ -202,10 +245,18 @@ class FrameProcessor {
 
     let trackingTime = 0;
     const allStates = this.trackingStateManager.getAllStates();
+    let trackedTargets = null;
     
     if (isDistributionEnabled) {
       // Process only a subset of tracking targets per frame
-      const targetsToProcess = this.workDistributionManager.getTrackingTargetsToProcess(allStates);
+      const targetsToProcess = decisions !== null
+        ? decisions.trackedTargets
+          .filter((stateIndex) => stateIndex < allStates.length)
+          .map((stateIndex) => ({stateIndex, state: allStates[stateIndex]}))
+        : this.workDistributionManager.getTrackingTargetsToProcess(allStates);
+      if (this.onFrameDecisions) {
+        trackedTargets = targetsToProcess.map(({stateIndex}) => stateIndex);
+      }
       
       for (const {stateIndex, state: trackingState} of targetsToProcess) {
         this._processTrackingState(inputT, input, stateIndex, trackingState);
@@ -260,34 +311,8 @@ class FrameProcessor {
     
     const totalFrameTime = performance.now() - frameStartTime;
     
-    // Check if we should skip next frame based on performance (adaptive skipping)
-    const targetFrameTime = this.targetFPS ? (1000 / this.targetFPS) : 33.33;
-    this.shouldSkipNextFrame = this.smartScheduler.shouldSkipFrame(totalFrameTime, targetFrameTime);
-    this.smartScheduler.recordFrame(totalFrameTime);
-    
-    const oldQuality = this.performanceManager.getQuality();
-    const oldQualityLevel = this.performanceManager.getQualityLevel();
-    const qualityChanged = this.performanceManager.recordFrameTime(totalFrameTime);
-    const newQuality = this.performanceManager.getQuality();
-    const newQualityLevel = this.performanceManager.getQualityLevel();
-    
-    if (qualityChanged && this.tracker && this.cropDetector) {
-      // Apply quality to tracker
-      this.tracker.setQuality(newQuality);
-      
-      // For detector, maintain minimum quality of 0.5 if we haven't detected yet
-      // This ensures initial detection can work even on slow devices
-      const detectorQuality = this.hasEverDetected ? newQuality : Math.max(newQuality, 0.5);
-      this.cropDetector.detector.setQuality(detectorQuality);
-      
-      // Only log when quality level actually changes (not just numeric value)
-      if (oldQualityLevel !== newQualityLevel) {
-        this.logger.debug('Quality level changed', {
-          oldQualityLevel,
-          newQualityLevel,
-          quality: newQuality.toFixed(2)
-        });
-      }
+    if (this.realtime) {
+      this._adaptToFrameTime(totalFrameTime);
     }
     
     if (this.debugMode) {
@@ -371,10 +396,60 @@ class FrameProcessor {
       });
     }
     
+    if (this.onFrameDecisions) {
+      this.onFrameDecisions({trackerQuality, detectorQuality, skipDetection: shouldSkipDetection, trackedTargets});
+    }
+
     // Reuse cached callback object
     if (this.onUpdate) {
       this.onUpdate(this._cachedProcessDoneCallback);
     }
+
+    return this._getFrameResults();
+  }
+
+  _getFrameResults() {
+    const allStates = this.trackingStateManager.getAllStates();
+    const results = new Array(allStates.length);
+    for (let i = 0; i < allStates.length; i++) {
+      const {showing} = allStates[i];
+      const worldMatrix = showing ? this._frameWorldMatrices[i] : null;
+      results[i] = {targetIndex: i, showing, worldMatrix: worldMatrix ? worldMatrix.slice() : null};
+    }
+    return results;
+  }
+
+  // Adaptive frame skipping and quality, from the time the last frame took
+  _adaptToFrameTime(totalFrameTime) {
+    // Check if we should skip next frame based on performance (adaptive skipping)
+    const targetFrameTime = this.targetFPS ? (1000 / this.targetFPS) : 33.33;
+    this.shouldSkipNextFrame = this.smartScheduler.shouldSkipFrame(totalFrameTime, targetFrameTime);
+    this.smartScheduler.recordFrame(totalFrameTime);
+    
+    const oldQuality = this.performanceManager.getQuality();
+    const oldQualityLevel = this.performanceManager.getQualityLevel();
+    const qualityChanged = this.performanceManager.recordFrameTime(totalFrameTime);
+    const newQuality = this.performanceManager.getQuality();
+    const newQualityLevel = this.performanceManager.getQualityLevel();
+    
+    if (qualityChanged && this.tracker && this.cropDetector) {
+      // Apply quality to tracker
+      this.tracker.setQuality(newQuality);
+      
+      // For detector, maintain minimum quality of 0.5 if we haven't detected yet
+      // This ensures initial detection can work even on slow devices
+      const detectorQuality = this.hasEverDetected ? newQuality : Math.max(newQuality, 0.5);
+      this.cropDetector.detector.setQuality(detectorQuality);
+      
+      // Only log when quality level actually changes (not just numeric value)
+      if (oldQualityLevel !== newQualityLevel) {
+        this.logger.debug('Quality level changed', {
+          oldQualityLevel,
+          newQualityLevel,
+          quality: newQuality.toFixed(2)
+        });
+      }
+    }
   }
 
   _getMatchingIndexes() {
@@ -387,30 +462,32 @@ class FrameProcessor {
     const states = this.trackingStateManager.getAllStates();
     for (let i = 0; i < states.length; i++) {
       const trackingState = states[i];
-      if (trackingState.isTracking === true) continue;
+      if (trackingState.isTracking === true || trackingState.disabled) continue;
       this._cachedMatchingIndexes.push(i);
     }
     return this._cachedMatchingIndexes;
   }
 
-  async _detectAndMatch(inputT, targetIndexes) {
+  // Verified targets of one detection, at most maxResults
+  async _detectAndMatch(inputT, targetIndexes, maxResults) {
     const detectStart = performance.now();
     const {featurePoints} = this.cropDetector.detectMoving(inputT);
     const detectTime = performance.now() - detectStart;
     
     const matchStart = performance.now();
-    const {targetIndex: matchedTargetIndex, modelViewTransform} = await this.workerManager.match(featurePoints, targetIndexes);
+    const {matches} = await this.workerManager.match(featurePoints, targetIndexes, maxResults);
     const matchTime = performance.now() - matchStart;
     
     if (this.debugMode) {
       this.logger.debug('Detection and matching', {
         detectTime: detectTime.toFixed(2),
         matchTime: matchTime.toFixed(2),
-        targetIndexes: targetIndexes.length
+        targetIndexes: targetIndexes.length,
+        matched: matches.length
       });
     }
     
-    return {targetIndex: matchedTargetIndex, modelViewTransform};
+    return matches;
   }
 
   async _trackAndUpdate(inputT, lastModelViewTransform, targetIndex) {
@@ -441,6 +518,7 @@ class FrameProcessor {
         if (trackingState.trackMiss > this.missTolerance) {
           trackingState.showing = false;
           trackingState.trackingMatrix = null;
+          this._frameWorldMatrices[i] = null;
           this.logger.info('Target hidden', { targetIndex: i, trackMiss: trackingState.trackMiss });
           // Reuse cached callback object
           if (this.onUpdate) {
@@ -470,7 +548,8 @@ class FrameProcessor {
       }
       const worldMatrix = this._cachedWorldMatrices[i];
 
-      const isInputRotated = input.width === this.inputHeight && input.height === this.inputWidth;
+      const {width: frameWidth, height: frameHeight} = getFrameSize(input);
+      const isInputRotated = frameWidth === this.inputHeight && frameHeight === this.inputWidth;
       
       // Reuse cached arrays to avoid allocations
       let finalMatrix;
@@ -497,6 +576,7 @@ class FrameProcessor {
         }
         finalMatrix = this._cachedMatrixArrays[i];
       }
+      this._frameWorldMatrices[i] = finalMatrix;
 
       // Reuse cached callback object
       if (this.onUpdate) {
@@ -517,6 +597,24 @@ class FrameProcessor {
     }
   }
 
+  // Outside realtime mode the tracker and detector run at full quality; in realtime mode at the performance manager's
+  setRealtime(realtime) {
+    this.realtime = realtime;
+    this.shouldSkipNextFrame = false;
+    this.lastFrameTime = 0;
+    const quality = realtime ? this.performanceManager.getQuality() : 1.0;
+    this._applyQuality(quality, quality);
+  }
+
+  _applyQuality(trackerQuality, detectorQuality) {
+    if (this.tracker.getQuality() !== trackerQuality) {
+      this.tracker.setQuality(trackerQuality);
+    }
+    if (this.cropDetector.detector.getQuality() !== detectorQuality) {
+      this.cropDetector.detector.setQuality(detectorQuality);
+    }
+  }
+
   setTargetFPS(targetFPS) {
     this.targetFPS = targetFPS;
     this.frameInterval = targetFPS ? (1000 / targetFPS) : 0;
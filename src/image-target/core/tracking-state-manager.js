@@ -2,22 +2,46 @@ class TrackingStateManager {
   constructor(markerDimensions) {
     this.markerDimensions = markerDimensions;
     this.states = [];
+    this.removedIndexes = new Set();
+    this.disabledIndexes = new Set();
     this.reset();
   }
 
   reset() {
     this.states = [];
     for (let i = 0; i < this.markerDimensions.length; i++) {
-      this.states.push({
-        showing: false,
-        isTracking: false,
-        currentModelViewTransform: null,
-        trackCount: 0,
-        trackMiss: 0
-      });
+      this.states.push(this._createState(this._isDisabled(i)));
     }
   }
 
+  // Append states for new targets, keeping the states of the existing ones
+  addTargets(markerDimensions) {
+    this.markerDimensions = [...this.markerDimensions, ...markerDimensions];
+    for (let i = 0; i < markerDimensions.length; i++) {
+      this.states.push(this._createState(false));
+    }
+  }
+
+  // Replace the state of a removed target; removed targets stay disabled
+  removeTarget(index) {
+    this.removedIndexes.add(index);
+    this.states[index] = this._createState(true);
+  }
+
+  // Disabled targets are never matched or tracked. Changing it resets the state of the target
+  setEnabled(index, enabled) {
+    if (enabled) {
+      this.disabledIndexes.delete(index);
+    } else {
+      this.disabledIndexes.add(index);
+    }
+    this.states[index] = this._createState(this._isDisabled(index));
+  }
+
+  isEnabled(index) {
+    return !this._isDisabled(index);
+  }
+
   getState(index) {
     return this.states[index];
   }
@@ -26,14 +50,50 @@ class TrackingStateManager {
     return this.states;
   }
 
+  // Copies of the tracking progress of every target, see restore
+  snapshot() {
+    return this.states.map(({showing, isTracking, currentModelViewTransform, trackCount, trackMiss}) => ({
+      showing,
+      isTracking,
+      currentModelViewTransform: currentModelViewTransform === null ? null : currentModelViewTransform.map((row) => row.slice()),
+      trackCount,
+      trackMiss
+    }));
+  }
+
+  // Apply the tracking progress of a snapshot; disabled targets keep their state
+  restore(snapshot) {
+    for (let i = 0; i < Math.min(snapshot.length, this.states.length); i++) {
+      if (this._isDisabled(i)) continue;
+      Object.assign(this.states[i], snapshot[i]);
+    }
+  }
+
   getTrackingCount() {
     return this.states.reduce((acc, s) => acc + (s.isTracking ? 1 : 0), 0);
   }
 
   updateDimensions(markerDimensions) {
     this.markerDimensions = markerDimensions;
+    this.removedIndexes.clear();
+    this.disabledIndexes.clear();
     this.reset();
   }
+
+  _isDisabled(index) {
+    return this.removedIndexes.has(index) || this.disabledIndexes.has(index);
+  }
+
+  _createState(disabled) {
+    return {
+      disabled,
+      showing: false,
+      isTracking: false,
+      currentModelViewTransform: null,
+      trackCount: 0,
+      trackMiss: 0
+    };
+  }
 }
 
 export {
@@ -1,9 +1,10 @@
 import * as tf from '@tensorflow/tfjs';
 import {Detector} from './detector.js';
+import {DetectionRegions} from './detection-regions.js';
 import {buildModelViewProjectionTransform, computeScreenCoordinate} from '../math/matrix-transform.js';
 
 class CropDetector {
-  constructor(width, height, debugMode=false) {
+  constructor(width, height, debugMode=false, detectionStrategy={type: 'center'}) {
     this.debugMode = debugMode;
     this.width = width;
     this.height = height;
@@ -16,7 +17,11 @@ class CropDetector {
     this.detector = new Detector(cropSize, cropSize, debugMode);
 
     this.kernelCaches = {};
-    this.lastRandomIndex = 4;
+    this.regions = new DetectionRegions(width, height, cropSize, detectionStrategy);
+  }
+
+  setDetectionStrategy(detectionStrategy) {
+    this.regions.setStrategy(detectionStrategy);
   }
 
   detect(inputImageT) { // crop center
@@ -30,30 +35,29 @@ class CropDetector {
     return result;
   }
 
-  detectMoving(inputImageT) { // loop a few locations around center
-    const dx = this.lastRandomIndex % 3;
-    const dy = Math.floor(this.lastRandomIndex / 3);
-
-    let startY = Math.floor(this.height / 2 - this.cropSize + dy * this.cropSize / 2);
-    let startX = Math.floor(this.width / 2 - this.cropSize + dx * this.cropSize / 2);
-
-    if (startX < 0) startX = 0;
-    if (startY < 0) startY = 0;
-    if (startX >= this.width - this.cropSize) startX = this.width - this.cropSize - 1;
-    if (startY >= this.height - this.cropSize) startY = this.height - this.cropSize - 1;
-
-    this.lastRandomIndex = (this.lastRandomIndex + 1) % 9;
+  detectMoving(inputImageT) { // next region of the detection strategy
+    const {x, y, size} = this.regions.next();
+    const result = this._detect(inputImageT, x, y, size);
 
-    const result = this._detect(inputImageT, startX, startY);
+    if (this.debugMode) {
+      result.debugExtra.crop = {startX: x, startY: y, cropSize: size};
+    }
     return result;
   }
 
-  _detect(inputImageT, startX, startY) {
-    const cropInputImageT = inputImageT.slice([startY, startX], [this.cropSize, this.cropSize]);
+  // Crops of another size than the detector are resized to it; feature points are mapped back to input pixels
+  _detect(inputImageT, startX, startY, size = this.cropSize) {
+    const cropInputImageT = tf.tidy(() => {
+      const cropT = inputImageT.slice([startY, startX], [size, size]);
+      if (size === this.cropSize) return cropT;
+      return tf.image.resizeBilinear(cropT.expandDims(2), [this.cropSize, this.cropSize]).squeeze([2]);
+    });
     const {featurePoints, debugExtra} = this.detector.detect(cropInputImageT);
+    const ratio = size / this.cropSize;
     featurePoints.forEach((p) => {
-      p.x += startX;
-      p.y += startY;
+      p.x = (p.x + 0.5) * ratio - 0.5 + startX;
+      p.y = (p.y + 0.5) * ratio - 0.5 + startY;
+      p.scale *= ratio;
     });
     if (this.debugMode) {
       debugExtra.projectedImage = cropInputImageT.arraySync();
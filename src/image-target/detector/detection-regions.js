@@ -0,0 +1,157 @@
+const STRATEGY_TYPES = ['center', 'tiles', 'roi', 'multi-scale'];
+const DEFAULT_TILE_OVERLAP = 0.5;
+const DEFAULT_SCALES = [1, 0.5, 2];
+const MIN_REGION_SIZE = 32;
+
+/**
+ * Detection strategies:
+ * - {type: 'center'}: a 3x3 walk of crops around the frame centre
+ * - {type: 'tiles', overlap}: crops tiling the whole frame; overlap is the fraction shared by neighbouring tiles
+ * - {type: 'roi', regions}: crops around app-supplied regions {x, y, width, height} in input pixels.
+ *   An empty region list falls back to the centre walk
+ * - {type: 'multi-scale', scales}: centre walks with crops of each scale times the detector size;
+ *   scales below 1 magnify distant targets, scales above 1 shrink targets filling the frame
+ */
+const validateDetectionStrategy = (strategy) => {
+  if (strategy === null || typeof strategy !== 'object' || !STRATEGY_TYPES.includes(strategy.type)) {
+    throw new Error(`Detection strategy type must be one of ${STRATEGY_TYPES.map((type) => `'${type}'`).join(', ')}`);
+  }
+  if (strategy.type === 'tiles' && strategy.overlap !== undefined) {
+    if (typeof strategy.overlap !== 'number' || strategy.overlap < 0 || strategy.overlap >= 1) {
+      throw new Error('Tile overlap must be a number in [0, 1)');
+    }
+  }
+  if (strategy.type === 'roi') {
+    const valid = Array.isArray(strategy.regions) && strategy.regions.every((region) => {
+      return region !== null && typeof region === 'object' && ['x', 'y', 'width', 'height'].every((key) => typeof region[key] === 'number' && isFinite(region[key]))
+        && region.width > 0 && region.height > 0;
+    });
+    if (!valid) {
+      throw new Error('ROI regions must be an array of {x, y, width, height} with a positive width and height');
+    }
+  }
+  if (strategy.type === 'multi-scale' && strategy.scales !== undefined) {
+    if (!Array.isArray(strategy.scales) || strategy.scales.length === 0 || !strategy.scales.every((scale) => typeof scale === 'number' && scale > 0)) {
+      throw new Error('Multi-scale scales must be a non-empty array of positive numbers');
+    }
+  }
+};
+
+/**
+ * Square crops of the input frame to run detection on, one per frame.
+ * Crops of a size other than the detector size are resized to it by the crop detector.
+ */
+class DetectionRegions {
+  /**
+   * @param {number} width - Input width
+   * @param {number} height - Input height
+   * @param {number} cropSize - Detector input size
+   * @param {Object} strategy - See validateDetectionStrategy
+   */
+  constructor(width, height, cropSize, strategy = {type: 'center'}) {
+    this.width = width;
+    this.height = height;
+    this.cropSize = cropSize;
+    this.maxSize = Math.min(width, height) - 1;
+    this.setStrategy(strategy);
+  }
+
+  setStrategy(strategy) {
+    validateDetectionStrategy(strategy);
+    this.strategy = strategy;
+    this.regions = this._buildRegions(strategy);
+    this.regionIndex = strategy.type === 'center' || this._isCenterFallback(strategy) ? 4 : 0;
+  }
+
+  /**
+   * @returns {{x: number, y: number, size: number}} - Next crop: top-left corner and side, in input pixels
+   */
+  next() {
+    const region = this.regions[this.regionIndex];
+    this.regionIndex = (this.regionIndex + 1) % this.regions.length;
+    return region;
+  }
+
+  _isCenterFallback(strategy) {
+    return strategy.type === 'roi' && strategy.regions.length === 0;
+  }
+
+  _buildRegions(strategy) {
+    if (strategy.type === 'tiles') {
+      return this._tileRegions(strategy.overlap ?? DEFAULT_TILE_OVERLAP);
+    }
+    if (strategy.type === 'roi' && strategy.regions.length > 0) {
+      return strategy.regions.map((region) => this._roiRegion(region));
+    }
+    if (strategy.type === 'multi-scale') {
+      // Interleaved so consecutive frames cycle through the scales
+      const walks = (strategy.scales ?? DEFAULT_SCALES).map((scale) => this._centerWalk(this._clampSize(this.cropSize * scale)));
+      const regions = [];
+      for (let i = 0; i < 9; i++) {
+        for (const walk of walks) {
+          regions.push(walk[(i + 4) % 9]);
+        }
+      }
+      return regions;
+    }
+    return this._centerWalk(this.cropSize);
+  }
+
+  // Positions at half-crop steps around the centre, row by row
+  _centerWalk(size) {
+    const regions = [];
+    for (let i = 0; i < 9; i++) {
+      const dx = i % 3;
+      const dy = Math.floor(i / 3);
+      const x = Math.floor(this.width / 2 - size + dx * size / 2);
+      const y = Math.floor(this.height / 2 - size + dy * size / 2);
+      regions.push(this._clampRegion(x, y, size));
+    }
+    return regions;
+  }
+
+  _tileRegions(overlap) {
+    const size = this.cropSize;
+    const step = Math.max(1, Math.floor(size * (1 - overlap)));
+    const starts = (length) => {
+      const last = Math.max(0, length - size - 1);
+      const values = [];
+      for (let v = 0; v < last; v += step) {
+        values.push(v);
+      }
+      values.push(last);
+      return values;
+    };
+    const regions = [];
+    for (const y of starts(this.height)) {
+      for (const x of starts(this.width)) {
+        regions.push(this._clampRegion(x, y, size));
+      }
+    }
+    return regions;
+  }
+
+  // Square crop centred on the region, covering its longer side
+  _roiRegion({x, y, width, height}) {
+    const size = this._clampSize(Math.max(width, height));
+    return this._clampRegion(Math.floor(x + width / 2 - size / 2), Math.floor(y + height / 2 - size / 2), size);
+  }
+
+  _clampSize(size) {
+    return Math.round(Math.min(this.maxSize, Math.max(MIN_REGION_SIZE, size)));
+  }
+
+  _clampRegion(x, y, size) {
+    const clampedSize = Math.min(size, this.maxSize);
+    return {
+      x: Math.min(Math.max(0, x), this.width - clampedSize - 1),
+      y: Math.min(Math.max(0, y), this.height - clampedSize - 1),
+      size: clampedSize
+    };
+  }
+}
+
+export {
+  DetectionRegions,
+  validateDetectionStrategy
+}
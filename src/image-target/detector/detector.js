@@ -51,6 +51,14 @@ class Detector {
 		this.quality = 1.0;
 	}
 
+	// Release the cached constant tensors
+	dispose() {
+		for (const cache of Object.values(this.tensorCaches)) {
+			tf.dispose(Object.values(cache));
+		}
+		this.tensorCaches = {};
+	}
+
 	// used in compiler
 	detectImageData(imageData) {
 		const arr = new Uint8ClampedArray(4 * imageData.length);
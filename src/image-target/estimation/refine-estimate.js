@@ -18,19 +18,22 @@ const refineEstimate = ({initialModelViewTransform, projectionTransform, worldCo
   // Question: do we need to normlize the scale as well, i.e. make coords from -1 to 1
   //
   // normalize world coords - reposition them to center of mass
-  //   assume z coordinate is always zero (in our case, the image target is planar with z = 0
+  //   z is zero for planar targets and follows the surface for cylindrical targets
   let dx = 0;
   let dy = 0;
+  let dz = 0;
   for (let i = 0; i < worldCoords.length; i++) {
     dx += worldCoords[i].x;
     dy += worldCoords[i].y;
+    dz += worldCoords[i].z;
   }
   dx /= worldCoords.length;
   dy /= worldCoords.length;
+  dz /= worldCoords.length;
 
   const normalizedWorldCoords = [];
   for (let i = 0; i < worldCoords.length; i++) {
-    normalizedWorldCoords.push({x: worldCoords[i].x - dx, y: worldCoords[i].y - dy, z: worldCoords[i].z});
+    normalizedWorldCoords.push({x: worldCoords[i].x - dx, y: worldCoords[i].y - dy, z: worldCoords[i].z - dz});
   }
 
   const diffModelViewTransform = [[],[],[]];
@@ -39,9 +42,9 @@ const refineEstimate = ({initialModelViewTransform, projectionTransform, worldCo
       diffModelViewTransform[j][i] = initialModelViewTransform[j][i];
     }
   }
-  diffModelViewTransform[0][3] = initialModelViewTransform[0][0] * dx + initialModelViewTransform[0][1] * dy + initialModelViewTransform[0][3];
-  diffModelViewTransform[1][3] = initialModelViewTransform[1][0] * dx + initialModelViewTransform[1][1] * dy + initialModelViewTransform[1][3];
-  diffModelViewTransform[2][3] = initialModelViewTransform[2][0] * dx + initialModelViewTransform[2][1] * dy + initialModelViewTransform[2][3];
+  diffModelViewTransform[0][3] = initialModelViewTransform[0][0] * dx + initialModelViewTransform[0][1] * dy + initialModelViewTransform[0][2] * dz + initialModelViewTransform[0][3];
+  diffModelViewTransform[1][3] = initialModelViewTransform[1][0] * dx + initialModelViewTransform[1][1] * dy + initialModelViewTransform[1][2] * dz + initialModelViewTransform[1][3];
+  diffModelViewTransform[2][3] = initialModelViewTransform[2][0] * dx + initialModelViewTransform[2][1] * dy + initialModelViewTransform[2][2] * dz + initialModelViewTransform[2][3];
 
   // use iterative closest point algorithm to refine the modelViewTransform
   const inlierProbs = [1.0, 0.8, 0.6, 0.4, 0.0];
@@ -63,9 +66,9 @@ const refineEstimate = ({initialModelViewTransform, projectionTransform, worldCo
   if (finalModelViewTransform === null) return null;
 
   // de-normalize
-  finalModelViewTransform[0][3] = finalModelViewTransform[0][3] - finalModelViewTransform[0][0] * dx - finalModelViewTransform[0][1] * dy;
-  finalModelViewTransform[1][3] = finalModelViewTransform[1][3] - finalModelViewTransform[1][0] * dx - finalModelViewTransform[1][1] * dy;
-  finalModelViewTransform[2][3] = finalModelViewTransform[2][3] - finalModelViewTransform[2][0] * dx - finalModelViewTransform[2][1] * dy;
+  finalModelViewTransform[0][3] = finalModelViewTransform[0][3] - finalModelViewTransform[0][0] * dx - finalModelViewTransform[0][1] * dy - finalModelViewTransform[0][2] * dz;
+  finalModelViewTransform[1][3] = finalModelViewTransform[1][3] - finalModelViewTransform[1][0] * dx - finalModelViewTransform[1][1] * dy - finalModelViewTransform[1][2] * dz;
+  finalModelViewTransform[2][3] = finalModelViewTransform[2][3] - finalModelViewTransform[2][0] * dx - finalModelViewTransform[2][1] * dy - finalModelViewTransform[2][2] * dz;
 
   return finalModelViewTransform;
 }
@@ -258,28 +261,22 @@ const _getJ_U_S = ({modelViewProjectionTransform, modelViewTransform, projection
   J_U_Xc[1][1] = (projectionTransform[1][1] * u.z) / z2;
   J_U_Xc[1][2] = (projectionTransform[1][2] * u.z - projectionTransform[2][2] * u.y) / z2;
 
-  /*
-    J_Xc_S should be like this, but z is zero, so we can simplify
-    [T[0][2] * y - T[0][1] * z, T[0][0] * z - T[0][2] * x, T[0][1] * x - T[0][0] * y, T[0][0], T[0][1], T[0][2]],
-    [T[1][2] * y - T[1][1] * z, T[1][0] * z - T[1][2] * x, T[1][1] * x - T[1][0] * y, T[1][0], T[1][1], T[1][2]],
-    [T[2][2] * y - T[2][1] * z, T[2][0] * z - T[2][2] * x, T[2][1] * x - T[2][0] * y, T[2][0], T[2][1], T[2][2]],
-  */
-  J_Xc_S[0][0] = T[0][2] * y;
-  J_Xc_S[0][1] = -T[0][2] * x;
+  J_Xc_S[0][0] = T[0][2] * y - T[0][1] * z;
+  J_Xc_S[0][1] = T[0][0] * z - T[0][2] * x;
   J_Xc_S[0][2] = T[0][1] * x - T[0][0] * y;
   J_Xc_S[0][3] = T[0][0];
   J_Xc_S[0][4] = T[0][1]; 
   J_Xc_S[0][5] = T[0][2];
 
-  J_Xc_S[1][0] = T[1][2] * y;
-  J_Xc_S[1][1] = -T[1][2] * x;
+  J_Xc_S[1][0] = T[1][2] * y - T[1][1] * z;
+  J_Xc_S[1][1] = T[1][0] * z - T[1][2] * x;
   J_Xc_S[1][2] = T[1][1] * x - T[1][0] * y;
   J_Xc_S[1][3] = T[1][0];
   J_Xc_S[1][4] = T[1][1];
   J_Xc_S[1][5] = T[1][2];
 
-  J_Xc_S[2][0] = T[2][2] * y;
-  J_Xc_S[2][1] = -T[2][2] * x;
+  J_Xc_S[2][0] = T[2][2] * y - T[2][1] * z;
+  J_Xc_S[2][1] = T[2][0] * z - T[2][2] * x;
   J_Xc_S[2][2] = T[2][1] * x - T[2][0] * y;
   J_Xc_S[2][3] = T[2][0];
   J_Xc_S[2][4] = T[2][1];
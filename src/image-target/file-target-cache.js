@@ -0,0 +1,56 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import * as msgpack from '@msgpack/msgpack';
+
+/**
+ * On-disk cache of compiled target features for Node, one msgpack file per cache key.
+ * Use with OfflineCompiler through options.cache of compileImageTargets.
+ */
+class FileTargetCache {
+  /**
+   * @param {string} directory - Cache directory, created on first write
+   */
+  constructor(directory) {
+    if (typeof directory !== 'string' || directory.length === 0) {
+      throw new Error('FileTargetCache requires a cache directory');
+    }
+    this.directory = directory;
+  }
+
+  async get(key) {
+    let buffer;
+    try {
+      buffer = await fs.promises.readFile(this._path(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    const { matchingData, trackingData } = msgpack.decode(buffer);
+    return { matchingData, trackingData };
+  }
+
+  async set(key, entry) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const buffer = msgpack.encode({ matchingData: entry.matchingData, trackingData: entry.trackingData });
+    // Written to a temporary file, then renamed into place
+    const tempPath = `${this._path(key)}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, buffer);
+    await fs.promises.rename(tempPath, this._path(key));
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this._path(key), { force: true });
+  }
+
+  async clear() {
+    await fs.promises.rm(this.directory, { recursive: true, force: true });
+  }
+
+  _path(key) {
+    return path.join(this.directory, `${key}.msgpack`);
+  }
+}
+
+export {
+  FileTargetCache
+}
@@ -0,0 +1,241 @@
+import * as msgpack from '@msgpack/msgpack';
+import { encodePixels, decodePixels } from './pixel-codec.js';
+
+// A compact .mind file is a msgpack stream: a header {v, encoding: COMPACT_ENCODING, targetCount}
+// followed by one object per target. Plain files are a single {v, dataList} object.
+const COMPACT_ENCODING = 'compact';
+
+// Typed array contents as bytes, and back. Bytes are copied so the result is aligned
+const _toBytes = (typedArray) => new Uint8Array(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
+const _fromBytes = (bytes, TypedArray) => new TypedArray(bytes.slice().buffer);
+
+// The detector places a point of octave scale s at c * s + s / 2 - 0.5, with c a float32 pyramid coordinate
+const _toPyramidCoordinate = (value, scale) => (value + 0.5 - scale / 2) / scale;
+const _fromPyramidCoordinate = (value, scale) => value * scale + scale / 2 - 0.5;
+
+// Feature points as columns: float32 pyramid x, y and angle, log2 of the octave scale, and packed FREAK descriptors
+const encodePoints = (points) => {
+  const descriptorLength = points.length > 0 ? points[0].descriptors.length : 0;
+  const coords = new Float32Array(points.length * 3);
+  const scales = new Uint8Array(points.length);
+  const descriptors = new Uint32Array(points.length * descriptorLength);
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+    coords[i * 3] = _toPyramidCoordinate(point.x, point.scale);
+    coords[i * 3 + 1] = _toPyramidCoordinate(point.y, point.scale);
+    coords[i * 3 + 2] = point.angle;
+    scales[i] = Math.log2(point.scale);
+    descriptors.set(point.descriptors, i * descriptorLength);
+  }
+  return { count: points.length, descriptorLength, coords: _toBytes(coords), scales, descriptors: _toBytes(descriptors) };
+};
+
+const decodePoints = (encoded, maxima) => {
+  const { count, descriptorLength } = encoded;
+  const coords = _fromBytes(encoded.coords, Float32Array);
+  const descriptors = _fromBytes(encoded.descriptors, Uint32Array);
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    const scale = Math.pow(2, encoded.scales[i]);
+    points.push({
+      maxima,
+      x: _fromPyramidCoordinate(coords[i * 3], scale),
+      y: _fromPyramidCoordinate(coords[i * 3 + 1], scale),
+      scale,
+      angle: coords[i * 3 + 2],
+      descriptors: Array.from(descriptors.subarray(i * descriptorLength, (i + 1) * descriptorLength)),
+    });
+  }
+  return points;
+};
+
+// Hierarchical clustering tree in pre-order: leaf flag, center point index (-1 for none),
+// then the point count and indexes of a leaf, or the child count of an inner node
+const encodeCluster = ({ rootNode }) => {
+  const values = [];
+  const visit = (node) => {
+    values.push(node.leaf ? 1 : 0, node.centerPointIndex === null ? -1 : Number(node.centerPointIndex));
+    if (node.leaf) {
+      values.push(node.pointIndexes.length, ...node.pointIndexes);
+      return;
+    }
+    values.push(node.children.length);
+    node.children.forEach(visit);
+  };
+  visit(rootNode);
+  return _toBytes(Int32Array.from(values));
+};
+
+const decodeCluster = (bytes) => {
+  const values = _fromBytes(bytes, Int32Array);
+  let position = 0;
+  const visit = () => {
+    const leaf = values[position++] === 1;
+    const center = values[position++];
+    // Center indexes are object keys when the tree is built
+    const node = { centerPointIndex: center === -1 ? null : String(center) };
+    node.leaf = leaf;
+    const count = values[position++];
+    if (leaf) {
+      node.pointIndexes = Array.from(values.subarray(position, position + count));
+      position += count;
+      return node;
+    }
+    node.children = [];
+    for (let i = 0; i < count; i++) {
+      node.children.push(visit());
+    }
+    return node;
+  };
+  return { rootNode: visit() };
+};
+
+const encodeImage = (image) => {
+  return { width: image.width, height: image.height, data: encodePixels(image) };
+};
+
+const decodeImage = (encoded) => {
+  return { data: decodePixels(encoded.data, encoded.width, encoded.height), width: encoded.width, height: encoded.height };
+};
+
+const encodeTarget = (target) => {
+  const { thumbnail, mask, trackingData, matchingData, ...rest } = target;
+  return {
+    ...rest,
+    thumbnail: thumbnail ? encodeImage(thumbnail) : null,
+    mask: mask ? encodeImage(mask) : null,
+    trackingData: trackingData.map((keyframe) => {
+      const points = new Int16Array(keyframe.points.length * 2);
+      keyframe.points.forEach((point, i) => {
+        points[i * 2] = point.x;
+        points[i * 2 + 1] = point.y;
+      });
+      return { ...encodeImage(keyframe), scale: keyframe.scale, points: _toBytes(points) };
+    }),
+    matchingData: matchingData.map((keyframe) => ({
+      width: keyframe.width,
+      height: keyframe.height,
+      scale: keyframe.scale,
+      maximaPoints: encodePoints(keyframe.maximaPoints),
+      minimaPoints: encodePoints(keyframe.minimaPoints),
+      maximaPointsCluster: encodeCluster(keyframe.maximaPointsCluster),
+      minimaPointsCluster: encodeCluster(keyframe.minimaPointsCluster),
+    })),
+  };
+};
+
+const decodeTarget = (encoded) => {
+  const { thumbnail, mask, trackingData, matchingData, ...rest } = encoded;
+  return {
+    ...rest,
+    thumbnail: thumbnail ? decodeImage(thumbnail) : null,
+    mask: mask ? decodeImage(mask) : null,
+    trackingData: trackingData.map((keyframe) => {
+      const values = _fromBytes(keyframe.points, Int16Array);
+      const points = [];
+      for (let i = 0; i < values.length; i += 2) {
+        points.push({ x: values[i], y: values[i + 1] });
+      }
+      const { data, width, height } = decodeImage(keyframe);
+      return { data, scale: keyframe.scale, width, height, points };
+    }),
+    matchingData: matchingData.map((keyframe) => ({
+      maximaPoints: decodePoints(keyframe.maximaPoints, true),
+      minimaPoints: decodePoints(keyframe.minimaPoints, false),
+      maximaPointsCluster: decodeCluster(keyframe.maximaPointsCluster),
+      minimaPointsCluster: decodeCluster(keyframe.minimaPointsCluster),
+      width: keyframe.width,
+      height: keyframe.height,
+      scale: keyframe.scale,
+    })),
+  };
+};
+
+/**
+ * Encode .mind content {v, dataList} with the compact encoding
+ * @returns {Uint8Array}
+ */
+const encodeCompact = ({ v, dataList }) => {
+  const chunks = [msgpack.encode({ v, encoding: COMPACT_ENCODING, targetCount: dataList.length })];
+  for (const target of dataList) {
+    chunks.push(msgpack.encode(encodeTarget(target)));
+  }
+  const buffer = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.byteLength, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    buffer.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return buffer;
+};
+
+const _isCompactHeader = (header) => {
+  return header !== null && typeof header === 'object' && header.encoding === COMPACT_ENCODING;
+};
+
+const _finishContent = (header, dataList) => {
+  if (dataList.length !== header.targetCount) {
+    throw new Error(`Compact .mind file is truncated: expected ${header.targetCount} targets, got ${dataList.length}`);
+  }
+  return { v: header.v, dataList };
+};
+
+// Whether a .mind file uses the compact encoding
+const isCompact = (buffer) => {
+  for (const header of msgpack.decodeMulti(new Uint8Array(buffer))) {
+    return _isCompactHeader(header);
+  }
+  return false;
+};
+
+/**
+ * Decode a plain or compact .mind file to {v, dataList}, one target at a time
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {Object}
+ */
+const decodeContent = (buffer) => {
+  let header;
+  const dataList = [];
+  for (const object of msgpack.decodeMulti(new Uint8Array(buffer))) {
+    if (header === undefined) {
+      header = object;
+      if (!_isCompactHeader(header)) break;
+      continue;
+    }
+    dataList.push(decodeTarget(object));
+  }
+  return _isCompactHeader(header) ? _finishContent(header, dataList) : header;
+};
+
+/**
+ * Decode a .mind file from a stream, decoding compact targets as their bytes arrive
+ * @param {ReadableStream<Uint8Array>|AsyncIterable<Uint8Array>} stream - For example the body of a fetch response
+ * @param {Function} targetCallback - Called with (targetIndex, targetCount) after each compact target
+ * @returns {Promise<Object>} - {v, dataList}
+ */
+const decodeContentStream = async (stream, targetCallback = null) => {
+  let header;
+  const dataList = [];
+  for await (const object of msgpack.decodeMultiStream(stream)) {
+    if (header === undefined) {
+      header = object;
+      continue;
+    }
+    if (!_isCompactHeader(header)) {
+      throw new Error('Plain .mind file contains more than one object');
+    }
+    dataList.push(decodeTarget(object));
+    if (targetCallback) {
+      targetCallback(dataList.length - 1, header.targetCount);
+    }
+  }
+  return _isCompactHeader(header) ? _finishContent(header, dataList) : header;
+};
+
+export {
+  COMPACT_ENCODING,
+  encodeCompact,
+  isCompact,
+  decodeContent,
+  decodeContentStream
+}
@@ -0,0 +1,252 @@
+import * as msgpack from '@msgpack/msgpack';
+import { createDefaultTargetMetadata, createThumbnail } from '../target-metadata.js';
+import { createDefaultTargetGeometry } from '../target-geometry.js';
+import { encodeCompact, decodeContent, isCompact } from './compact.js';
+
+const CURRENT_VERSION = 5;
+
+// Fields every target must carry, per .mind version. `[]` applies the rest of the path to each array element
+const TARGET_FIELDS = {
+  2: [
+    'targetImage.width',
+    'targetImage.height',
+    'trackingData[].data',
+    'trackingData[].scale',
+    'trackingData[].width',
+    'trackingData[].height',
+    'trackingData[].points',
+    'matchingData[].width',
+    'matchingData[].height',
+    'matchingData[].scale',
+    'matchingData[].maximaPoints',
+    'matchingData[].minimaPoints',
+    'matchingData[].maximaPointsCluster',
+    'matchingData[].minimaPointsCluster',
+  ],
+};
+TARGET_FIELDS[3] = [
+  ...TARGET_FIELDS[2],
+  'metadata.name',
+  'metadata.physicalSize',
+  'metadata.tags',
+  'metadata.extra',
+  'thumbnail',
+];
+TARGET_FIELDS[4] = [
+  ...TARGET_FIELDS[3],
+  'mask',
+];
+TARGET_FIELDS[5] = [
+  ...TARGET_FIELDS[4],
+  'geometry.type',
+];
+
+// Upgrade steps: version -> {description, upgradeTarget(target) -> target of the next version}
+const MIGRATIONS = {
+  2: {
+    description: 'Add empty target metadata and a thumbnail built from the 256px tracking keyframe',
+    upgradeTarget: (target) => {
+      return {
+        ...target,
+        metadata: createDefaultTargetMetadata(),
+        thumbnail: createThumbnail(target.trackingData[0]),
+      };
+    },
+  },
+  3: {
+    description: 'Add an empty target mask',
+    upgradeTarget: (target) => {
+      return {
+        ...target,
+        mask: null,
+      };
+    },
+  },
+  4: {
+    description: 'Mark targets as planar',
+    upgradeTarget: (target) => {
+      return {
+        ...target,
+        geometry: createDefaultTargetGeometry(),
+      };
+    },
+  },
+};
+
+// Versions that cannot be upgraded, with the reason
+const UNSUPPORTED_VERSIONS = {
+  1: 'Version 1 files use a different feature layout that cannot be rebuilt without the source images',
+};
+
+class MindFileMigrationError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {number|undefined} details.version - Version found in the file
+   * @param {string[]} details.missing - Missing fields, as `dataList[<target>].<path>`
+   */
+  constructor(message, { version, missing = [] }) {
+    super(message);
+    this.name = 'MindFileMigrationError';
+    this.version = version;
+    this.missing = missing;
+  }
+}
+
+const _hasValue = (value) => value !== undefined;
+
+const _findMissingFields = (value, segments, prefix, missing) => {
+  if (segments.length === 0) return;
+  const [segment, ...rest] = segments;
+
+  if (segment.endsWith('[]')) {
+    const key = segment.slice(0, -2);
+    const list = value[key];
+    if (!Array.isArray(list) || list.length === 0) {
+      missing.push(`${prefix}${key}`);
+      return;
+    }
+    for (let i = 0; i < list.length; i++) {
+      if (list[i] === null || typeof list[i] !== 'object') {
+        missing.push(`${prefix}${key}[${i}]`);
+        continue;
+      }
+      _findMissingFields(list[i], rest, `${prefix}${key}[${i}].`, missing);
+    }
+    return;
+  }
+
+  if (!_hasValue(value[segment])) {
+    missing.push(`${prefix}${segment}`);
+    return;
+  }
+  if (rest.length > 0) {
+    if (value[segment] === null || typeof value[segment] !== 'object') {
+      missing.push(`${prefix}${segment}`);
+      return;
+    }
+    _findMissingFields(value[segment], rest, `${prefix}${segment}.`, missing);
+  }
+};
+
+// List fields the decoded content lacks for the given version
+const findMissingFields = (content, version) => {
+  if (!Array.isArray(content.dataList)) {
+    return ['dataList'];
+  }
+  const missing = [];
+  for (let i = 0; i < content.dataList.length; i++) {
+    const target = content.dataList[i];
+    if (target === null || typeof target !== 'object') {
+      missing.push(`dataList[${i}]`);
+      continue;
+    }
+    for (const field of TARGET_FIELDS[version]) {
+      _findMissingFields(target, field.split('.'), `dataList[${i}].`, missing);
+    }
+  }
+  // A missing list is reported once, not once per required field of its elements
+  return [...new Set(missing)];
+};
+
+// List upgrade steps from version to CURRENT_VERSION, or null if there is no path
+const _findSteps = (version) => {
+  const steps = [];
+  for (let v = version; v < CURRENT_VERSION; v++) {
+    if (!MIGRATIONS[v]) return null;
+    steps.push({ from: v, to: v + 1, description: MIGRATIONS[v].description });
+  }
+  return steps;
+};
+
+/**
+ * Describe how a decoded .mind file relates to the current format
+ * @param {Object} content - Decoded .mind content
+ * @returns {{version: number|undefined, currentVersion: number, migratable: boolean, reason: string|null, steps: Array, missing: string[]}}
+ */
+const inspectContent = (content) => {
+  const version = content !== null && typeof content === 'object' ? content.v : undefined;
+  const result = { version, currentVersion: CURRENT_VERSION, migratable: false, reason: null, steps: [], missing: [] };
+
+  if (typeof version !== 'number') {
+    result.reason = 'Missing format version. The data is not a .mind file';
+    return result;
+  }
+  if (version > CURRENT_VERSION) {
+    result.reason = `Version ${version} is newer than the supported version ${CURRENT_VERSION}. Update MindAR to load this file`;
+    return result;
+  }
+  if (UNSUPPORTED_VERSIONS[version]) {
+    result.reason = `${UNSUPPORTED_VERSIONS[version]}. Please recompile`;
+    return result;
+  }
+
+  const steps = _findSteps(version);
+  if (steps === null || !TARGET_FIELDS[version]) {
+    result.reason = `No upgrade path from version ${version}. Please recompile`;
+    return result;
+  }
+  result.steps = steps;
+
+  result.missing = findMissingFields(content, version);
+  if (result.missing.length > 0) {
+    result.reason = `Version ${version} file is missing required fields. Please recompile`;
+    return result;
+  }
+
+  result.migratable = true;
+  return result;
+};
+
+/**
+ * Upgrade decoded .mind content to CURRENT_VERSION in memory
+ * @param {Object} content - Decoded .mind content
+ * @returns {{content: Object, fromVersion: number, steps: Array}}
+ * @throws {MindFileMigrationError} - If the content cannot be upgraded
+ */
+const upgradeContent = (content) => {
+  const inspection = inspectContent(content);
+  if (!inspection.migratable) {
+    throw new MindFileMigrationError(`Cannot load .mind file: ${inspection.reason}`, inspection);
+  }
+
+  let upgraded = content;
+  for (const step of inspection.steps) {
+    upgraded = {
+      ...upgraded,
+      v: step.to,
+      dataList: upgraded.dataList.map((target) => MIGRATIONS[step.from].upgradeTarget(target)),
+    };
+  }
+  return { content: upgraded, fromVersion: inspection.version, steps: inspection.steps };
+};
+
+/**
+ * Describe how a .mind file relates to the current format without upgrading it
+ * @param {ArrayBuffer|Uint8Array} buffer - .mind file content
+ */
+const inspect = (buffer) => {
+  return inspectContent(decodeContent(buffer));
+};
+
+/**
+ * Upgrade a .mind file to CURRENT_VERSION, keeping its plain or compact encoding
+ * @param {ArrayBuffer|Uint8Array} buffer - .mind file content
+ * @returns {{buffer: Uint8Array, fromVersion: number, toVersion: number, steps: Array}}
+ * @throws {MindFileMigrationError} - If the file cannot be upgraded
+ */
+const migrate = (buffer) => {
+  const { content, fromVersion, steps } = upgradeContent(decodeContent(buffer));
+  const upgraded = isCompact(buffer) ? encodeCompact(content) : msgpack.encode(content);
+  return { buffer: upgraded, fromVersion, toVersion: CURRENT_VERSION, steps };
+};
+
+export {
+  CURRENT_VERSION,
+  MindFileMigrationError,
+  findMissingFields,
+  inspectContent,
+  upgradeContent,
+  inspect,
+  migrate
+}
@@ -0,0 +1,168 @@
+// Lossless codec for grey images: median edge predictor (as in LOCO-I) and Rice coding of the residuals.
+// Each row stores its Rice parameter in RICE_PARAMETER_BITS bits.
+const RICE_PARAMETER_BITS = 3;
+const MAX_RICE_PARAMETER = (1 << RICE_PARAMETER_BITS) - 1;
+// Quotients of ESCAPE_QUOTIENT or more are written as ESCAPE_QUOTIENT ones followed by the raw 8-bit value
+const ESCAPE_QUOTIENT = 16;
+
+class BitWriter {
+  constructor(capacity) {
+    this.bytes = new Uint8Array(Math.max(16, capacity));
+    this.length = 0;
+    this.current = 0;
+    this.bitCount = 0;
+  }
+
+  write(value, bits) {
+    for (let i = bits - 1; i >= 0; i--) {
+      this.writeBit((value >> i) & 1);
+    }
+  }
+
+  writeBit(bit) {
+    this.current = (this.current << 1) | bit;
+    this.bitCount += 1;
+    if (this.bitCount === 8) {
+      if (this.length === this.bytes.length) {
+        const bytes = new Uint8Array(this.bytes.length * 2);
+        bytes.set(this.bytes);
+        this.bytes = bytes;
+      }
+      this.bytes[this.length++] = this.current;
+      this.current = 0;
+      this.bitCount = 0;
+    }
+  }
+
+  finish() {
+    while (this.bitCount !== 0) {
+      this.writeBit(0);
+    }
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+class BitReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.position = 0;
+  }
+
+  read(bits) {
+    let value = 0;
+    for (let i = 0; i < bits; i++) {
+      value = (value << 1) | this.readBit();
+    }
+    return value;
+  }
+
+  readBit() {
+    const byte = this.bytes[this.position >> 3];
+    if (byte === undefined) {
+      throw new Error('Compressed pixel data is truncated');
+    }
+    const bit = (byte >> (7 - (this.position & 7))) & 1;
+    this.position += 1;
+    return bit;
+  }
+}
+
+const _predict = (data, width, x, y) => {
+  const i = y * width + x;
+  const a = x > 0 ? data[i - 1] : (y > 0 ? data[i - width] : 0);
+  const b = y > 0 ? data[i - width] : a;
+  const c = x > 0 && y > 0 ? data[i - width - 1] : b;
+  if (c >= Math.max(a, b)) return Math.min(a, b);
+  if (c <= Math.min(a, b)) return Math.max(a, b);
+  return a + b - c;
+};
+
+// Residual modulo 256 as a signed value, zigzag mapped to 0..255
+const _toSymbol = (value, prediction) => {
+  const residual = (value - prediction) & 0xff;
+  const signed = residual > 127 ? residual - 256 : residual;
+  return signed >= 0 ? signed * 2 : -signed * 2 - 1;
+};
+
+const _fromSymbol = (symbol, prediction) => {
+  const signed = (symbol & 1) === 0 ? symbol >> 1 : -((symbol + 1) >> 1);
+  return (prediction + signed) & 0xff;
+};
+
+const _riceCost = (symbols, k) => {
+  let bits = 0;
+  for (let i = 0; i < symbols.length; i++) {
+    const quotient = symbols[i] >> k;
+    bits += quotient >= ESCAPE_QUOTIENT ? ESCAPE_QUOTIENT + 8 : quotient + 1 + k;
+  }
+  return bits;
+};
+
+/**
+ * Losslessly compress a grey image
+ * @param {{data: Uint8Array, width: number, height: number}} image
+ * @returns {Uint8Array}
+ */
+const encodePixels = ({data, width, height}) => {
+  const writer = new BitWriter(data.length >> 1);
+  const symbols = new Uint8Array(width);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      symbols[x] = _toSymbol(data[y * width + x], _predict(data, width, x, y));
+    }
+
+    let bestK = 0;
+    let bestCost = Number.MAX_SAFE_INTEGER;
+    for (let k = 0; k <= MAX_RICE_PARAMETER; k++) {
+      const cost = _riceCost(symbols, k);
+      if (cost < bestCost) {
+        bestCost = cost;
+        bestK = k;
+      }
+    }
+
+    writer.write(bestK, RICE_PARAMETER_BITS);
+    for (let x = 0; x < width; x++) {
+      const quotient = symbols[x] >> bestK;
+      if (quotient >= ESCAPE_QUOTIENT) {
+        writer.write((1 << ESCAPE_QUOTIENT) - 1, ESCAPE_QUOTIENT);
+        writer.write(symbols[x], 8);
+        continue;
+      }
+      writer.write((1 << (quotient + 1)) - 2, quotient + 1);
+      writer.write(symbols[x] & ((1 << bestK) - 1), bestK);
+    }
+  }
+  return writer.finish();
+};
+
+/**
+ * Decompress a grey image written by encodePixels
+ * @param {Uint8Array} bytes
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8Array}
+ */
+const decodePixels = (bytes, width, height) => {
+  const reader = new BitReader(bytes);
+  const data = new Uint8Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const k = reader.read(RICE_PARAMETER_BITS);
+    for (let x = 0; x < width; x++) {
+      let quotient = 0;
+      while (quotient < ESCAPE_QUOTIENT && reader.readBit() === 1) {
+        quotient += 1;
+      }
+      const symbol = quotient === ESCAPE_QUOTIENT ? reader.read(8) : (quotient << k) | reader.read(k);
+      data[y * width + x] = _fromSymbol(symbol, _predict(data, width, x, y));
+    }
+  }
+  return data;
+};
+
+export {
+  encodePixels,
+  decodePixels
+}
@@ -0,0 +1,310 @@
+// A frame is anything InputLoader can read: an HTMLVideoElement, HTMLImageElement, HTMLCanvasElement,
+// OffscreenCanvas, ImageBitmap, WebCodecs VideoFrame, or a raw buffer {data, width, height, format}
+// with format 'rgba' (4 bytes per pixel, the default) or 'grayscale' (1 byte per pixel).
+//
+// A frame source supplies frames to Controller.processVideo: getFrame() returns the current frame, or null
+// when none is ready yet. Sources with canRequestFrame call back once per new frame through requestFrame;
+// others are polled once per animation frame.
+
+const HAVE_CURRENT_DATA = 2;
+
+const _isInstance = (value, name) => typeof globalThis[name] !== 'undefined' && value instanceof globalThis[name];
+
+const isRawFrame = (frame) => {
+  return frame !== null && typeof frame === 'object' && ArrayBuffer.isView(frame.data)
+    && typeof frame.width === 'number' && typeof frame.height === 'number';
+};
+
+const isFrameSource = (value) => {
+  return value !== null && typeof value === 'object' && typeof value.getFrame === 'function'
+    && typeof value.requestFrame === 'function';
+};
+
+const _validateRawFrame = ({data, width, height, format = 'rgba'}) => {
+  if (format !== 'rgba' && format !== 'grayscale') {
+    throw new Error(`Unknown raw frame format '${format}', expected 'rgba' or 'grayscale'`);
+  }
+  const expected = width * height * (format === 'rgba' ? 4 : 1);
+  if (data.byteLength !== expected) {
+    throw new Error(`Raw ${format} frame of ${width}x${height} must have ${expected} bytes, got ${data.byteLength}`);
+  }
+};
+
+/**
+ * Size of a frame, in pixels
+ * @param {*} frame
+ * @returns {{width: number, height: number}}
+ */
+const getFrameSize = (frame) => {
+  if (_isInstance(frame, 'HTMLVideoElement')) {
+    return {width: frame.videoWidth, height: frame.videoHeight};
+  }
+  if (_isInstance(frame, 'HTMLImageElement')) {
+    return {width: frame.naturalWidth, height: frame.naturalHeight};
+  }
+  if (_isInstance(frame, 'VideoFrame')) {
+    return {width: frame.displayWidth, height: frame.displayHeight};
+  }
+  return {width: frame.width, height: frame.height};
+};
+
+/**
+ * RGBA bytes of a raw frame. Grey frames are expanded into target when given, to avoid an allocation per frame
+ * @param {{data: ArrayBufferView, width: number, height: number, format: 'rgba'|'grayscale'}} frame
+ * @param {Uint8Array|null} target - width * height * 4 bytes
+ * @returns {Uint8Array}
+ */
+const getRawFramePixels = (frame, target = null) => {
+  _validateRawFrame(frame);
+  const {data, width, height, format = 'rgba'} = frame;
+  const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  if (format === 'rgba') {
+    return bytes;
+  }
+  const pixels = target !== null && target.length === width * height * 4 ? target : new Uint8Array(width * height * 4);
+  for (let i = 0; i < bytes.length; i++) {
+    pixels[i * 4] = bytes[i];
+    pixels[i * 4 + 1] = bytes[i];
+    pixels[i * 4 + 2] = bytes[i];
+    pixels[i * 4 + 3] = 255;
+  }
+  return pixels;
+};
+
+/**
+ * Draw a frame of any kind into a 2D context, scaled to width x height
+ * @param {CanvasRenderingContext2D} context
+ * @param {*} frame
+ * @param {number} width
+ * @param {number} height
+ */
+const drawFrame = (context, frame, width, height) => {
+  if (!isRawFrame(frame)) {
+    context.drawImage(frame, 0, 0, width, height);
+    return;
+  }
+  const pixels = getRawFramePixels(frame);
+  const imageData = new ImageData(new Uint8ClampedArray(pixels.buffer, pixels.byteOffset, pixels.byteLength), frame.width, frame.height);
+  if (frame.width === width && frame.height === height) {
+    context.putImageData(imageData, 0, 0);
+    return;
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = frame.width;
+  canvas.height = frame.height;
+  canvas.getContext('2d').putImageData(imageData, 0, 0);
+  context.drawImage(canvas, 0, 0, width, height);
+};
+
+/**
+ * Frames of a video, image or canvas element, an OffscreenCanvas or an ImageBitmap. Videos with
+ * requestVideoFrameCallback call back per decoded frame; other elements are polled, so canvas
+ * content drawn by the app is read as it changes
+ */
+class ElementFrameSource {
+  /**
+   * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement|OffscreenCanvas|ImageBitmap} element
+   */
+  constructor(element) {
+    this.element = element;
+    this.isVideo = _isInstance(element, 'HTMLVideoElement');
+  }
+
+  get width() {
+    return getFrameSize(this.element).width;
+  }
+
+  get height() {
+    return getFrameSize(this.element).height;
+  }
+
+  get canRequestFrame() {
+    return this.isVideo && typeof this.element.requestVideoFrameCallback === 'function';
+  }
+
+  getFrame() {
+    if (this.isVideo && this.element.readyState < HAVE_CURRENT_DATA) {
+      return null;
+    }
+    return this.element;
+  }
+
+  /**
+   * @param {Function} callback - Called once with (frame, metadata) when the next video frame is presented
+   */
+  requestFrame(callback) {
+    this.element.requestVideoFrameCallback((now, metadata) => callback(this.element, metadata));
+  }
+
+  close() {}
+}
+
+/**
+ * Frames of a MediaStream (e.g. from WebRTC) or a video file, played in a hidden video element
+ */
+class MediaFrameSource extends ElementFrameSource {
+  /**
+   * @param {MediaStream|Blob|string} media - A stream, a video file, or the URL of one
+   * @param {Object} options
+   * @param {boolean} options.loop - Loop video files
+   */
+  constructor(media, {loop = true} = {}) {
+    const video = document.createElement('video');
+    video.setAttribute('muted', '');
+    video.setAttribute('playsinline', '');
+    video.muted = true;
+    super(video);
+
+    this.objectURL = null;
+    if (_isInstance(media, 'MediaStream')) {
+      video.srcObject = media;
+    } else {
+      if (_isInstance(media, 'Blob')) {
+        this.objectURL = URL.createObjectURL(media);
+      }
+      video.src = this.objectURL ?? media;
+      video.loop = loop;
+    }
+
+    // Resolves once the video size is known
+    this.ready = new Promise((resolve, reject) => {
+      video.addEventListener('loadedmetadata', () => resolve(this), {once: true});
+      video.addEventListener('error', () => reject(new Error('Failed to load the video of a frame source')), {once: true});
+    });
+    video.play().catch(() => {});
+  }
+
+  close() {
+    this.element.pause();
+    this.element.srcObject = null;
+    this.element.removeAttribute('src');
+    if (this.objectURL !== null) {
+      URL.revokeObjectURL(this.objectURL);
+      this.objectURL = null;
+    }
+  }
+}
+
+/**
+ * Frames pushed by the app, e.g. WebCodecs VideoFrames from a decoder or raw buffers from a custom capture
+ * pipeline. Each pushed frame is processed at most once; frames pushed while the controller is busy replace
+ * the waiting one. The source owns pushed VideoFrames and closes them when they are replaced
+ */
+class PushFrameSource {
+  /**
+   * @param {*} frame - Optional first frame
+   */
+  constructor(frame = null) {
+    this.frame = null;
+    this.timestamp = 0;
+    this.pending = false;
+    this.callback = null;
+    if (frame !== null) {
+      this.pushFrame(frame);
+    }
+  }
+
+  get width() {
+    return this.frame === null ? 0 : getFrameSize(this.frame).width;
+  }
+
+  get height() {
+    return this.frame === null ? 0 : getFrameSize(this.frame).height;
+  }
+
+  get canRequestFrame() {
+    return true;
+  }
+
+  /**
+   * @param {VideoFrame|ImageBitmap|HTMLCanvasElement|OffscreenCanvas|Object} frame
+   * @param {number} timestamp - In milliseconds, defaults to now
+   */
+  pushFrame(frame, timestamp = performance.now()) {
+    if (isRawFrame(frame)) {
+      _validateRawFrame(frame);
+    }
+    if (this.frame !== null && this.frame !== frame) {
+      this._closeFrame(this.frame);
+    }
+    this.frame = frame;
+    this.timestamp = timestamp;
+    this.pending = true;
+    if (this.callback !== null) {
+      this._deliver();
+    }
+  }
+
+  getFrame() {
+    return this.frame;
+  }
+
+  /**
+   * @param {Function} callback - Called once with (frame, {expectedDisplayTime}) for the next unprocessed frame
+   */
+  requestFrame(callback) {
+    this.callback = callback;
+    if (this.pending) {
+      Promise.resolve().then(() => this._deliver());
+    }
+  }
+
+  close() {
+    if (this.frame !== null) {
+      this._closeFrame(this.frame);
+    }
+    this.frame = null;
+    this.pending = false;
+    this.callback = null;
+  }
+
+  _deliver() {
+    const callback = this.callback;
+    if (callback === null || !this.pending) return;
+    this.callback = null;
+    this.pending = false;
+    callback(this.frame, {expectedDisplayTime: this.timestamp});
+  }
+
+  _closeFrame(frame) {
+    if (_isInstance(frame, 'VideoFrame')) {
+      frame.close();
+    }
+  }
+}
+
+/**
+ * Wrap anything frames can come from in a frame source. Frame sources are returned as they are.
+ * MediaFrameSource starts loading at once; await its ready promise for the video size
+ * @param {*} source - A frame source, MediaStream, video file (Blob) or URL, element, ImageBitmap,
+ *   VideoFrame or raw buffer
+ * @param {Object} options - See MediaFrameSource
+ * @returns {ElementFrameSource|MediaFrameSource|PushFrameSource}
+ */
+const createFrameSource = (source, options = {}) => {
+  if (isFrameSource(source)) {
+    return source;
+  }
+  if (_isInstance(source, 'MediaStream') || _isInstance(source, 'Blob') || typeof source === 'string') {
+    return new MediaFrameSource(source, options);
+  }
+  if (_isInstance(source, 'VideoFrame') || isRawFrame(source)) {
+    return new PushFrameSource(source);
+  }
+  if (source === null || typeof source !== 'object') {
+    throw new Error('Unsupported frame source');
+  }
+  return new ElementFrameSource(source);
+};
+
+export {
+  isRawFrame,
+  isFrameSource,
+  getFrameSize,
+  getRawFramePixels,
+  drawFrame,
+  ElementFrameSource,
+  MediaFrameSource,
+  PushFrameSource,
+  createFrameSource
+}
@@ -1,4 +1,5 @@
 import {resize} from "./utils/images.js";
+import {resizeMask} from "./target-mask.js";
 
 const MIN_IMAGE_PIXEL_SIZE = 100;
 
@@ -23,7 +24,7 @@ const buildImageList = (inputImage) => {
   for (let i = 0; i < scaleList.length; i++) {
     const w = inputImage.width * scaleList[i];
     const h = inputImage.height * scaleList[i];
-    imageList.push(Object.assign(resize({image: inputImage, ratio: scaleList[i]}), {scale: scaleList[i]}));
+    imageList.push(_withMask(Object.assign(resize({image: inputImage, ratio: scaleList[i]}), {scale: scaleList[i]}), inputImage));
   }
   return imageList;
 }
@@ -35,11 +36,19 @@ const buildTrackingImageList = (inputImage) => {
   scaleList.push( 256.0 / minDimension);
   scaleList.push( 128.0 / minDimension);
   for (let i = 0; i < scaleList.length; i++) {
-    imageList.push(Object.assign(resize({image: inputImage, ratio: scaleList[i]}), {scale: scaleList[i]}));
+    imageList.push(_withMask(Object.assign(resize({image: inputImage, ratio: scaleList[i]}), {scale: scaleList[i]}), inputImage));
   }
   return imageList;
 }
 
+// Scaled images carry the input image mask, resized to their size
+const _withMask = (image, inputImage) => {
+  if (inputImage.mask) {
+    image.mask = resizeMask(inputImage.mask, image.width, image.height);
+  }
+  return image;
+}
+
 export {
   buildImageList,
   buildTrackingImageList
@@ -0,0 +1,187 @@
+import * as tf from '@tensorflow/tfjs';
+import {Detector} from './detector/detector.js';
+import {Matcher} from './matching/matcher.js';
+import {Estimator} from './estimation/estimator.js';
+import {Tracker} from './tracker/tracker.js';
+import {toSurfacePoint, createDefaultTargetGeometry} from './target-geometry.js';
+import {createProjectionTransform} from './math/projection.js';
+import {buildModelViewProjectionTransform, computeScreenCoordinate, glModelViewMatrix} from './math/matrix-transform.js';
+
+// Longest side the image is resized to before detection, in pixels
+const DEFAULT_MAX_SIZE = 1024;
+
+/**
+ * Target poses in still images: detection on the whole image, matching against every requested target,
+ * pose estimation with ICP refinement and, on the webgl backend, a final refinement with the tracker.
+ * Runs on the calling thread, so it also works in Node with the cpu backend.
+ */
+class ImagePoseEstimator {
+  /**
+   * @param {Array} dataList - Target data as returned by Compiler.importData / OfflineCompiler.importData.
+   *   null entries are skipped
+   * @param {Object} options
+   * @param {boolean} options.debugMode
+   */
+  constructor(dataList, {debugMode = false} = {}) {
+    this.dataList = dataList;
+    this.debugMode = debugMode;
+    // Per image size, created on first use
+    this.detectors = new Map();
+    this.trackers = new Map();
+  }
+
+  /**
+   * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap|ImageData|{data: Uint8Array, width: number, height: number}} image -
+   *   Image element, canvas or RGBA pixels
+   * @param {Object} options
+   * @param {number[]|null} options.targetIndexes - Targets to look for; null looks for every target
+   * @param {number} options.maxSize - Longest side the image is resized to before detection
+   * @param {boolean|null} options.refineWithTracker - Refine each pose with the tracker. null refines on the
+   *   webgl backend only, which the tracker needs
+   * @returns {Promise<Array>} - One result per found target, in target order:
+   *   {targetIndex, name, modelViewTransform, worldMatrix, corners, inliers, trackedPoints, reprojectionError}.
+   *   corners are the target's top-left, top-right, bottom-right and bottom-left corners and
+   *   reprojectionError the RMS distance of the matched points, both in image pixels
+   */
+  async estimate(image, {targetIndexes = null, maxSize = DEFAULT_MAX_SIZE, refineWithTracker = null} = {}) {
+    const useTracker = refineWithTracker ?? tf.getBackend() === 'webgl';
+    if (useTracker && tf.getBackend() !== 'webgl') {
+      throw new Error('Tracker refinement needs the webgl backend');
+    }
+    const indexes = (targetIndexes ?? this.dataList.map((_, i) => i)).filter((i) => this.dataList[i]);
+
+    const ratio = Math.min(1, maxSize / Math.max(image.width, image.height));
+    const width = Math.round(image.width * ratio);
+    const height = Math.round(image.height * ratio);
+    const toImagePixels = ({x, y}) => [(x + 0.5) / ratio - 0.5, (y + 0.5) / ratio - 0.5];
+
+    const projectionTransform = createProjectionTransform(width, height);
+    const estimator = new Estimator(projectionTransform);
+    const matcher = new Matcher(width, height, this.debugMode);
+
+    const inputT = this._loadGreyImage(image, width, height);
+    try {
+      await tf.nextFrame();
+      const {featurePoints} = this._getDetector(width, height).detect(inputT);
+      const tracker = useTracker ? this._getTracker(width, height, projectionTransform) : null;
+
+      const results = [];
+      for (const targetIndex of indexes) {
+        const data = this.dataList[targetIndex];
+        const geometry = data.geometry ?? createDefaultTargetGeometry();
+        const {width: targetWidth, height: targetHeight} = data.targetImage;
+
+        const {keyframeIndex, screenCoords, worldCoords: flatWorldCoords} = matcher.matchDetection(data.matchingData, featurePoints);
+        if (keyframeIndex === -1) continue;
+
+        const worldCoords = flatWorldCoords.map((p) => toSurfacePoint(geometry, targetWidth, p.x, p.y));
+        const initialModelViewTransform = estimator.estimate({screenCoords, worldCoords});
+        if (!initialModelViewTransform) continue;
+        let modelViewTransform = estimator.refineEstimate({initialModelViewTransform, worldCoords, screenCoords}) ?? initialModelViewTransform;
+
+        let trackedPoints = 0;
+        if (tracker !== null) {
+          const tracked = tracker.track(inputT, modelViewTransform, targetIndex);
+          trackedPoints = tracked.worldCoords.length;
+          if (trackedPoints >= 4) {
+            modelViewTransform = estimator.refineEstimate({initialModelViewTransform: modelViewTransform, worldCoords: tracked.worldCoords, screenCoords: tracked.screenCoords}) ?? modelViewTransform;
+          }
+        }
+
+        const modelViewProjectionTransform = buildModelViewProjectionTransform(projectionTransform, modelViewTransform);
+        const project = ({x, y, z}) => toImagePixels(computeScreenCoordinate(modelViewProjectionTransform, x, y, z));
+
+        let squaredError = 0;
+        for (let i = 0; i < worldCoords.length; i++) {
+          const [px, py] = project(worldCoords[i]);
+          const [sx, sy] = toImagePixels(screenCoords[i]);
+          squaredError += (px - sx) * (px - sx) + (py - sy) * (py - sy);
+        }
+
+        const cornerPoints = [[0, 0], [targetWidth, 0], [targetWidth, targetHeight], [0, targetHeight]];
+        results.push({
+          targetIndex,
+          name: data.metadata?.name ?? null,
+          modelViewTransform,
+          worldMatrix: glModelViewMatrix(modelViewTransform, targetHeight).slice(),
+          corners: cornerPoints.map(([x, y]) => project(toSurfacePoint(geometry, targetWidth, x, y))),
+          inliers: screenCoords.length,
+          trackedPoints,
+          reprojectionError: Math.sqrt(squaredError / worldCoords.length)
+        });
+      }
+      return results;
+    } finally {
+      inputT.dispose();
+    }
+  }
+
+  dispose() {
+    for (const tracker of this.trackers.values()) {
+      tracker.dispose();
+    }
+    this.trackers.clear();
+    for (const detector of this.detectors.values()) {
+      detector.dispose();
+    }
+    this.detectors.clear();
+  }
+
+  // Grey float32 tensor [height, width], with the weights of InputLoader
+  _loadGreyImage(image, width, height) {
+    return tf.tidy(() => {
+      let pixelsT = tf.browser.fromPixels(image, 3).toFloat();
+      if (width !== image.width || height !== image.height) {
+        pixelsT = tf.image.resizeBilinear(pixelsT, [height, width]);
+      }
+      return pixelsT.mul(tf.tensor1d([0.299, 0.587, 0.114])).sum(2);
+    });
+  }
+
+  _getDetector(width, height) {
+    const key = `${width}x${height}`;
+    if (!this.detectors.has(key)) {
+      this.detectors.set(key, new Detector(width, height, this.debugMode));
+    }
+    return this.detectors.get(key);
+  }
+
+  _getTracker(width, height, projectionTransform) {
+    const key = `${width}x${height}`;
+    if (!this.trackers.has(key)) {
+      const dataList = this.dataList;
+      this.trackers.set(key, new Tracker(
+        dataList.map((data) => data ? [data.targetImage.width, data.targetImage.height] : [0, 0]),
+        dataList.map((data) => data ? data.trackingData : null),
+        projectionTransform,
+        width,
+        height,
+        this.debugMode,
+        dataList.map((data) => data?.mask ?? null),
+        dataList.map((data) => data?.geometry)
+      ));
+    }
+    return this.trackers.get(key);
+  }
+}
+
+/**
+ * Find targets in one still image
+ * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap|ImageData|{data: Uint8Array, width: number, height: number}} image
+ * @param {Object} options - Options of ImagePoseEstimator.estimate, and:
+ * @param {Array} options.targets - Target data as returned by Compiler.importData / OfflineCompiler.importData
+ * @returns {Promise<Array>} - See ImagePoseEstimator.estimate
+ */
+const estimatePose = async (image, {targets, ...options}) => {
+  const poseEstimator = new ImagePoseEstimator(targets);
+  try {
+    return await poseEstimator.estimate(image, options);
+  } finally {
+    poseEstimator.dispose();
+  }
+}
+
+export {
+  ImagePoseEstimator,
+  estimatePose
+}
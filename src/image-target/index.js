@@ -1,11 +1,35 @@
 import {Controller} from './controller.js';
 import {Compiler} from './compiler.js';
 import {UI} from '../ui/ui.js';
+import {TargetLibrary} from './target-library.js';
+import {migrate, inspect, MindFileMigrationError} from './format/migration.js';
+import {CompileAbortError} from './compile-abort.js';
+import {ImagePoseEstimator, estimatePose} from './image-pose-estimator.js';
+import {OfflineProcessor} from './offline-processor.js';
+import {PoseTrack} from './pose-track.js';
+import {Session} from './session.js';
+import {SessionRecorder} from './session-recorder.js';
+import {createFrameSource, ElementFrameSource, MediaFrameSource, PushFrameSource} from './frame-source.js';
 
 export {
   Controller, 
   Compiler,
-  UI
+  UI,
+  TargetLibrary,
+  migrate,
+  inspect,
+  MindFileMigrationError,
+  CompileAbortError,
+  ImagePoseEstimator,
+  estimatePose,
+  OfflineProcessor,
+  PoseTrack,
+  Session,
+  SessionRecorder,
+  createFrameSource,
+  ElementFrameSource,
+  MediaFrameSource,
+  PushFrameSource
 }
 
 if (!window.MINDAR) {
@@ -15,5 +39,20 @@ if (!window.MINDAR) {
 window.MINDAR.IMAGE = {
   Controller, 
   Compiler,
-  UI
+  UI,
+  TargetLibrary,
+  migrate,
+  inspect,
+  MindFileMigrationError,
+  CompileAbortError,
+  ImagePoseEstimator,
+  estimatePose,
+  OfflineProcessor,
+  PoseTrack,
+  Session,
+  SessionRecorder,
+  createFrameSource,
+  ElementFrameSource,
+  MediaFrameSource,
+  PushFrameSource
 };
@@ -1,4 +1,5 @@
 import * as tf from '@tensorflow/tfjs';
+import {isRawFrame, getFrameSize, getRawFramePixels} from './frame-source.js';
 
 // Direct video texture access implementation
 //   Eliminates canvas drawImage() overhead by using video element directly as WebGL texture source
@@ -24,29 +25,42 @@ class InputLoader {
     this.cachedIsRotated = null;
     this.cachedInputWidth = null;
     this.cachedInputHeight = null;
+    // RGBA expansion of grey raw frames, reused between frames
+    this.rawPixels = null;
   }
 
-  // input is instance of HTMLVideoElement or HTMLImageElement
+  // input is any frame, see frame-source.js: an element, ImageBitmap, VideoFrame or raw buffer
   loadInput(input) {
+    const {width: inputWidth, height: inputHeight} = getFrameSize(input);
+
     // Check if rotation state has changed (cache to avoid rebuilding shader)
-    const isInputRotated = input.width === this.height && input.height === this.width;
+    const isInputRotated = inputWidth === this.height && inputHeight === this.width;
     const rotationStateChanged = (
       this.cachedIsRotated !== isInputRotated ||
-      this.cachedInputWidth !== input.width ||
-      this.cachedInputHeight !== input.height
+      this.cachedInputWidth !== inputWidth ||
+      this.cachedInputHeight !== inputHeight
     );
 
     // Rebuild shader if rotation state changed
     if (rotationStateChanged || !this.program) {
       this.cachedIsRotated = isInputRotated;
-      this.cachedInputWidth = input.width;
-      this.cachedInputHeight = input.height;
-      this.program = this.buildProgram(this.width, this.height, isInputRotated, input.width, input.height);
+      this.cachedInputWidth = inputWidth;
+      this.cachedInputHeight = inputHeight;
+      this.program = this.buildProgram(this.width, this.height, isInputRotated, inputWidth, inputHeight);
     }
 
     // Direct video texture upload - no canvas needed!
+    // Raw buffers are uploaded as RGBA pixel data; the shader reduces every input to luminance
     const backend = tf.backend();
-    backend.gpgpu.uploadPixelDataToTexture(backend.getTexture(this.tempPixelHandle.dataId), input);
+    let pixels = input;
+    if (isRawFrame(input)) {
+      const data = getRawFramePixels(input, this.rawPixels);
+      if (input.format === 'grayscale') {
+        this.rawPixels = data;
+      }
+      pixels = {data, width: inputWidth, height: inputHeight};
+    }
+    backend.gpgpu.uploadPixelDataToTexture(backend.getTexture(this.tempPixelHandle.dataId), pixels);
 
     const res = this._compileAndRun(this.program, [this.tempPixelHandle]);
     return res;
@@ -0,0 +1,150 @@
+import {solveHomography} from './utils/homography.js';
+import {quadrilateralConvex, multiplyPointHomographyInhomogenous} from './utils/geometry.js';
+import {getFrameSize, drawFrame, isFrameSource} from './frame-source.js';
+
+// Longest side of a captured target image, in pixels
+const DEFAULT_MAX_SIZE = 640;
+const MIN_SIZE = 64;
+
+// Quads are four [x, y] corners in source pixels: top-left, top-right, bottom-right, bottom-left of the target
+const _validateQuad = (quad) => {
+  const valid = Array.isArray(quad) && quad.length === 4 && quad.every((point) => {
+    return Array.isArray(point) && point.length === 2 && point.every((v) => typeof v === 'number' && isFinite(v));
+  });
+  if (!valid) {
+    throw new Error('Quad must be four [x, y] corners: top-left, top-right, bottom-right, bottom-left');
+  }
+  if (!quadrilateralConvex(quad[0], quad[1], quad[2], quad[3])) {
+    throw new Error('Quad must be convex');
+  }
+};
+
+const _distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+
+/**
+ * Output size of a rectified quad: the mean lengths of its opposite edges, scaled down to maxSize
+ * @param {Array<[number, number]>} quad
+ * @param {number} maxSize - Longest side, in pixels
+ * @returns {{width: number, height: number}}
+ */
+const computeRectifiedSize = (quad, maxSize = DEFAULT_MAX_SIZE) => {
+  const width = (_distance(quad[0], quad[1]) + _distance(quad[3], quad[2])) / 2;
+  const height = (_distance(quad[0], quad[3]) + _distance(quad[1], quad[2])) / 2;
+  const ratio = Math.min(1, maxSize / Math.max(width, height));
+  const size = {width: Math.round(width * ratio), height: Math.round(height * ratio)};
+  if (size.width < MIN_SIZE || size.height < MIN_SIZE) {
+    throw new Error(`Captured target must be at least ${MIN_SIZE}x${MIN_SIZE} pixels, got ${size.width}x${size.height}`);
+  }
+  return size;
+};
+
+/**
+ * Warp a quad of an RGBA image to a width x height rectangle, with bilinear sampling.
+ * Output pixels that map outside the source are transparent.
+ *
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - Source RGBA pixels
+ * @param {Array<[number, number]>} quad - Corners in source pixels: top-left, top-right, bottom-right, bottom-left
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+ */
+const rectifyQuad = (imageData, quad, width, height) => {
+  _validateQuad(quad);
+  const corners = [[0, 0], [width, 0], [width, height], [0, height]];
+  const H = solveHomography(corners, quad);
+  if (H === null) {
+    throw new Error('Quad is degenerate');
+  }
+
+  const {data: src, width: srcWidth, height: srcHeight} = imageData;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [sx, sy] = multiplyPointHomographyInhomogenous([x + 0.5, y + 0.5], H);
+      const fx = sx - 0.5;
+      const fy = sy - 0.5;
+      const x0 = Math.floor(fx);
+      const y0 = Math.floor(fy);
+      if (x0 < 0 || y0 < 0 || x0 + 1 >= srcWidth || y0 + 1 >= srcHeight) continue;
+
+      const ax = fx - x0;
+      const ay = fy - y0;
+      const i00 = (y0 * srcWidth + x0) * 4;
+      const i01 = i00 + 4;
+      const i10 = i00 + srcWidth * 4;
+      const i11 = i10 + 4;
+      const offset = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) {
+        const top = src[i00 + c] * (1 - ax) + src[i01 + c] * ax;
+        const bottom = src[i10 + c] * (1 - ax) + src[i11 + c] * ax;
+        data[offset + c] = top * (1 - ay) + bottom * ay;
+      }
+    }
+  }
+  return {data, width, height};
+};
+
+/**
+ * Capture a frame as a target image
+ *
+ * @param {*} source - Any frame, see frame-source.js
+ * @param {Object} options
+ * @param {Array<[number, number]>|null} options.quad - Target corners in source pixels: top-left, top-right,
+ *   bottom-right, bottom-left. null captures the whole frame
+ * @param {number} options.maxSize - Longest side of the captured image, in pixels
+ * @returns {HTMLCanvasElement} - Rectified target image, ready for compileImageTargets
+ */
+const captureTargetImage = (source, {quad = null, maxSize = DEFAULT_MAX_SIZE} = {}) => {
+  const {width: sourceWidth, height: sourceHeight} = getFrameSize(source);
+  const frameQuad = quad ?? [[0, 0], [sourceWidth, 0], [sourceWidth, sourceHeight], [0, sourceHeight]];
+  _validateQuad(frameQuad);
+  const {width, height} = computeRectifiedSize(frameQuad, maxSize);
+
+  const frameCanvas = document.createElement('canvas');
+  frameCanvas.width = sourceWidth;
+  frameCanvas.height = sourceHeight;
+  const frameContext = frameCanvas.getContext('2d');
+  drawFrame(frameContext, source, sourceWidth, sourceHeight);
+  const frameData = frameContext.getImageData(0, 0, sourceWidth, sourceHeight);
+
+  const rectified = rectifyQuad(frameData, frameQuad, width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  const imageData = context.createImageData(width, height);
+  imageData.data.set(rectified.data);
+  context.putImageData(imageData, 0, 0);
+  return canvas;
+};
+
+/**
+ * Capture a target from a frame and compile it, for addInstantTarget of Controller and WorkerController
+ * @param {Object} compiler - A Compiler; its data holds the compiled target afterwards
+ * @param {*} source - A frame or a frame source
+ * @param {Object} options - quad and maxSize as captureTargetImage, and:
+ * @param {Object} options.target - Per-target options of compileImageTargets; mask defaults to 'alpha'
+ * @param {Function|null} options.progressCallback - See compileImageTargets
+ * @param {AbortSignal|null} options.signal - See compileImageTargets
+ * @returns {Promise<Array>} - The compiled target, as returned by compileImageTargets
+ */
+const compileInstantTarget = async (compiler, source, {quad = null, maxSize = DEFAULT_MAX_SIZE, target = {}, progressCallback = null, signal = null} = {}) => {
+  const frame = isFrameSource(source) ? source.getFrame() : source;
+  if (frame === null) {
+    throw new Error('Frame source has no frame to capture yet');
+  }
+  const image = captureTargetImage(frame, {quad, maxSize});
+  return compiler.compileImageTargets([image], progressCallback ?? (() => {}), {
+    targets: [{mask: 'alpha', ...target}],
+    workers: 1,
+    signal
+  });
+};
+
+export {
+  DEFAULT_MAX_SIZE,
+  computeRectifiedSize,
+  rectifyQuad,
+  captureTargetImage,
+  compileInstantTarget
+}
@@ -0,0 +1,238 @@
+import {compute as hammingCompute} from './hamming-distance.js';
+import {createRandomizer} from '../utils/randomizer.js';
+
+const BRANCHING = 10;
+const DEPTH = 4;
+const MAX_TRAINING_POINTS = 20000;
+const MAJORITY_ITERATIONS = 3;
+
+// Random index in [0, n). The randomizer draws 15 bits at a time (as arrayShuffle does), which cannot
+// reach past index 32767 in large libraries, so two draws are combined into 30 bits
+const _randomIndex = (randomizer, n) => {
+  return (randomizer.nextInt(0x8000) * 0x8000 + randomizer.nextInt(0x8000)) % n;
+};
+
+// Sample of the descriptors of all targets with the given extremum type, to train the vocabulary on
+const _sampleDescriptors = (matchingDataList, maxima, randomizer) => {
+  const descriptors = [];
+  for (const keyframes of matchingDataList) {
+    if (keyframes === null) continue;
+    for (const keyframe of keyframes) {
+      const points = maxima ? keyframe.maximaPoints : keyframe.minimaPoints;
+      for (const point of points) {
+        descriptors.push(point.descriptors);
+      }
+    }
+  }
+  if (descriptors.length > MAX_TRAINING_POINTS) {
+    // Partial Fisher-Yates: the first MAX_TRAINING_POINTS entries become a uniform sample of all descriptors
+    for (let i = 0; i < MAX_TRAINING_POINTS; i++) {
+      const j = i + _randomIndex(randomizer, descriptors.length - i);
+      const tmp = descriptors[i];
+      descriptors[i] = descriptors[j];
+      descriptors[j] = tmp;
+    }
+    descriptors.length = MAX_TRAINING_POINTS;
+  }
+  return descriptors;
+};
+
+// Descriptor whose bits are set where most of the given descriptors have them set
+const _majorityDescriptor = (descriptors, indexes) => {
+  const length = descriptors[indexes[0]].length;
+  const counts = new Uint32Array(length * 32);
+  for (const index of indexes) {
+    const descriptor = descriptors[index];
+    for (let w = 0; w < length; w++) {
+      const value = descriptor[w];
+      if (value === 0) continue;
+      for (let b = 0; b < 32; b++) {
+        if ((value >>> b) & 1) counts[w * 32 + b] += 1;
+      }
+    }
+  }
+  const center = new Array(length);
+  for (let w = 0; w < length; w++) {
+    let value = 0;
+    for (let b = 0; b < 32; b++) {
+      if (counts[w * 32 + b] * 2 > indexes.length) value |= (1 << b);
+    }
+    center[w] = value >>> 0;
+  }
+  return center;
+};
+
+const _nearestCenter = (centers, descriptor) => {
+  let bestIndex = 0;
+  let bestD = Number.MAX_SAFE_INTEGER;
+  for (let k = 0; k < centers.length; k++) {
+    const d = hammingCompute({v1: centers[k], v2: descriptor});
+    if (d < bestD) {
+      bestD = d;
+      bestIndex = k;
+    }
+  }
+  return bestIndex;
+};
+
+// k-majority clustering: k-means on binary descriptors with bitwise majority centers
+const _cluster = (descriptors, indexes, randomizer) => {
+  const shuffled = indexes.slice();
+  randomizer.arrayShuffle({arr: shuffled, sampleSize: BRANCHING});
+  let centers = shuffled.slice(0, BRANCHING).map((index) => descriptors[index]);
+
+  let clusters = [];
+  for (let iteration = 0; iteration < MAJORITY_ITERATIONS; iteration++) {
+    clusters = centers.map(() => []);
+    for (const index of indexes) {
+      clusters[_nearestCenter(centers, descriptors[index])].push(index);
+    }
+    clusters = clusters.filter((cluster) => cluster.length > 0);
+    centers = clusters.map((cluster) => _majorityDescriptor(descriptors, cluster));
+  }
+  return {centers, clusters};
+};
+
+// node = {center, children: [node] | null, word: int (leaves only)}
+const _buildNode = (descriptors, indexes, center, depth, randomizer, nextWord) => {
+  if (depth === DEPTH || indexes.length <= BRANCHING) {
+    return {center, children: null, word: nextWord.value++};
+  }
+  const {centers, clusters} = _cluster(descriptors, indexes, randomizer);
+  if (clusters.length === 1) {
+    return {center, children: null, word: nextWord.value++};
+  }
+  const children = clusters.map((cluster, k) => _buildNode(descriptors, cluster, centers[k], depth + 1, randomizer, nextWord));
+  return {center, children, word: -1};
+};
+
+const _quantize = (rootNode, descriptor) => {
+  let node = rootNode;
+  while (node.children !== null) {
+    node = node.children[_nearestCenter(node.children.map((child) => child.center), descriptor)];
+  }
+  return node.word;
+};
+
+/**
+ * Global descriptor index over all targets, to rank detection candidates before full matching.
+ *
+ * A vocabulary tree per extremum type (maxima and minima) quantizes FREAK descriptors to visual words.
+ * Each target is a tf-idf weighted histogram of the words of all its keyframes, stored in an inverted file.
+ * A query is scored against each candidate target by the intersection of the normalized histograms.
+ */
+class TargetIndex {
+  /**
+   * @param {Array} matchingDataList - Matching keyframes of each target; null for removed targets.
+   *   The vocabulary is trained on these targets
+   */
+  constructor(matchingDataList) {
+    const randomizer = createRandomizer();
+    const nextWord = {value: 0};
+    this.trees = {};
+    for (const maxima of [true, false]) {
+      const descriptors = _sampleDescriptors(matchingDataList, maxima, randomizer);
+      const indexes = descriptors.map((_, i) => i);
+      this.trees[maxima ? 'maxima' : 'minima'] = _buildNode(descriptors, indexes, null, 0, randomizer, nextWord);
+    }
+    this.wordCount = nextWord.value;
+
+    // word -> Map of targetIndex -> number of descriptors of the target quantized to the word
+    this.invertedFile = new Map();
+    this.targetCount = 0;
+    this.idf = new Float64Array(this.wordCount);
+    this.norms = [];
+    this.addTargets(matchingDataList, 0);
+  }
+
+  /**
+   * Index targets with the existing vocabulary
+   * @param {Array} matchingDataList - Matching keyframes of each target; null for removed targets
+   * @param {number} startIndex - Target index of matchingDataList[0]
+   */
+  addTargets(matchingDataList, startIndex) {
+    for (let i = 0; i < matchingDataList.length; i++) {
+      if (matchingDataList[i] === null) continue;
+      const histogram = this._computeHistogram(matchingDataList[i].flatMap((keyframe) => [...keyframe.maximaPoints, ...keyframe.minimaPoints]));
+      for (const [word, count] of histogram) {
+        if (!this.invertedFile.has(word)) {
+          this.invertedFile.set(word, new Map());
+        }
+        this.invertedFile.get(word).set(startIndex + i, count);
+      }
+      this.targetCount += 1;
+    }
+    this._updateWeights();
+  }
+
+  removeTarget(targetIndex) {
+    let found = false;
+    for (const postings of this.invertedFile.values()) {
+      found = postings.delete(targetIndex) || found;
+    }
+    if (found) {
+      this.targetCount -= 1;
+      this._updateWeights();
+    }
+  }
+
+  /**
+   * Rank candidate targets by similarity to the detected feature points
+   * @param {Array} featurePoints - Detected feature points with descriptors and maxima flags
+   * @param {number[]} targetIndexes - Candidate targets
+   * @param {number} limit - Maximum number of targets to return
+   * @returns {number[]} - Best candidates first; targets sharing no visual word with the query are left out
+   */
+  rank(featurePoints, targetIndexes, limit) {
+    const candidates = new Set(targetIndexes);
+    const histogram = this._computeHistogram(featurePoints);
+
+    let queryNorm = 0;
+    for (const [word, count] of histogram) {
+      queryNorm += count * this.idf[word];
+    }
+    if (queryNorm === 0) return [];
+
+    const scores = new Map();
+    for (const [word, count] of histogram) {
+      const postings = this.invertedFile.get(word);
+      if (postings === undefined || this.idf[word] === 0) continue;
+      const queryWeight = count * this.idf[word] / queryNorm;
+      for (const [targetIndex, targetCount] of postings) {
+        if (!candidates.has(targetIndex)) continue;
+        const targetWeight = targetCount * this.idf[word] / this.norms[targetIndex];
+        scores.set(targetIndex, (scores.get(targetIndex) ?? 0) + Math.min(queryWeight, targetWeight));
+      }
+    }
+
+    return [...scores.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+      .slice(0, limit)
+      .map(([targetIndex]) => targetIndex);
+  }
+
+  _computeHistogram(points) {
+    const histogram = new Map();
+    for (const point of points) {
+      const word = _quantize(point.maxima ? this.trees.maxima : this.trees.minima, point.descriptors);
+      histogram.set(word, (histogram.get(word) ?? 0) + 1);
+    }
+    return histogram;
+  }
+
+  _updateWeights() {
+    this.idf.fill(0);
+    this.norms = [];
+    for (const [word, postings] of this.invertedFile) {
+      if (postings.size === 0) continue;
+      this.idf[word] = Math.log(1 + this.targetCount / postings.size);
+      for (const [targetIndex, count] of postings) {
+        this.norms[targetIndex] = (this.norms[targetIndex] ?? 0) + count * this.idf[word];
+      }
+    }
+  }
+}
+
+export {
+  TargetIndex
+}
@@ -82,14 +82,14 @@ export function buildModelViewProjectionTransform(projectionTransform, modelView
   return modelViewProjectionTransform;
 }
 
-export function applyModelViewProjectionTransform(modelViewProjectionTransform, x, y, z) {
-  const ux = modelViewProjectionTransform[0][0] * x + modelViewProjectionTransform[0][1] * y + modelViewProjectionTransform[0][3];
-  const uy = modelViewProjectionTransform[1][0] * x + modelViewProjectionTransform[1][1] * y + modelViewProjectionTransform[1][3];
-  const uz = modelViewProjectionTransform[2][0] * x + modelViewProjectionTransform[2][1] * y + modelViewProjectionTransform[2][3];
+export function applyModelViewProjectionTransform(modelViewProjectionTransform, x, y, z = 0) {
+  const ux = modelViewProjectionTransform[0][0] * x + modelViewProjectionTransform[0][1] * y + modelViewProjectionTransform[0][2] * z + modelViewProjectionTransform[0][3];
+  const uy = modelViewProjectionTransform[1][0] * x + modelViewProjectionTransform[1][1] * y + modelViewProjectionTransform[1][2] * z + modelViewProjectionTransform[1][3];
+  const uz = modelViewProjectionTransform[2][0] * x + modelViewProjectionTransform[2][1] * y + modelViewProjectionTransform[2][2] * z + modelViewProjectionTransform[2][3];
   return {x: ux, y: uy, z: uz};
 }
 
-export function computeScreenCoordinate(modelViewProjectionTransform, x, y, z) {
+export function computeScreenCoordinate(modelViewProjectionTransform, x, y, z = 0) {
   const {x: ux, y: uy, z: uz} = applyModelViewProjectionTransform(modelViewProjectionTransform, x, y, z);
   return {x: ux/uz, y: uy/uz};
 }
@@ -1,7 +1,9 @@
 import {CompilerBase} from './compiler-base.js'
 import { buildTrackingImageList } from './image-list.js';
 import { extractTrackingFeatures } from './tracker/extract-utils.js';
+import { throwIfAborted } from './compile-abort.js';
 import { createCanvas } from 'canvas'
+import { Worker } from 'worker_threads'
 import './detector/kernels/cpu/index.js'
 
 export class OfflineCompiler extends CompilerBase {
@@ -10,25 +12,35 @@ export class OfflineCompiler extends CompilerBase {
     return processCanvas;
   }
 
-  compileTrack({progressCallback, targetImages, basePercent}) {
-    return new Promise((resolve, reject) => {
-      const percentPerImage = (100-basePercent) / targetImages.length;
-      let percent = 0;
-      const list = [];
-      for (let i = 0; i < targetImages.length; i++) {
-        const targetImage = targetImages[i];
-        const imageList = buildTrackingImageList(targetImage);
-        const percentPerAction = percentPerImage / imageList.length;
+  async compileTrack({progressCallback, targetImages, signal}) {
+    const list = [];
+    for (let i = 0; i < targetImages.length; i++) {
+      await new Promise((resolve) => setImmediate(resolve));
+      throwIfAborted(signal);
+      const targetImage = targetImages[i];
+      const imageList = buildTrackingImageList(targetImage);
 
-        //console.log("compiling tracking...", i);
-        const trackingData = extractTrackingFeatures(imageList, (index) => {
-          //console.log("done tracking", i, index);
-          percent += percentPerAction;
-          progressCallback(basePercent+percent);
-        });
-        list.push(trackingData);
-      }
-      resolve(list);
-    });
+      //console.log("compiling tracking...", i);
+      const trackingData = extractTrackingFeatures(imageList, (index) => {
+        //console.log("done tracking", i, index);
+        progressCallback(i, 100 * (index + 1) / imageList.length);
+      });
+      list.push(trackingData);
+    }
+    return list;
+  }
+
+  encodePNG(canvas) {
+    return Promise.resolve(canvas.toBuffer('image/png'));
+  }
+
+  createCompileWorker() {
+    const worker = new Worker(new URL('./compile-pool.node-worker.js', import.meta.url));
+    return {
+      postMessage: (message) => worker.postMessage(message),
+      onMessage: (handler) => worker.on('message', handler),
+      onError: (handler) => worker.on('error', handler),
+      terminate: () => worker.terminate(),
+    };
   }
 }
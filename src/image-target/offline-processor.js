@@ -0,0 +1,256 @@
+import {PoseTrack} from './pose-track.js';
+import {SESSION_CALL_METHODS} from './session.js';
+import {getFrameSize} from './frame-source.js';
+import {Logger} from '../libs/logger.js';
+
+const DEFAULT_FPS = 30;
+
+const _seek = (video, time) => new Promise((resolve, reject) => {
+  const onSeeked = () => {
+    video.removeEventListener('error', onError);
+    resolve();
+  };
+  const onError = () => {
+    video.removeEventListener('seeked', onSeeked);
+    reject(new Error(`Failed to seek video to ${time}s`));
+  };
+  video.addEventListener('seeked', onSeeked, {once: true});
+  video.addEventListener('error', onError, {once: true});
+  video.currentTime = time;
+});
+
+// Draw a session frame at the size the pipeline saw when it was recorded
+const _drawSessionFrame = (session, frameIndex, frameCanvas, canvas) => {
+  const {sourceWidth, sourceHeight} = session.frames[frameIndex];
+  const {data, width, height} = session.getFrameImageData(frameIndex);
+  canvas.width = sourceWidth;
+  canvas.height = sourceHeight;
+  if (width === sourceWidth && height === sourceHeight) {
+    canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+    return;
+  }
+  frameCanvas.width = width;
+  frameCanvas.height = height;
+  frameCanvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+  canvas.getContext('2d').drawImage(frameCanvas, 0, 0, sourceWidth, sourceHeight);
+};
+
+/**
+ * Runs a controller's detect/track pipeline over a recorded video or an image sequence, frame by frame and
+ * not in real time, and records a pose track per target.
+ *
+ * Frames go through the controller's FrameProcessor outside realtime mode: no frame is skipped and
+ * detection and tracking run at full quality (session replays apply the recorded quality instead), while warmup
+ * and miss tolerance apply as in a live session. The controller's onUpdate is called as in a live session.
+ * The controller must have targets loaded, an input size equal to the frame size or its
+ * 90 degree rotation, and no video processing running.
+ */
+class OfflineProcessor {
+  /**
+   * @param {Controller} controller
+   */
+  constructor(controller) {
+    this.controller = controller;
+    this.logger = new Logger('OfflineProcessor', true, controller.debugMode ? 'debug' : 'info');
+  }
+
+  /**
+   * Process a video by seeking through it
+   * @param {HTMLVideoElement} video - With its metadata loaded
+   * @param {Object} options
+   * @param {number} options.fps - Frames sampled per second of video
+   * @param {number} options.startTime - In seconds
+   * @param {number|null} options.endTime - In seconds; null processes to the end
+   * @param {Function|null} options.progressCallback - Called with {frameIndex, frameCount, timestamp, percent} after each frame
+   * @param {AbortSignal|null} options.signal - Aborting rejects with the signal's reason after the current frame
+   * @returns {Promise<PoseTrack>} - Timestamps are video times, in milliseconds
+   */
+  async processVideo(video, {fps = DEFAULT_FPS, startTime = 0, endTime = null, progressCallback = null, signal = null} = {}) {
+    this._validateFps(fps);
+    const end = Math.min(endTime ?? video.duration, video.duration);
+    const frameCount = Math.max(0, Math.floor((end - startTime) * fps + 1e-6) + 1);
+    const frames = Array.from({length: frameCount}, (_, i) => ({
+      input: video,
+      timestamp: (startTime + i / fps) * 1000,
+      prepare: () => _seek(video, startTime + i / fps),
+      decisions: null
+    }));
+    video.pause();
+    return this._processFrames(frames, progressCallback, signal);
+  }
+
+  /**
+   * Process an image sequence
+   * @param {Array} images - Frames in order: images, canvases, ImageBitmaps, VideoFrames or raw buffers, see frame-source.js
+   * @param {Object} options
+   * @param {number} options.fps - Frame rate of the sequence; sets the timestamps
+   * @param {Function|null} options.progressCallback - See processVideo
+   * @param {AbortSignal|null} options.signal - See processVideo
+   * @returns {Promise<PoseTrack>} - Timestamps are i * 1000 / fps, in milliseconds
+   */
+  async processImages(images, {fps = DEFAULT_FPS, progressCallback = null, signal = null} = {}) {
+    this._validateFps(fps);
+    const frames = images.map((image, i) => ({input: image, timestamp: i * 1000 / fps, prepare: null, decisions: null}));
+    return this._processFrames(frames, progressCallback, signal);
+  }
+
+  /**
+   * Replay a recorded session: its frames go through the pipeline with their recorded timestamps and
+   * scheduling decisions, so each frame runs at the tracker and detector quality it ran at live, with
+   * detection skipped and tracked targets chosen by work distribution as they were. Frames skipped live were
+   * not recorded. Tracking starts from the state captured when recording started. Replays are deterministic;
+   * compare them with session.toPoseTrack()
+   * @param {Session} session - Recorded with a controller of the same input size and targets
+   * @param {Object} options
+   * @param {boolean} options.applyConfig - Use the recorded configuration (filter, warmup and miss tolerance,
+   *   maxTrack, detection strategy) and active targets, and replay the recorded calls that changed them, with
+   *   removed targets disabled instead. The controller's own configuration and active targets are restored afterwards
+   * @param {Function|null} options.progressCallback - See processVideo
+   * @param {AbortSignal|null} options.signal - See processVideo
+   * @returns {Promise<PoseTrack>} - Timestamps are the recorded ones, in milliseconds
+   */
+  async processSession(session, {applyConfig = true, progressCallback = null, signal = null} = {}) {
+    const controller = this.controller;
+    if (session.inputWidth !== controller.inputWidth || session.inputHeight !== controller.inputHeight) {
+      throw new Error(`Session input size ${session.inputWidth}x${session.inputHeight} does not match the controller input size ${controller.inputWidth}x${controller.inputHeight}`);
+    }
+    for (const {targetIndex, name} of session.targets) {
+      const targetInfo = controller.targetInfos[targetIndex];
+      if (!targetInfo || targetInfo.name !== name) {
+        this.logger.warn('Session target not loaded in the controller', {targetIndex, name});
+      }
+    }
+
+    // Calls recorded after frame i - 1 are replayed before frame i
+    const callsBefore = session.frames.map(() => []);
+    for (const event of session.events) {
+      if (event.type === 'call' && event.frameIndex + 1 < callsBefore.length) {
+        callsBefore[event.frameIndex + 1].push(event);
+      }
+    }
+
+    const canvas = document.createElement('canvas');
+    const frameCanvas = document.createElement('canvas');
+    const frames = session.frames.map((frame, i) => ({
+      input: canvas,
+      timestamp: frame.timestamp,
+      prepare: () => {
+        if (applyConfig) {
+          this._applySessionCalls(callsBefore[i]);
+        }
+        _drawSessionFrame(session, i, frameCanvas, canvas);
+      },
+      decisions: frame.decisions
+    }));
+
+    const config = controller.getConfig();
+    const enabledIndexes = controller.targetInfos.flatMap((targetInfo, i) => {
+      return targetInfo !== null && controller.isTargetEnabled(i) ? [i] : [];
+    });
+    if (applyConfig) {
+      this._applySessionConfig(session.config);
+      controller.setActiveTargets(session.targets
+        .filter(({targetIndex, enabled}) => enabled && controller.targetInfos[targetIndex])
+        .map(({targetIndex}) => targetIndex));
+    }
+    try {
+      return await this._processFrames(frames, progressCallback, signal, session.initialState);
+    } finally {
+      if (applyConfig) {
+        this._applySessionConfig(config);
+        controller.setActiveTargets(enabledIndexes);
+      }
+    }
+  }
+
+  _applySessionCalls(events) {
+    for (const {method, args} of events) {
+      if (!SESSION_CALL_METHODS.includes(method)) {
+        this.logger.warn('Skipped unknown session call', {method});
+        continue;
+      }
+      this.controller[method === 'removeTarget' ? 'disableTargets' : method](...args);
+    }
+  }
+
+  _applySessionConfig({filterDCutOff, warmupTolerance, missTolerance, maxTrack, detectionStrategy}) {
+    const controller = this.controller;
+    if (filterDCutOff !== undefined) controller.setFilterParams({filterDCutOff});
+    if (warmupTolerance !== undefined) controller.setWarmupTolerance(warmupTolerance);
+    if (missTolerance !== undefined) controller.setMissTolerance(missTolerance);
+    if (maxTrack !== undefined) controller.setMaxTrack(maxTrack);
+    if (detectionStrategy !== undefined) controller.setDetectionStrategy(detectionStrategy);
+  }
+
+  // initialState: tracking state to start from, see Session; null starts from a reset state
+  async _processFrames(frames, progressCallback, signal, initialState = null) {
+    const controller = this.controller;
+    if (!controller.frameProcessor) {
+      throw new Error('Must call addImageTargets before processing frames');
+    }
+    if (controller.processingVideo) {
+      throw new Error('Stop video processing before processing frames offline');
+    }
+
+    const frameProcessor = controller.frameProcessor;
+    const targets = controller.targetInfos
+      .filter((targetInfo) => targetInfo !== null)
+      .map((targetInfo) => ({targetIndex: targetInfo.index, name: targetInfo.name}));
+    const poseTrack = new PoseTrack(targets);
+    this.logger.info('Processing frames offline', {frameCount: frames.length, targetCount: targets.length});
+
+    controller.trackingStateManager.reset();
+    controller.cropDetector.setDetectionStrategy(controller.detectionStrategy);
+    if (initialState !== null) {
+      const {regions} = controller.cropDetector;
+      controller.trackingStateManager.restore(initialState.trackingStates);
+      regions.regionIndex = initialState.regionIndex % regions.regions.length;
+    }
+    frameProcessor.setRealtime(false);
+
+    try {
+      for (let i = 0; i < frames.length; i++) {
+        signal?.throwIfAborted();
+        const {input, timestamp, prepare, decisions} = frames[i];
+        if (prepare !== null) {
+          await prepare();
+        }
+        this._validateFrameSize(input);
+
+        // Every frame runs, whatever the controller's pause state
+        const results = await frameProcessor.runFrame(input, timestamp, decisions);
+        poseTrack.addFrame(timestamp, new Map(results.map(({targetIndex, showing, worldMatrix}) => [targetIndex, {showing, worldMatrix}])));
+
+        if (progressCallback) {
+          progressCallback({frameIndex: i, frameCount: frames.length, timestamp, percent: 100 * (i + 1) / frames.length});
+        }
+      }
+    } finally {
+      frameProcessor.setRealtime(true);
+      controller.trackingStateManager.reset();
+    }
+
+    this.logger.info('Offline processing complete', {frameCount: poseTrack.frameCount});
+    return poseTrack;
+  }
+
+  _validateFps(fps) {
+    if (typeof fps !== 'number' || !(fps > 0)) {
+      throw new Error('fps must be a positive number');
+    }
+  }
+
+  _validateFrameSize(input) {
+    const {width, height} = getFrameSize(input);
+    const {inputWidth, inputHeight} = this.controller;
+    // Portrait frames of a landscape input are rotated by the pipeline, as in a live session
+    const isRotated = width === inputHeight && height === inputWidth;
+    if ((width !== inputWidth || height !== inputHeight) && !isRotated) {
+      throw new Error(`Frame size ${width}x${height} does not match the controller input size ${inputWidth}x${inputHeight}`);
+    }
+  }
+}
+
+export {
+  OfflineProcessor
+}
@@ -0,0 +1,79 @@
+import { ControllerBase } from './controller-base.js';
+import { PIPELINE_METHODS } from './workers/pipeline-methods.js';
+
+// Runs a ControllerBase, and with it input loading, detection, tracking and matching, off the main thread.
+// Matching runs in this worker too, so no nested workers are needed.
+// Messages from WorkerController carry an id; each is answered with {type: 'reply', id, result} or
+// {type: 'reply', id, error}. onUpdate events are posted as {type: 'update', data}, and the
+// onWorkDistributionEnabled callback as {type: 'workDistributionEnabled', data}.
+
+let controller = null;
+
+// Frames arrive as transferred ImageBitmaps or raw buffers and are released once processed
+const closeFrame = (frame) => {
+  if (frame && typeof frame.close === 'function') {
+    frame.close();
+  }
+};
+
+const handleMessage = async (data) => {
+  switch (data.type) {
+    case 'setup':
+      controller = new ControllerBase({
+        ...data.options,
+        onUpdate: (update) => postMessage({ type: 'update', data: update }),
+        onWorkDistributionEnabled: (info) => postMessage({ type: 'workDistributionEnabled', data: info })
+      });
+      controller.addImageTargetsFromBuffer(data.buffer);
+      return { targetInfos: controller.targetInfos };
+
+    case 'addTargets': {
+      const targetIndexes = controller.addTargets(data.buffer);
+      return { targetIndexes, targetInfos: targetIndexes.map((i) => controller.targetInfos[i]) };
+    }
+
+    case 'startLoop':
+      // As Controller.processVideo does when it starts
+      controller.trackingStateManager.reset();
+      controller.frameProcessor.resetFrameTiming();
+      return null;
+
+    case 'frame':
+      try {
+        const results = await controller.processFrame(data.frame, data.timestamp);
+        // WorkerController skips loop frames before copying them; adaptive scheduling decides here whether it skips the next
+        return data.loop ? { results, skipNextFrame: controller.frameProcessor.shouldSkipNextFrame } : results;
+      } finally {
+        closeFrame(data.frame);
+      }
+
+    case 'call':
+      if (!PIPELINE_METHODS.includes(data.method)) {
+        throw new Error(`Controller method '${data.method}' cannot be called in the pipeline worker`);
+      }
+      try {
+        return await controller[data.method](...data.args);
+      } finally {
+        data.args.forEach(closeFrame);
+      }
+
+    case 'dispose':
+      if (controller !== null) {
+        controller.dispose();
+      }
+      close();
+      return null;
+
+    default:
+      throw new Error(`Invalid message type '${data.type}'`);
+  }
+};
+
+onmessage = (msg) => {
+  const { data } = msg;
+  handleMessage(data).then((result) => {
+    postMessage({ type: 'reply', id: data.id, result });
+  }).catch((error) => {
+    postMessage({ type: 'reply', id: data.id, error: error.message });
+  });
+};
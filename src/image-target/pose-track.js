@@ -0,0 +1,61 @@
+const CSV_HEADER = ['target_index', 'target_name', 'timestamp', 'showing', ...Array.from({length: 16}, (_, i) => `m${i}`)];
+
+const _csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Per-target pose samples of a frame sequence: for every frame, whether each target is showing and its world matrix.
+ * World matrices are the controller's onUpdate matrices (column-major, unfiltered), null while a target is not showing.
+ */
+class PoseTrack {
+  /**
+   * @param {Array<{targetIndex: number, name: string|null}>} targets - Targets sampled each frame
+   */
+  constructor(targets) {
+    this.targets = targets.map(({targetIndex, name}) => ({targetIndex, name: name ?? null, samples: []}));
+    this.frameCount = 0;
+  }
+
+  /**
+   * @param {number} timestamp - Frame time, in milliseconds
+   * @param {Map<number, {showing: boolean, worldMatrix: number[]|null}>} poses - Pose per target index
+   */
+  addFrame(timestamp, poses) {
+    for (const target of this.targets) {
+      const pose = poses.get(target.targetIndex);
+      const showing = pose?.showing ?? false;
+      target.samples.push({timestamp, showing, worldMatrix: showing ? pose.worldMatrix : null});
+    }
+    this.frameCount += 1;
+  }
+
+  /**
+   * @returns {{frameCount: number, targets: Array<{targetIndex, name, samples: Array<{timestamp, showing, worldMatrix}>}>}}
+   */
+  toJSON() {
+    return {frameCount: this.frameCount, targets: this.targets};
+  }
+
+  /**
+   * One row per target and frame: target_index, target_name, timestamp, showing (0 or 1) and m0-m15,
+   * empty while the target is not showing
+   * @returns {string}
+   */
+  toCSV() {
+    const rows = [CSV_HEADER.join(',')];
+    for (const {targetIndex, name, samples} of this.targets) {
+      for (const {timestamp, showing, worldMatrix} of samples) {
+        const matrix = worldMatrix ?? new Array(16).fill(null);
+        rows.push([targetIndex, name, timestamp, showing ? 1 : 0, ...matrix].map(_csvValue).join(','));
+      }
+    }
+    return rows.join('\n') + '\n';
+  }
+}
+
+export {
+  PoseTrack
+}
@@ -0,0 +1,198 @@
+import {Session, SESSION_CALL_METHODS} from './session.js';
+import {getFrameSize, drawFrame} from './frame-source.js';
+import {Logger} from '../libs/logger.js';
+
+const DEFAULT_SCALE = 1;
+// 30 seconds of camera input at 30 fps
+const DEFAULT_MAX_FRAMES = 900;
+
+/**
+ * Records a controller's session: every frame its FrameProcessor processes, as grey pixels
+ * (the pipeline only uses luminance), with its timestamp and scheduling decisions (quality, skipped
+ * detection, targets tracked under work distribution), every onUpdate event, and the calls that change
+ * the configuration or the active targets while recording.
+ *
+ * The configuration, the targets and their tracking state and the detection region walk are captured
+ * when recording starts. Frames skipped by FPS limiting or adaptive scheduling are not recorded.
+ * Recording stops by itself after maxFrames frames; call stop() to get the session.
+ */
+class SessionRecorder {
+  /**
+   * @param {Controller} controller - With targets loaded
+   * @param {Object} options
+   * @param {number} options.scale - Downscale factor for stored frames, in (0, 1]. Replays of downscaled
+   *   frames are upscaled again, so they are deterministic but not identical to the live input
+   * @param {number} options.maxFrames - Frames kept before recording stops. Each takes
+   *   sourceWidth * sourceHeight * scale^2 bytes until stop()
+   */
+  constructor(controller, {scale = DEFAULT_SCALE, maxFrames = DEFAULT_MAX_FRAMES} = {}) {
+    if (typeof scale !== 'number' || !(scale > 0 && scale <= 1)) {
+      throw new Error('scale must be a number in (0, 1]');
+    }
+    if (!Number.isInteger(maxFrames) || maxFrames < 1) {
+      throw new Error('maxFrames must be a positive integer');
+    }
+    this.controller = controller;
+    this.scale = scale;
+    this.maxFrames = maxFrames;
+    this.recording = false;
+    this.frames = [];
+    this.events = [];
+    // Captured when recording starts
+    this.config = null;
+    this.targets = [];
+    this.initialState = null;
+    this.canvas = null;
+    // The frame captured for the frame being processed, which its scheduling decisions are added to
+    this.currentFrame = null;
+    this.logger = new Logger('SessionRecorder', true, controller.debugMode ? 'debug' : 'info');
+  }
+
+  start() {
+    const controller = this.controller;
+    if (!controller.frameProcessor) {
+      throw new Error('Must call addImageTargets before recording');
+    }
+    if (this.recording) {
+      throw new Error('Already recording');
+    }
+
+    this.frames = [];
+    this.events = [];
+    this.config = controller.getConfig();
+    this.targets = controller.targetInfos
+      .filter((targetInfo) => targetInfo !== null)
+      .map((targetInfo) => ({
+        targetIndex: targetInfo.index,
+        name: targetInfo.name,
+        enabled: controller.isTargetEnabled(targetInfo.index)
+      }));
+    this.initialState = {
+      trackingStates: controller.trackingStateManager.snapshot(),
+      regionIndex: controller.cropDetector.regions.regionIndex
+    };
+    this.frameProcessor = controller.frameProcessor;
+    this._controllerOnUpdate = controller.onUpdate;
+    this._frameProcessorOnUpdate = this.frameProcessor.onUpdate;
+    this._onFrame = this.frameProcessor.onFrame;
+    this._onFrameDecisions = this.frameProcessor.onFrameDecisions;
+
+    // Both report events: the frame processor per frame, the controller when targets are removed or disabled
+    controller.onUpdate = this._wrapOnUpdate(this._controllerOnUpdate);
+    this.frameProcessor.onUpdate = this._wrapOnUpdate(this._frameProcessorOnUpdate);
+    this.frameProcessor.onFrame = (input, timestamp) => {
+      this._captureFrame(input, timestamp);
+      if (this._onFrame) {
+        this._onFrame(input, timestamp);
+      }
+    };
+    this.frameProcessor.onFrameDecisions = (decisions) => {
+      if (this.currentFrame !== null) {
+        this.currentFrame.decisions = decisions;
+        this.currentFrame = null;
+      }
+      if (this._onFrameDecisions) {
+        this._onFrameDecisions(decisions);
+      }
+    };
+    // Own methods of the controller that the recording replaces, null for prototype methods
+    this._controllerMethods = new Map();
+    for (const method of SESSION_CALL_METHODS) {
+      const original = controller[method];
+      this._controllerMethods.set(method, Object.prototype.hasOwnProperty.call(controller, method) ? original : null);
+      controller[method] = (...args) => {
+        const result = original.apply(controller, args);
+        this.events.push({frameIndex: this.frames.length - 1, type: 'call', method, args: structuredClone(args)});
+        return result;
+      };
+    }
+    this.recording = true;
+    this.logger.info('Recording started', {scale: this.scale, maxFrames: this.maxFrames});
+  }
+
+  /**
+   * Stop recording; safe to call after recording stopped by itself
+   * @returns {Session}
+   */
+  stop() {
+    this._detach();
+    return new Session({
+      inputWidth: this.controller.inputWidth,
+      inputHeight: this.controller.inputHeight,
+      config: this.config,
+      targets: this.targets,
+      initialState: this.initialState,
+      frames: this.frames,
+      events: this.events
+    });
+  }
+
+  _detach() {
+    if (!this.recording) return;
+    this.controller.onUpdate = this._controllerOnUpdate;
+    this.frameProcessor.onUpdate = this._frameProcessorOnUpdate;
+    this.frameProcessor.onFrame = this._onFrame;
+    this.frameProcessor.onFrameDecisions = this._onFrameDecisions;
+    for (const [method, original] of this._controllerMethods) {
+      if (original === null) {
+        delete this.controller[method];
+      } else {
+        this.controller[method] = original;
+      }
+    }
+    this.currentFrame = null;
+    this.recording = false;
+    this.logger.info('Recording stopped', {frameCount: this.frames.length, eventCount: this.events.length});
+  }
+
+  _wrapOnUpdate(onUpdate) {
+    return (data) => {
+      // The frame processor reuses its event objects and matrices, so keep copies
+      const event = {frameIndex: this.frames.length - 1, type: data.type};
+      if (data.type === 'updateMatrix') {
+        event.targetIndex = data.targetIndex;
+        event.worldMatrix = data.worldMatrix === null ? null : Array.from(data.worldMatrix);
+      }
+      this.events.push(event);
+      if (onUpdate) {
+        onUpdate(data);
+      }
+    };
+  }
+
+  _captureFrame(input, timestamp) {
+    if (this.frames.length >= this.maxFrames) {
+      this.logger.warn('Frame limit reached, recording stopped', {maxFrames: this.maxFrames});
+      this._detach();
+      return;
+    }
+
+    // The size the pipeline sees; a rotated input is detected from it on replay
+    const {width: sourceWidth, height: sourceHeight} = getFrameSize(input);
+    const width = Math.max(1, Math.round(sourceWidth * this.scale));
+    const height = Math.max(1, Math.round(sourceHeight * this.scale));
+
+    if (this.canvas === null) {
+      this.canvas = document.createElement('canvas');
+    }
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+    const context = this.canvas.getContext('2d', {willReadFrequently: true});
+    drawFrame(context, input, width, height);
+    const {data} = context.getImageData(0, 0, width, height);
+
+    // Same luminance weights as the InputLoader shader
+    const pixels = new Uint8Array(width * height);
+    for (let i = 0; i < pixels.length; i++) {
+      pixels[i] = Math.round(0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]);
+    }
+    this.currentFrame = {timestamp, width, height, sourceWidth, sourceHeight, pixels, decisions: null};
+    this.frames.push(this.currentFrame);
+  }
+}
+
+export {
+  SessionRecorder
+}
@@ -0,0 +1,147 @@
+import * as msgpack from '@msgpack/msgpack';
+import {encodePixels, decodePixels} from './format/pixel-codec.js';
+import {PoseTrack} from './pose-track.js';
+
+// A session file is one msgpack object {format: SESSION_FORMAT, v, inputWidth, inputHeight, config, targets, initialState,
+// frames, events}.
+// Frame pixels are grey and compressed with the .mind pixel codec
+const SESSION_FORMAT = 'mindar-session';
+const SESSION_VERSION = 1;
+
+// Controller calls recorded as 'call' events
+const SESSION_CALL_METHODS = [
+  'setFilterParams',
+  'setWarmupTolerance',
+  'setMissTolerance',
+  'setMaxTrack',
+  'setDetectionStrategy',
+  'enableTargets',
+  'disableTargets',
+  'setActiveTargets',
+  'removeTarget'
+];
+
+/**
+ * A recorded tracking session: the grey input frames the controller processed, their timestamps,
+ * and every onUpdate event it reported.
+ *
+ * Frames are stored at their recorded size (width x height), which is the size the pipeline saw
+ * (sourceWidth x sourceHeight) when recorded without downscaling. Each event carries the index of the
+ * last frame recorded when it fired, -1 before the first frame. The scheduling decisions of each frame,
+ * the state captured when recording started and the recorded controller calls let replays run each
+ * frame as it ran live.
+ */
+class Session {
+  /**
+   * @param {Object} options
+   * @param {number} options.inputWidth - Controller input width
+   * @param {number} options.inputHeight - Controller input height
+   * @param {Object} options.config - Controller.getConfig() when recording started
+   * @param {Array<{targetIndex: number, name: string|null, enabled: boolean}>} options.targets - Targets loaded
+   *   when recording started
+   * @param {Object|null} options.initialState - {trackingStates, regionIndex} when recording started: the
+   *   TrackingStateManager snapshot and the position of the detection region walk. null resets both on replay
+   * @param {Array} options.frames - {timestamp, width, height, sourceWidth, sourceHeight, pixels, decisions}, pixels a
+   *   grey Uint8Array, decisions the frame's scheduling decisions (see FrameProcessor.runFrame) or null
+   * @param {Array} options.events - onUpdate events {frameIndex, type, targetIndex, worldMatrix}, and controller
+   *   calls {frameIndex, type: 'call', method, args} of SESSION_CALL_METHODS
+   */
+  constructor({inputWidth, inputHeight, config = {}, targets = [], initialState = null, frames = [], events = []}) {
+    this.inputWidth = inputWidth;
+    this.inputHeight = inputHeight;
+    this.config = config;
+    this.targets = targets.map((target) => ({enabled: true, ...target}));
+    this.initialState = initialState;
+    this.frames = frames.map((frame) => ({decisions: null, ...frame}));
+    this.events = events;
+  }
+
+  get frameCount() {
+    return this.frames.length;
+  }
+
+  /**
+   * RGBA pixels of a frame at its recorded size, for putImageData
+   * @param {number} frameIndex
+   * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+   */
+  getFrameImageData(frameIndex) {
+    const frame = this.frames[frameIndex];
+    if (!frame) {
+      throw new Error(`No frame at index ${frameIndex}`);
+    }
+    const {pixels, width, height} = frame;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < pixels.length; i++) {
+      data[i * 4] = pixels[i];
+      data[i * 4 + 1] = pixels[i];
+      data[i * 4 + 2] = pixels[i];
+      data[i * 4 + 3] = 255;
+    }
+    return {data, width, height};
+  }
+
+  /**
+   * The recorded updateMatrix events as a pose track, one sample per frame and target,
+   * for comparison with a replay
+   * @returns {PoseTrack}
+   */
+  toPoseTrack() {
+    const poseTrack = new PoseTrack(this.targets);
+    const poses = new Map();
+    let eventIndex = 0;
+    for (let i = 0; i < this.frames.length; i++) {
+      while (eventIndex < this.events.length && this.events[eventIndex].frameIndex <= i) {
+        const {type, targetIndex, worldMatrix} = this.events[eventIndex];
+        if (type === 'updateMatrix') {
+          poses.set(targetIndex, {showing: worldMatrix !== null, worldMatrix});
+        }
+        eventIndex += 1;
+      }
+      poseTrack.addFrame(this.frames[i].timestamp, poses);
+    }
+    return poseTrack;
+  }
+
+  /**
+   * Encode as a session file
+   * @returns {Uint8Array}
+   */
+  toBuffer() {
+    return msgpack.encode({
+      format: SESSION_FORMAT,
+      v: SESSION_VERSION,
+      inputWidth: this.inputWidth,
+      inputHeight: this.inputHeight,
+      config: this.config,
+      targets: this.targets,
+      initialState: this.initialState,
+      frames: this.frames.map(({pixels, ...frame}) => ({...frame, pixels: encodePixels({data: pixels, width: frame.width, height: frame.height})})),
+      events: this.events
+    });
+  }
+
+  /**
+   * Decode a session file
+   * @param {ArrayBuffer|Uint8Array} buffer
+   * @returns {Session}
+   */
+  static fromBuffer(buffer) {
+    const content = msgpack.decode(new Uint8Array(buffer));
+    if (content === null || typeof content !== 'object' || content.format !== SESSION_FORMAT) {
+      throw new Error('Not a MindAR session file');
+    }
+    if (content.v !== SESSION_VERSION) {
+      throw new Error(`Unsupported session file version ${content.v}, expected ${SESSION_VERSION}`);
+    }
+    return new Session({
+      ...content,
+      frames: content.frames.map(({pixels, ...frame}) => ({...frame, pixels: decodePixels(pixels, frame.width, frame.height)}))
+    });
+  }
+}
+
+export {
+  Session,
+  SESSION_CALL_METHODS
+}
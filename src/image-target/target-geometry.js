@@ -0,0 +1,86 @@
+// Target geometry stored with each compiled target: {type: 'plane'}, or
+// {type: 'cylinder', arc, radius} for labels wrapped around a cylinder.
+// arc is the angle covered by the target image width in degrees, radius is in target image pixels.
+const GEOMETRY_TYPES = ['plane', 'cylinder'];
+
+const createDefaultTargetGeometry = () => {
+  return {type: 'plane'};
+}
+
+/**
+ * Build the geometry record of a target from its compile option
+ *
+ * @param {{type: 'plane'}|{type: 'cylinder', arc: number}|{type: 'cylinder', radius: number}|null} option -
+ *   arc: degrees of the cylinder covered by the image width (up to 360).
+ *   radius: cylinder radius in the unit of the target's physicalSize, which is then required
+ * @param {{width: number, height: number}} targetImage - Grey target image
+ * @param {{physicalSize: {width: number, unit: string}|null}} metadata - Target metadata
+ * @returns {{type: string, arc?: number, radius?: number}}
+ */
+const createTargetGeometry = (option, targetImage, metadata) => {
+  if (option === null || option === undefined) return createDefaultTargetGeometry();
+  if (!GEOMETRY_TYPES.includes(option.type)) {
+    throw new Error(`Target geometry type must be one of: ${GEOMETRY_TYPES.join(', ')}`);
+  }
+  if (option.type === 'plane') return createDefaultTargetGeometry();
+
+  const {arc = null, radius = null} = option;
+  if ((arc === null) === (radius === null)) {
+    throw new Error('Cylinder geometry needs exactly one of arc or radius');
+  }
+
+  let arcDegrees = arc;
+  if (arc !== null) {
+    if (typeof arc !== 'number' || arc <= 0 || arc > 360) {
+      throw new Error('Cylinder arc must be a number of degrees in (0, 360]');
+    }
+  } else {
+    if (typeof radius !== 'number' || radius <= 0) {
+      throw new Error('Cylinder radius must be a positive number');
+    }
+    if (metadata.physicalSize === null) {
+      throw new Error('Cylinder radius requires physicalSize, in the same unit');
+    }
+    arcDegrees = metadata.physicalSize.width / radius * 180 / Math.PI;
+    if (arcDegrees > 360) {
+      throw new Error('Target is wider than the circumference of the cylinder');
+    }
+  }
+
+  return {
+    type: 'cylinder',
+    arc: arcDegrees,
+    radius: targetImage.width / (arcDegrees * Math.PI / 180),
+  };
+}
+
+/**
+ * Map a point of the flat target image to the target surface.
+ * The cylinder axis is parallel to the image y axis and the surface touches the z = 0 plane
+ * along the centre column of the image, curving away from the camera (positive z) towards the sides.
+ *
+ * @param {{type: string, radius?: number}} geometry
+ * @param {number} targetWidth - Target image width, in the same unit as x
+ * @param {number} x
+ * @param {number} y
+ * @returns {{x: number, y: number, z: number}}
+ */
+const toSurfacePoint = (geometry, targetWidth, x, y) => {
+  if (geometry.type !== 'cylinder') {
+    return {x, y, z: 0};
+  }
+  const {radius} = geometry;
+  const angle = (x - targetWidth / 2) / radius;
+  return {
+    x: targetWidth / 2 + radius * Math.sin(angle),
+    y,
+    z: radius * (1 - Math.cos(angle)),
+  };
+}
+
+export {
+  GEOMETRY_TYPES,
+  createDefaultTargetGeometry,
+  createTargetGeometry,
+  toSurfacePoint
+}
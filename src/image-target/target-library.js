@@ -0,0 +1,170 @@
+import { validateUniqueNames } from './target-metadata.js';
+
+/**
+ * Edit compiled .mind files without recompiling: merge, subset, reorder and split targets.
+ * Works with any CompilerBase subclass (OfflineCompiler in Node, Compiler in the browser),
+ * which is used to import and export the files.
+ */
+class TargetLibrary {
+  /**
+   * @param {CompilerBase} compiler - Compiler instance used for importData/exportData
+   * @param {Array} targets - Compiled targets, as returned by importData
+   */
+  constructor(compiler, targets = []) {
+    if (!compiler || typeof compiler.importData !== 'function' || typeof compiler.exportData !== 'function') {
+      throw new Error('TargetLibrary requires a compiler with importData and exportData');
+    }
+    this.compiler = compiler;
+    this.targets = [];
+    this._append(targets);
+  }
+
+  /**
+   * Create a library from one or more .mind buffers, in the given order
+   * @param {CompilerBase} compiler
+   * @param {...(ArrayBuffer|Uint8Array)} buffers
+   * @returns {TargetLibrary}
+   */
+  static fromBuffers(compiler, ...buffers) {
+    const library = new TargetLibrary(compiler);
+    for (const buffer of buffers) {
+      library.addBuffer(buffer);
+    }
+    return library;
+  }
+
+  get length() {
+    return this.targets.length;
+  }
+
+  /**
+   * Append the targets of a .mind buffer
+   * @param {ArrayBuffer|Uint8Array} buffer
+   * @returns {TargetLibrary} - This library
+   */
+  addBuffer(buffer) {
+    this._append(this._withCompilerData(null, () => this.compiler.importData(buffer)));
+    return this;
+  }
+
+  /**
+   * New library with the targets of this one followed by the targets of the others
+   * @param {...TargetLibrary} libraries
+   * @returns {TargetLibrary}
+   */
+  merge(...libraries) {
+    const merged = new TargetLibrary(this.compiler, this.targets);
+    for (const library of libraries) {
+      merged._append(library.targets);
+    }
+    return merged;
+  }
+
+  /**
+   * Index of a target
+   * @param {number|string} selector - Target index or target name
+   * @returns {number} - Target index, or -1 if there is no such target
+   */
+  indexOf(selector) {
+    if (typeof selector === 'number') {
+      return Number.isInteger(selector) && selector >= 0 && selector < this.targets.length ? selector : -1;
+    }
+    if (typeof selector === 'string') {
+      return this.targets.findIndex((target) => target.metadata.name === selector);
+    }
+    throw new Error('Target selector must be a target index (number) or a target name (string)');
+  }
+
+  /**
+   * New library with the selected targets, in the order given
+   * @param {Array<number|string>} selectors - Target indexes or names
+   * @returns {TargetLibrary}
+   */
+  subset(selectors) {
+    const indexes = this._resolve(selectors);
+    return new TargetLibrary(this.compiler, indexes.map((index) => this.targets[index]));
+  }
+
+  /**
+   * New library without the selected targets
+   * @param {Array<number|string>} selectors - Target indexes or names
+   * @returns {TargetLibrary}
+   */
+  remove(selectors) {
+    const removed = new Set(this._resolve(selectors));
+    return new TargetLibrary(this.compiler, this.targets.filter((target, index) => !removed.has(index)));
+  }
+
+  /**
+   * New library with the targets in a new order
+   * @param {Array<number|string>} order - Every target of this library exactly once, by index or name
+   * @returns {TargetLibrary}
+   */
+  reorder(order) {
+    const indexes = this._resolve(order);
+    if (indexes.length !== this.targets.length) {
+      throw new Error(`Reorder expects all ${this.targets.length} targets, got ${indexes.length}`);
+    }
+    return this.subset(indexes);
+  }
+
+  /**
+   * Split into several libraries
+   * @param {Array<Array<number|string>>|null} groups - Target selectors per library; null puts each target in its own library
+   * @returns {TargetLibrary[]}
+   */
+  split(groups = null) {
+    if (groups === null) {
+      return this.targets.map((target) => new TargetLibrary(this.compiler, [target]));
+    }
+    return groups.map((selectors) => this.subset(selectors));
+  }
+
+  /**
+   * Encode the library as a .mind file
+   * @param {Object} options - exportData options, e.g. {compact: true}
+   * @returns {Uint8Array}
+   */
+  toBuffer(options = {}) {
+    return this._withCompilerData(this.targets.slice(), () => this.compiler.exportData(options));
+  }
+
+  // Run callback with compiler.data set to data; the compiler's data and import state are restored afterwards
+  _withCompilerData(data, callback) {
+    const {data: compilerData, importedVersion, importMigrationSteps} = this.compiler;
+    this.compiler.data = data;
+    try {
+      return callback();
+    } finally {
+      this.compiler.data = compilerData;
+      this.compiler.importedVersion = importedVersion;
+      this.compiler.importMigrationSteps = importMigrationSteps;
+    }
+  }
+
+  _append(targets) {
+    validateUniqueNames([...this.targets, ...targets].map((target) => target.metadata));
+    this.targets.push(...targets);
+  }
+
+  _resolve(selectors) {
+    if (!Array.isArray(selectors)) {
+      throw new Error('Target selectors must be an array of target indexes or names');
+    }
+    const indexes = selectors.map((selector) => {
+      const index = this.indexOf(selector);
+      if (index === -1) {
+        throw new Error(`No target '${selector}' in library`);
+      }
+      return index;
+    });
+    if (new Set(indexes).size !== indexes.length) {
+      throw new Error('Target selectors must not select the same target twice');
+    }
+    return indexes;
+  }
+}
+
+export {
+  TargetLibrary
+}
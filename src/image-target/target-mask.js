@@ -0,0 +1,130 @@
+// A target mask is a grey image {data, width, height} with MASK_ON for kept pixels and 0 for ignored ones
+const MASK_ON = 255;
+const ALPHA_THRESHOLD = 128;
+
+// Even-odd fill of polygons given as lists of [x, y] image coordinates, sampled at pixel centres
+const _rasterizePolygons = (polygons, width, height) => {
+  const data = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const cy = y + 0.5;
+    const crossings = [];
+    for (const polygon of polygons) {
+      for (let i = 0; i < polygon.length; i++) {
+        const [x1, y1] = polygon[i];
+        const [x2, y2] = polygon[(i + 1) % polygon.length];
+        if ((y1 <= cy && y2 > cy) || (y2 <= cy && y1 > cy)) {
+          crossings.push(x1 + (cy - y1) / (y2 - y1) * (x2 - x1));
+        }
+      }
+    }
+    crossings.sort((a, b) => a - b);
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const start = Math.max(0, Math.ceil(crossings[i] - 0.5));
+      const end = Math.min(width, Math.ceil(crossings[i + 1] - 0.5));
+      data.fill(MASK_ON, y * width + start, y * width + Math.max(start, end));
+    }
+  }
+  return data;
+};
+
+const _validatePolygons = (polygons) => {
+  const valid = Array.isArray(polygons) && polygons.length > 0 && polygons.every((polygon) => {
+    return Array.isArray(polygon) && polygon.length >= 3 && polygon.every((point) => {
+      return Array.isArray(point) && point.length === 2 && point.every((v) => typeof v === 'number' && isFinite(v));
+    });
+  });
+  if (!valid) {
+    throw new Error('Mask polygons must be lists of at least 3 [x, y] points');
+  }
+};
+
+/**
+ * Nearest-neighbour resize of a mask
+ * @param {{data: Uint8Array, width: number, height: number}} mask
+ * @param {number} width
+ * @param {number} height
+ */
+const resizeMask = (mask, width, height) => {
+  const data = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(mask.height - 1, Math.floor((y + 0.5) * mask.height / height));
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(mask.width - 1, Math.floor((x + 0.5) * mask.width / width));
+      data[y * width + x] = mask.data[sy * mask.width + sx] >= ALPHA_THRESHOLD ? MASK_ON : 0;
+    }
+  }
+  return {data, width, height};
+};
+
+/**
+ * Build the mask of a target image from its compile option
+ *
+ * @param {'alpha'|{polygons: number[][][]}|{data: ArrayLike<number>, width: number, height: number}|null} option -
+ *   'alpha' keeps pixels with alpha of at least 128, polygons keep pixels inside any polygon (even-odd),
+ *   a bitmap of any size keeps pixels where it is non-zero
+ * @param {Uint8ClampedArray} rgba - RGBA pixels of the image
+ * @param {number} width
+ * @param {number} height
+ * @returns {{data: Uint8Array, width: number, height: number}|null}
+ */
+const createTargetMask = (option, rgba, width, height) => {
+  if (option === null || option === undefined) return null;
+
+  let mask;
+  if (option === 'alpha') {
+    const data = new Uint8Array(width * height);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = rgba[i * 4 + 3] >= ALPHA_THRESHOLD ? MASK_ON : 0;
+    }
+    mask = {data, width, height};
+  } else if (option.polygons !== undefined) {
+    _validatePolygons(option.polygons);
+    mask = {data: _rasterizePolygons(option.polygons, width, height), width, height};
+  } else if (option.data !== undefined) {
+    const {data, width: bitmapWidth, height: bitmapHeight} = option;
+    if (!Number.isInteger(bitmapWidth) || !Number.isInteger(bitmapHeight) || data.length !== bitmapWidth * bitmapHeight) {
+      throw new Error('Mask bitmap must have width * height values');
+    }
+    const bitmap = {data: Uint8Array.from(data, (v) => v !== 0 ? MASK_ON : 0), width: bitmapWidth, height: bitmapHeight};
+    mask = resizeMask(bitmap, width, height);
+  } else {
+    throw new Error("Mask must be 'alpha', {polygons} or a bitmap {data, width, height}");
+  }
+
+  if (!mask.data.includes(MASK_ON)) {
+    throw new Error('Mask excludes the whole image');
+  }
+  return mask;
+};
+
+// Whether the pixel nearest to (x, y) is kept. Points outside the mask are not
+const isInsideMask = (mask, x, y) => {
+  const px = Math.round(x);
+  const py = Math.round(y);
+  if (px < 0 || py < 0 || px >= mask.width || py >= mask.height) return false;
+  return mask.data[py * mask.width + px] === MASK_ON;
+};
+
+// Set ignored pixels of a grey image to the mean of the kept pixels
+const fillMaskedPixels = (greyData, mask) => {
+  let sum = 0;
+  let count = 0;
+  for (let i = 0; i < greyData.length; i++) {
+    if (mask.data[i] === MASK_ON) {
+      sum += greyData[i];
+      count += 1;
+    }
+  }
+  const mean = Math.floor(sum / count);
+  for (let i = 0; i < greyData.length; i++) {
+    if (mask.data[i] !== MASK_ON) greyData[i] = mean;
+  }
+};
+
+export {
+  MASK_ON,
+  createTargetMask,
+  resizeMask,
+  isInsideMask,
+  fillMaskedPixels
+}
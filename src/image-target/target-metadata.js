@@ -0,0 +1,156 @@
+import {resize} from './utils/images.js';
+
+const THUMBNAIL_MAX_SIZE = 128;
+const PHYSICAL_UNITS = ['mm', 'cm', 'm'];
+
+/**
+ * Build the metadata record stored with a compiled target
+ *
+ * @param {Object} options - Per-target options passed to compileImageTargets
+ * @param {string|null} options.name - Unique target name used for name-based lookup
+ * @param {{width: number, unit: 'mm'|'cm'|'m'}|null} options.physicalSize - Printed width of the target
+ * @param {string[]} options.tags - Free-form tags
+ * @param {*} options.extra - Arbitrary msgpack-serializable application data
+ * @param {{width: number, height: number}} targetImage - Grey target image
+ * @returns {{name: string|null, physicalSize: {width: number, height: number, unit: string}|null, tags: string[], extra: *}}
+ */
+const createTargetMetadata = ({name = null, physicalSize = null, tags = [], extra = null}, targetImage) => {
+  if (name !== null && (typeof name !== 'string' || name.length === 0)) {
+    throw new Error('Target name must be a non-empty string or null');
+  }
+  if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string')) {
+    throw new Error('Target tags must be an array of strings');
+  }
+
+  const size = physicalSize === null ? null : createPhysicalSize(physicalSize, targetImage);
+  return {name, physicalSize: size, tags: tags.slice(), extra};
+}
+
+/**
+ * Validate a printed target width and complete it with the height
+ * @param {{width: number, unit: 'mm'|'cm'|'m'}} physicalSize
+ * @param {{width: number, height: number}} targetImage - Target image, for the aspect ratio
+ * @returns {{width: number, height: number, unit: string}}
+ */
+const createPhysicalSize = ({width, unit}, targetImage) => {
+  if (typeof width !== 'number' || width <= 0) {
+    throw new Error('physicalSize.width must be a positive number');
+  }
+  if (!PHYSICAL_UNITS.includes(unit)) {
+    throw new Error(`physicalSize.unit must be one of: ${PHYSICAL_UNITS.join(', ')}`);
+  }
+  // Height follows from the target image aspect ratio
+  return {width, height: width * targetImage.height / targetImage.width, unit};
+}
+
+// Metadata for targets compiled without per-target options
+const createDefaultTargetMetadata = () => {
+  return {name: null, physicalSize: null, tags: [], extra: null};
+}
+
+// Downscaled grey copy of an image, longest side at most THUMBNAIL_MAX_SIZE
+const createThumbnail = (image) => {
+  const ratio = Math.min(1, THUMBNAIL_MAX_SIZE / Math.max(image.width, image.height));
+  const {data, width, height} = resize({image, ratio});
+  return {data, width, height};
+}
+
+const validateUniqueNames = (metadataList) => {
+  const names = new Set();
+  for (let i = 0; i < metadataList.length; i++) {
+    const {name} = metadataList[i];
+    if (name === null) continue;
+    if (names.has(name)) {
+      throw new Error(`Duplicate target name '${name}'`);
+    }
+    names.add(name);
+  }
+}
+
+/**
+ * Index of the target with a name
+ * @param {Array<Object|null>} targetInfos - Loaded target infos, null for removed targets
+ * @param {string} name
+ * @returns {number} - -1 if no target has this name
+ */
+const findTargetIndex = (targetInfos, name) => {
+  return targetInfos.findIndex((targetInfo) => targetInfo !== null && targetInfo.name === name);
+}
+
+/**
+ * Index of a loaded target given by index or name
+ * @param {Array<Object|null>} targetInfos
+ * @param {number|string} target
+ * @returns {number}
+ */
+const resolveTargetIndex = (targetInfos, target) => {
+  const targetIndex = typeof target === 'string' ? findTargetIndex(targetInfos, target) : target;
+  if (targetIndex === -1) {
+    throw new Error(`No target named '${target}'`);
+  }
+  if (!targetInfos[targetIndex]) {
+    throw new Error(`No target at index ${targetIndex}`);
+  }
+  return targetIndex;
+}
+
+/**
+ * Indexes of the targets a selector picks
+ * @param {Array<Object|null>} targetInfos
+ * @param {number|string|{tag: string}|Array} targets - A target index, a target name, {tag} for every
+ *   target with that tag, or an array of these
+ * @returns {number[]}
+ */
+const resolveTargetSelector = (targetInfos, targets) => {
+  const selectors = Array.isArray(targets) ? targets : [targets];
+  const targetIndexes = new Set();
+  for (const selector of selectors) {
+    if (selector !== null && typeof selector === 'object') {
+      if (typeof selector.tag !== 'string') {
+        throw new Error('Target selector must be a target index, a target name or {tag}');
+      }
+      targetInfos.forEach((targetInfo, i) => {
+        if (targetInfo !== null && targetInfo.tags.includes(selector.tag)) {
+          targetIndexes.add(i);
+        }
+      });
+    } else {
+      targetIndexes.add(resolveTargetIndex(targetInfos, selector));
+    }
+  }
+  return [...targetIndexes];
+}
+
+// Controller methods that enable and disable targets
+const TARGET_ACTIVATION_METHODS = ['enableTargets', 'disableTargets', 'setActiveTargets'];
+
+/**
+ * Enabled states set by enableTargets, disableTargets or setActiveTargets
+ * @param {Array} targetInfos - Loaded targets, null for removed targets
+ * @param {string} method - One of TARGET_ACTIVATION_METHODS
+ * @param {number|string|{tag: string}|Array} targets - See resolveTargetSelector
+ * @returns {{targetIndexes: number[], enabledStates: Array<[number, boolean]>}} - The selected targets,
+ *   and [targetIndex, enabled] for every target whose state the method sets
+ */
+const resolveTargetActivation = (targetInfos, method, targets) => {
+  const targetIndexes = resolveTargetSelector(targetInfos, targets);
+  if (method === 'setActiveTargets') {
+    const enabledStates = targetInfos.flatMap((targetInfo, i) => targetInfo === null ? [] : [[i, targetIndexes.includes(i)]]);
+    return {targetIndexes, enabledStates};
+  }
+  return {targetIndexes, enabledStates: targetIndexes.map((targetIndex) => [targetIndex, method === 'enableTargets'])};
+}
+
+export {
+  createTargetMetadata,
+  createPhysicalSize,
+  createDefaultTargetMetadata,
+  createThumbnail,
+  validateUniqueNames,
+  findTargetIndex,
+  resolveTargetIndex,
+  resolveTargetSelector,
+  resolveTargetActivation,
+  TARGET_ACTIVATION_METHODS,
+  PHYSICAL_UNITS
+}
@@ -0,0 +1,76 @@
+import {PHYSICAL_UNITS} from './target-metadata.js';
+import {toSurfacePoint} from './target-geometry.js';
+
+const METERS_PER_UNIT = {mm: 0.001, cm: 0.01, m: 1};
+
+// Named anchor origins, as fractions of the target width and height from the top-left corner of the image
+const TARGET_ORIGINS = {
+  'center': {x: 0.5, y: 0.5},
+  'top-left': {x: 0, y: 0},
+  'top-right': {x: 1, y: 0},
+  'bottom-left': {x: 0, y: 1},
+  'bottom-right': {x: 1, y: 1},
+};
+
+/**
+ * Resolve an anchor origin to fractions of the target size
+ * @param {string|{x: number, y: number}} origin - A name of TARGET_ORIGINS, or a custom pivot given as
+ *   fractions of the target width and height from the top-left corner of the image
+ * @returns {{x: number, y: number}}
+ */
+const resolveTargetOrigin = (origin) => {
+  if (typeof origin === 'string') {
+    if (!TARGET_ORIGINS[origin]) {
+      throw new Error(`Target origin must be one of: ${Object.keys(TARGET_ORIGINS).join(', ')}, or a pivot {x, y}`);
+    }
+    return TARGET_ORIGINS[origin];
+  }
+  if (origin === null || typeof origin !== 'object' || !isFinite(origin.x) || !isFinite(origin.y)) {
+    throw new Error('Target origin pivot must be {x, y} with finite numbers');
+  }
+  return {x: origin.x, y: origin.y};
+};
+
+const validateWorldUnit = (worldUnit) => {
+  if (worldUnit !== null && !PHYSICAL_UNITS.includes(worldUnit)) {
+    throw new Error(`World unit must be null or one of: ${PHYSICAL_UNITS.join(', ')}`);
+  }
+};
+
+/**
+ * Anchor placement of a target in the space of glModelViewMatrix: target image pixels,
+ * origin at the bottom-left corner of the target and y up.
+ *
+ * @param {{width: number, height: number, physicalSize: {width: number, unit: string}|null, geometry: Object}} targetInfo
+ * @param {Object} options
+ * @param {'mm'|'cm'|'m'|null} options.worldUnit - Unit of the anchor space. null makes one unit the target width
+ * @param {string|{x: number, y: number}} options.origin - See resolveTargetOrigin
+ * @returns {{position: {x: number, y: number, z: number}, scale: number}} - Anchor origin, and the length of one unit in target pixels
+ */
+const createTargetTransform = (targetInfo, {worldUnit = null, origin = 'center'} = {}) => {
+  validateWorldUnit(worldUnit);
+  const {width, height, physicalSize, geometry} = targetInfo;
+
+  let scale = width;
+  if (worldUnit !== null) {
+    if (physicalSize === null) {
+      throw new Error(`Target ${targetInfo.name ?? targetInfo.index} has no physical size for world unit '${worldUnit}'`);
+    }
+    const physicalWidth = physicalSize.width * METERS_PER_UNIT[physicalSize.unit] / METERS_PER_UNIT[worldUnit];
+    scale = width / physicalWidth;
+  }
+
+  const pivot = resolveTargetOrigin(origin);
+  const point = toSurfacePoint(geometry, width, pivot.x * width, pivot.y * height);
+  return {
+    position: {x: point.x, y: height - point.y, z: -point.z},
+    scale,
+  };
+};
+
+export {
+  TARGET_ORIGINS,
+  resolveTargetOrigin,
+  validateWorldUnit,
+  createTargetTransform
+}
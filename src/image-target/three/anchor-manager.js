@@ -5,46 +5,71 @@ export class AnchorManager {
     this.scene = scene;
     this.cssScene = cssScene;
     this.anchors = [];
+    // Maps a target name to its index in the loaded targets; null until targets are loaded
+    this.getTargetIndex = null;
   }
 
-  addAnchor(targetIndex) {
-    const group = new Group();
-    group.visible = false;
-    group.matrixAutoUpdate = false;
-    const anchor = {
-      group,
-      targetIndex,
-      onTargetFound: null,
-      onTargetLost: null,
-      onTargetUpdate: null,
-      css: false,
-      visible: false
-    };
-    this.anchors.push(anchor);
-    this.scene.add(group);
+  // target is a target index, or a target name resolved against the loaded .mind file
+  addAnchor(target) {
+    const anchor = this._createAnchor(target, false);
+    this.scene.add(anchor.group);
+    return anchor;
+  }
+
+  addCSSAnchor(target) {
+    const anchor = this._createAnchor(target, true);
+    this.cssScene.add(anchor.group);
     return anchor;
   }
 
-  addCSSAnchor(targetIndex) {
+  /**
+   * Resolve name-based anchors to target indexes of the loaded targets.
+   * Anchors added afterwards are resolved on creation.
+   * @param {Function} getTargetIndex - Maps a target name to its index, or -1 if unknown
+   * @returns {string[]} - Target names that could not be resolved
+   */
+  resolveTargetNames(getTargetIndex) {
+    this.getTargetIndex = getTargetIndex;
+    const unresolved = [];
+    for (let i = 0; i < this.anchors.length; i++) {
+      const anchor = this.anchors[i];
+      if (anchor.targetName === null) continue;
+      anchor.targetIndex = getTargetIndex(anchor.targetName);
+      if (anchor.targetIndex === -1) {
+        unresolved.push(anchor.targetName);
+      }
+    }
+    return unresolved;
+  }
+
+  getAnchors() {
+    return this.anchors;
+  }
+
+  _createAnchor(target, css) {
+    if (typeof target !== 'number' && typeof target !== 'string') {
+      throw new Error('Anchor target must be a target index (number) or a target name (string)');
+    }
+
     const group = new Group();
     group.visible = false;
     group.matrixAutoUpdate = false;
+    let targetIndex = target;
+    if (typeof target === 'string') {
+      targetIndex = this.getTargetIndex ? this.getTargetIndex(target) : -1;
+    }
+
     const anchor = {
       group,
       targetIndex,
+      targetName: typeof target === 'string' ? target : null,
       onTargetFound: null,
       onTargetLost: null,
       onTargetUpdate: null,
-      css: true,
+      css,
       visible: false
     };
     this.anchors.push(anchor);
-    this.cssScene.add(group);
     return anchor;
   }
-
-  getAnchors() {
-    return this.anchors;
-  }
 }
-
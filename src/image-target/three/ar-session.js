@@ -1,13 +1,21 @@
 import { Matrix4, Vector3, Quaternion } from "three";
 import { Controller } from "../controller.js";
 import { Logger } from "../../libs/logger.js";
+import { createTargetTransform } from "../target-transform.js";
 
 export class ARSession {
-  constructor(video, imageTargetSrc, controllerConfig, postMatrixsCallback) {
+  // worldConfig: {worldUnit, targetOrigin, targetOrigins, targetPhysicalSizes}, see MindARThree.
+  //   targetOrigins and targetPhysicalSizes map target indexes or names to per-target settings
+  // imageTargetSrc may be null to start without targets and add instant targets later
+  constructor(video, imageTargetSrc, controllerConfig, postMatrixsCallback, worldConfig = {}) {
     this.video = video;
-    this.imageTargetSrc = imageTargetSrc;
+    this.imageTargetSrc = imageTargetSrc ?? null;
     this.controllerConfig = controllerConfig;
     this.postMatrixsCallback = postMatrixsCallback;
+    this.worldUnit = worldConfig.worldUnit ?? null;
+    this.targetOrigin = worldConfig.targetOrigin ?? 'center';
+    this.targetOrigins = worldConfig.targetOrigins ?? new Map();
+    this.targetPhysicalSizes = worldConfig.targetPhysicalSizes ?? new Map();
     this.controller = null;
     this.postMatrixs = [];
     this.logger = new Logger('ARSession', true, 'info');
@@ -20,7 +28,11 @@ export class ARSession {
       imageTargetSrc: this.imageTargetSrc
     });
 
-    this.controller = new Controller({
+    // Off the main thread, the pipeline runs in a worker; loaded on demand as it bundles its own copy of it
+    const ControllerClass = this.controllerConfig.offMainThread
+      ? (await import("../worker-controller.js")).WorkerController
+      : Controller;
+    this.controller = new ControllerClass({
       inputWidth: this.video.videoWidth,
       inputHeight: this.video.videoHeight,
       filterDCutOff: this.controllerConfig.filterDCutOff,
@@ -28,35 +40,44 @@ export class ARSession {
       missTolerance: this.controllerConfig.missTolerance,
       maxTrack: this.controllerConfig.maxTrack,
       targetFPS: this.controllerConfig.targetFPS,
+      matchCandidates: this.controllerConfig.matchCandidates,
       onUpdate: this.controllerConfig.onUpdate,
       onWorkDistributionEnabled: this.controllerConfig.onWorkDistributionEnabled
     });
 
     try {
-      const { dimensions: imageTargetDimensions } = await this.controller.addImageTargets(this.imageTargetSrc);
+      if (this.imageTargetSrc !== null) {
+        await this.controller.addImageTargets(this.imageTargetSrc);
+      }
 
-    this.postMatrixs = [];
-    for (let i = 0; i < imageTargetDimensions.length; i++) {
-      const position = new Vector3();
-      const quaternion = new Quaternion();
-      const scale = new Vector3();
-      const [markerWidth, markerHeight] = imageTargetDimensions[i];
-      position.x = markerWidth / 2;
-      position.y = markerWidth / 2 + (markerHeight - markerWidth) / 2;
-      scale.x = markerWidth;
-      scale.y = markerWidth;
-      scale.z = markerWidth;
-      const postMatrix = new Matrix4();
-      postMatrix.compose(position, quaternion, scale);
-      this.postMatrixs.push(postMatrix);
-    }
+      for (const [target, physicalSize] of this.targetPhysicalSizes) {
+        const targetIndex = this._resolveTarget(target);
+        if (targetIndex !== -1) {
+          this.controller.setTargetPhysicalSize(targetIndex, physicalSize);
+        }
+      }
 
-    if (this.postMatrixsCallback) {
-      this.postMatrixsCallback(this.postMatrixs);
-    }
+      for (const activation of this.controllerConfig.targetActivation ?? []) {
+        try {
+          this.applyTargetActivation(activation);
+        } catch (error) {
+          this.logger.warn('Skipped target activation', { activation, error: error.message });
+        }
+      }
+
+      this.postMatrixs = [];
+      for (let i = 0; i < this.controller.targetInfos.length; i++) {
+        this.postMatrixs.push(this._buildPostMatrix(i));
+      }
+
+      if (this.postMatrixsCallback) {
+        this.postMatrixsCallback(this.postMatrixs);
+      }
 
       await this.controller.dummyRun(this.video);
-      this.controller.processVideo(this.video);
+      if (this._autoProcess() && this.controller.targetInfos.length > 0) {
+        this.controller.processVideo(this.video);
+      }
       this.logger.info('AR session started successfully');
       return this.controller;
     } catch (error) {
@@ -69,10 +90,93 @@ export class ARSession {
     this.logger.info('Stopping AR session');
     if (this.controller) {
       this.controller.stopProcessVideo();
+      // A pipeline worker holds its own WebGL context and workers
+      if (this.controllerConfig.offMainThread) {
+        this.controller.dispose();
+      }
       this.controller = null;
     }
   }
 
+  /**
+   * Capture the current video frame as a new target, see Controller.addInstantTarget.
+   * Starts video processing if the session had no targets yet
+   * @param {Object} options - Options of Controller.addInstantTarget, with quad in video pixels
+   * @returns {Promise<number>} - Index of the new target
+   */
+  async addInstantTarget(options = {}) {
+    const targetIndex = await this.controller.addInstantTarget(this.video, options);
+    this._onTargetsAdded([targetIndex]);
+    return targetIndex;
+  }
+
+  /**
+   * Add the targets of a .mind file while the session runs, see Controller.addTargets
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise<number[]>} - Indexes of the added targets
+   */
+  async addTargets(buffer) {
+    // Off the main thread, the targets are added in the worker
+    const targetIndexes = await this.controller.addTargets(buffer);
+    this._onTargetsAdded(targetIndexes);
+    return targetIndexes;
+  }
+
+  /**
+   * Remove a target while the session runs, see Controller.removeTarget
+   * @param {number|string} target - Target index or name
+   */
+  removeTarget(target) {
+    this.controller.removeTarget(target);
+  }
+
+  /**
+   * Enable or disable targets, see Controller.enableTargets, disableTargets and setActiveTargets
+   * @param {{mode: 'enable'|'disable'|'only', targets: number|string|Object|Array}} activation
+   */
+  applyTargetActivation({ mode, targets }) {
+    if (mode === 'enable') {
+      this.controller.enableTargets(targets);
+    } else if (mode === 'disable') {
+      this.controller.disableTargets(targets);
+    } else {
+      this.controller.setActiveTargets(targets);
+    }
+  }
+
+  // Apply per-target settings to new targets and start video processing if the session had no targets yet
+  _onTargetsAdded(targetIndexes) {
+    for (const targetIndex of targetIndexes) {
+      const { name } = this.controller.getTargetInfo(targetIndex);
+      const physicalSize = this.targetPhysicalSizes.get(targetIndex) ?? (name === null ? undefined : this.targetPhysicalSizes.get(name));
+      if (physicalSize !== undefined) {
+        this.controller.setTargetPhysicalSize(targetIndex, physicalSize);
+      }
+      this.postMatrixs[targetIndex] = this._buildPostMatrix(targetIndex);
+    }
+
+    if (this.postMatrixsCallback) {
+      this.postMatrixsCallback(this.postMatrixs);
+    }
+    if (this._autoProcess() && !this.controller.processingVideo && targetIndexes.length > 0) {
+      this.controller.processVideo(this.video);
+    }
+  }
+
+  // Without the built-in loop, the app processes frames with processFrame
+  _autoProcess() {
+    return this.controllerConfig.autoProcess ?? true;
+  }
+
+  /**
+   * Process the current video frame, see Controller.processFrame
+   * @param {number} timestamp - In milliseconds
+   * @returns {Promise<Array>} - One result per loaded target
+   */
+  processFrame(timestamp) {
+    return this.controller.processFrame(this.video, timestamp);
+  }
+
   getController() {
     return this.controller;
   }
@@ -80,5 +184,45 @@ export class ARSession {
   getPostMatrixs() {
     return this.postMatrixs;
   }
+
+  /**
+   * Rebuild the post matrix of a target after its origin or physical size changed
+   * @param {number|string} target - Target index or name
+   */
+  updatePostMatrix(target) {
+    const targetIndex = this._resolveTarget(target);
+    if (targetIndex === -1) return;
+    const physicalSize = this.targetPhysicalSizes.get(target);
+    if (physicalSize !== undefined) {
+      this.controller.setTargetPhysicalSize(targetIndex, physicalSize);
+    }
+    this.postMatrixs[targetIndex] = this._buildPostMatrix(targetIndex);
+    if (this.postMatrixsCallback) {
+      this.postMatrixsCallback(this.postMatrixs);
+    }
+  }
+
+  // Maps the anchor space (worldUnit, origin at the target origin) into the target space of the world matrix
+  _buildPostMatrix(targetIndex) {
+    const targetInfo = this.controller.getTargetInfo(targetIndex);
+    const origin = this.targetOrigins.get(targetIndex) ?? this.targetOrigins.get(targetInfo.name) ?? this.targetOrigin;
+    const { position, scale } = createTargetTransform(targetInfo, { worldUnit: this.worldUnit, origin });
+    const postMatrix = new Matrix4();
+    postMatrix.compose(
+      new Vector3(position.x, position.y, position.z),
+      new Quaternion(),
+      new Vector3(scale, scale, scale)
+    );
+    return postMatrix;
+  }
+
+  _resolveTarget(target) {
+    const targetIndex = typeof target === 'string' ? this.controller.getTargetIndex(target) : target;
+    if (!Number.isInteger(targetIndex) || targetIndex < 0 || !this.controller.targetInfos[targetIndex]) {
+      this.logger.warn('Unknown target', { target });
+      return -1;
+    }
+    return targetIndex;
+  }
 }
 
@@ -7,6 +7,9 @@ import { ResizeHandler } from "./resize-handler.js";
 import { ARSession } from "./ar-session.js";
 import { UI } from "../../ui/ui.js";
 import { Logger } from "../../libs/logger.js";
+import { resolveTargetOrigin, validateWorldUnit } from "../target-transform.js";
+import { validateDetectionStrategy } from "../detector/detection-regions.js";
+import { SessionRecorder } from "../session-recorder.js";
 
 export class MindARThree {
   constructor({
@@ -31,7 +34,14 @@ export class MindARThree {
     userDeviceId = null,
     environmentDeviceId = null,
     resolution = null,
+    videoSource = null, // null = camera, or a MediaStream (e.g. WebRTC), a video file Blob or URL, played instead
     targetFPS = null,
+    autoProcess = true, // false = no built-in processing loop; call processFrame() from the app's render loop
+    offMainThread = false, // true = run detection and tracking in a worker; the main thread only receives poses
+    matchCandidates = null, // null = default; candidate targets fully verified per detection in large libraries
+    detectionStrategy = null, // null = centre walk, or {type: 'center' | 'tiles' | 'roi' | 'multi-scale', ...}; ROI regions in container pixels
+    worldUnit = null, // null = one unit is the target width, or 'mm' | 'cm' | 'm' using the targets' physical sizes
+    targetOrigin = 'center', // 'center', 'top-left', 'top-right', 'bottom-left', 'bottom-right' or a pivot {x, y}
     postProcessorConfig = null, // null = disabled, {} = enabled with defaults, or custom config object
     visualizerConfig = null, // null = disabled, {} = enabled with defaults, or custom config object
     debug = false, // If true, collect graph data but don't render (for external visualization)
@@ -67,7 +77,24 @@ export class MindARThree {
     this.userDeviceId = userDeviceId;
     this.environmentDeviceId = environmentDeviceId;
     this.resolution = resolution;
+    this.videoSource = videoSource;
     this.targetFPS = targetFPS;
+    this.autoProcess = autoProcess;
+    this.offMainThread = offMainThread;
+    this.matchCandidates = matchCandidates;
+    if (detectionStrategy !== null) {
+      validateDetectionStrategy(detectionStrategy);
+    }
+    this.detectionStrategy = detectionStrategy;
+    validateWorldUnit(worldUnit);
+    resolveTargetOrigin(targetOrigin);
+    this.worldUnit = worldUnit;
+    this.targetOrigin = targetOrigin;
+    // Per-target settings, keyed by target index or name
+    this.targetOrigins = new Map();
+    this.targetPhysicalSizes = new Map();
+    // Enable/disable calls, replayed in order when the session (re)starts
+    this.targetActivation = [];
     
     // Merge top-level filter settings into postProcessorConfig if enabled
     if (postProcessorConfig !== null) {
@@ -126,7 +153,8 @@ export class MindARThree {
       this.shouldFaceUser,
       this.userDeviceId,
       this.environmentDeviceId,
-      this.resolution
+      this.resolution,
+      this.videoSource
     );
 
     // Will be initialized after AR session starts
@@ -244,12 +272,225 @@ export class MindARThree {
     }
   }
 
-  addAnchor(targetIndex) {
-    return this.anchorManager.addAnchor(targetIndex);
+  /**
+   * Add an anchor that follows a target
+   * @param {number|string} target - Target index, or target name stored in the .mind file
+   */
+  addAnchor(target) {
+    return this.anchorManager.addAnchor(target);
+  }
+
+  /**
+   * Add a CSS3D anchor that follows a target
+   * @param {number|string} target - Target index, or target name stored in the .mind file
+   */
+  addCSSAnchor(target) {
+    return this.anchorManager.addCSSAnchor(target);
+  }
+
+  /**
+   * Get the metadata of a loaded target
+   * @param {number} targetIndex - Index of the target
+   * @returns {Object|null} - Target info, or null if the AR session has not started
+   */
+  getTargetInfo(targetIndex) {
+    if (this.arSession && this.arSession.getController()) {
+      return this.arSession.getController().getTargetInfo(targetIndex);
+    }
+    return null;
+  }
+
+  /**
+   * Declare the printed size of a target, replacing the size stored in the .mind file.
+   * Used for anchor units when worldUnit is set; applies immediately and after restarts
+   * @param {number|string} target - Target index or name
+   * @param {{width: number, unit: 'mm'|'cm'|'m'}} physicalSize - Printed width of the target
+   */
+  setTargetPhysicalSize(target, physicalSize) {
+    this.targetPhysicalSizes.set(target, physicalSize);
+    if (this.arSession && this.arSession.getController()) {
+      this.arSession.updatePostMatrix(target);
+    }
+  }
+
+  /**
+   * Set the anchor origin of one target, overriding the targetOrigin option
+   * @param {number|string} target - Target index or name
+   * @param {string|{x: number, y: number}} origin - Named origin, or a pivot as fractions of the target width and height from the top-left corner
+   */
+  setTargetOrigin(target, origin) {
+    resolveTargetOrigin(origin);
+    this.targetOrigins.set(target, origin);
+    if (this.arSession && this.arSession.getController()) {
+      this.arSession.updatePostMatrix(target);
+    }
+  }
+
+  /**
+   * Capture the current camera frame, or a quad of it, and track it as a new target without restarting.
+   * Anchors added with the target name attach to it once it is added
+   * @param {Object} options
+   * @param {Array<[number, number]>|null} options.quad - Target corners in container CSS pixels: top-left, top-right,
+   *   bottom-right, bottom-left. null captures the whole camera frame
+   * @param {number} options.maxSize - Longest side of the captured target image, in pixels
+   * @param {Object} options.target - {name, physicalSize, tags, extra, mask, geometry} of the new target
+   * @param {Function|null} options.progressCallback - Compile progress events
+   * @param {AbortSignal|null} options.signal - Cancels the compilation
+   * @returns {Promise<number>} - Index of the new target
+   */
+  async addInstantTarget({ quad = null, ...options } = {}) {
+    if (!this.arSession || !this.arSession.getController()) {
+      throw new Error('MindAR: start() must be called before addInstantTarget()');
+    }
+    const videoQuad = quad === null ? null : quad.map((point) => this.resizeHandler.containerToVideo(point));
+    const targetIndex = await this.arSession.addInstantTarget({ ...options, quad: videoQuad });
+
+    const controller = this.arSession.getController();
+    this.anchorManager.resolveTargetNames((name) => controller.getTargetIndex(name));
+    return targetIndex;
+  }
+
+  /**
+   * Add the targets of a .mind file without restarting the camera. Existing targets, anchors and tracking are kept
+   * @param {string|ArrayBuffer} source - URL or content of a .mind file
+   * @returns {Promise<number[]>} - Indexes of the added targets
+   */
+  async addTargets(source) {
+    if (!this.arSession || !this.arSession.getController()) {
+      throw new Error('MindAR: start() must be called before addTargets()');
+    }
+    const buffer = typeof source === 'string' ? await (await fetch(source)).arrayBuffer() : source;
+    const targetIndexes = await this.arSession.addTargets(buffer);
+
+    const controller = this.arSession.getController();
+    this.anchorManager.resolveTargetNames((name) => controller.getTargetIndex(name));
+    return targetIndexes;
+  }
+
+  /**
+   * Remove a target without restarting the camera. Its anchors are hidden; the other targets keep their indexes
+   * @param {number|string} target - Target index or name
+   */
+  removeTarget(target) {
+    if (!this.arSession || !this.arSession.getController()) {
+      throw new Error('MindAR: start() must be called before removeTarget()');
+    }
+    this.arSession.removeTarget(target);
+  }
+
+  /**
+   * Allow targets to be detected and tracked again
+   * @param {number|string|{tag: string}|Array} targets - See setActiveTargets
+   */
+  enableTargets(targets) {
+    this._setTargetActivation({ mode: 'enable', targets });
+  }
+
+  /**
+   * Stop detecting and tracking targets and hide their anchors, without reloading
+   * @param {number|string|{tag: string}|Array} targets - See setActiveTargets
+   */
+  disableTargets(targets) {
+    this._setTargetActivation({ mode: 'disable', targets });
+  }
+
+  /**
+   * Enable the selected targets and disable all others. Applies immediately and after restarts
+   * @param {number|string|{tag: string}|Array} targets - A target index, a target name, {tag} for every
+   *   target with that tag, or an array of these
+   */
+  setActiveTargets(targets) {
+    this._setTargetActivation({ mode: 'only', targets });
+  }
+
+  /**
+   * Find targets and their poses in a still image, independent of the camera
+   * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap|ImageData} image
+   * @param {Object} options - See Controller.estimatePose
+   * @returns {Promise<Array>} - One result per found target
+   */
+  estimatePose(image, options = {}) {
+    if (!this.arSession || !this.arSession.getController()) {
+      throw new Error('MindAR: start() must be called before estimatePose()');
+    }
+    return this.arSession.getController().estimatePose(image, options);
+  }
+
+  /**
+   * Run one detect/track/update cycle on the current camera frame, for apps created with autoProcess: false.
+   * Anchors are updated as with the built-in loop
+   * @param {number} timestamp - Frame time in milliseconds, e.g. the time passed to the render loop
+   * @returns {Promise<Array>} - One result per loaded target, see Controller.processFrame
+   */
+  processFrame(timestamp = performance.now()) {
+    if (!this.arSession || !this.arSession.getController()) {
+      throw new Error('MindAR: start() must be called before processFrame()');
+    }
+    return this.arSession.processFrame(timestamp);
+  }
+
+  /**
+   * Start recording the camera frames and tracking events of the running session, for replay with
+   * OfflineProcessor.processSession. Frames after a restart (e.g. switchCamera) are not recorded
+   * @param {Object} options - See SessionRecorder
+   * @returns {SessionRecorder} - Call stop() to get the Session
+   */
+  recordSession(options = {}) {
+    if (!this.arSession || !this.arSession.getController()) {
+      throw new Error('MindAR: start() must be called before recordSession()');
+    }
+    if (this.offMainThread) {
+      throw new Error('MindAR: recordSession() is not available with offMainThread');
+    }
+    const recorder = new SessionRecorder(this.arSession.getController(), options);
+    recorder.start();
+    return recorder;
+  }
+
+  /**
+   * Select where detection searches for new targets. Applies immediately and after restarts
+   * @param {Object|null} detectionStrategy - null or {type: 'center'} walks crops around the frame centre,
+   *   {type: 'tiles', overlap} tiles the whole frame, {type: 'roi', regions: [{x, y, width, height}]} searches
+   *   around regions in container pixels (e.g. where the user tapped), {type: 'multi-scale', scales} walks the
+   *   centre with crops of several sizes to find distant targets
+   */
+  setDetectionStrategy(detectionStrategy) {
+    if (detectionStrategy !== null) {
+      validateDetectionStrategy(detectionStrategy);
+    }
+    this.detectionStrategy = detectionStrategy;
+    this._applyDetectionStrategy();
   }
 
-  addCSSAnchor(targetIndex) {
-    return this.anchorManager.addCSSAnchor(targetIndex);
+  _applyDetectionStrategy() {
+    const controller = this.arSession?.getController();
+    if (!controller) return;
+    const strategy = this.detectionStrategy ?? { type: 'center' };
+    if (strategy.type !== 'roi') {
+      controller.setDetectionStrategy(strategy);
+      return;
+    }
+    const regions = strategy.regions.map(({ x, y, width, height }) => {
+      const [left, top] = this.resizeHandler.containerToVideo([x, y]);
+      const [right, bottom] = this.resizeHandler.containerToVideo([x + width, y + height]);
+      return { x: left, y: top, width: right - left, height: bottom - top };
+    });
+    controller.setDetectionStrategy({ ...strategy, regions });
+  }
+
+  _setTargetActivation(activation) {
+    if (this.arSession && this.arSession.getController()) {
+      this.arSession.applyTargetActivation(activation);
+    }
+    if (activation.mode === 'only') {
+      this.targetActivation = [];
+    }
+    // An enable or disable of the same targets replaces the earlier one
+    const key = JSON.stringify(activation.targets);
+    this.targetActivation = this.targetActivation.filter((previous) => {
+      return previous.mode === 'only' || JSON.stringify(previous.targets) !== key;
+    });
+    this.targetActivation.push(activation);
   }
 
   resize() {
@@ -510,13 +751,8 @@ export class MindARThree {
     // Update performance profiling
     if (config.performanceProfiling !== undefined) {
       if (controller) {
-        controller.debugMode = config.performanceProfiling;
-        if (controller.cropDetector && controller.cropDetector.detector) {
-          controller.cropDetector.detector.debugMode = config.performanceProfiling;
-        }
-        if (controller.tracker) {
-          controller.tracker.debugMode = config.performanceProfiling;
-        }
+        // Forwarded to the pipeline worker with offMainThread
+        controller.setDebugMode(config.performanceProfiling);
       }
     }
   }
@@ -534,6 +770,10 @@ export class MindARThree {
       missTolerance: this.missTolerance,
       maxTrack: this.maxTrack,
       targetFPS: this.targetFPS,
+      matchCandidates: this.matchCandidates,
+      detectionStrategy: this.detectionStrategy,
+      worldUnit: this.worldUnit,
+      targetOrigin: this.targetOrigin,
       postProcessor: this.postProcessorConfig,
       visualizer: this.visualizerConfig ? {
         ...this.visualizerConfig,
@@ -641,6 +881,10 @@ export class MindARThree {
         missTolerance: this.missTolerance,
         maxTrack: this.maxTrack,
         targetFPS: this.targetFPS,
+        matchCandidates: this.matchCandidates,
+        autoProcess: this.autoProcess,
+        offMainThread: this.offMainThread,
+        targetActivation: this.targetActivation,
         onUpdate: (data) => {
           if (data.type === 'updateMatrix') {
             const { targetIndex, worldMatrix } = data;
@@ -674,14 +918,27 @@ export class MindARThree {
       (postMatrixs) => {
         this.postMatrixs = postMatrixs;
         this.matrixUpdater.postMatrixs = postMatrixs;
+      },
+      {
+        worldUnit: this.worldUnit,
+        targetOrigin: this.targetOrigin,
+        targetOrigins: this.targetOrigins,
+        targetPhysicalSizes: this.targetPhysicalSizes
       }
     );
 
     // Update resize handler with controller reference
     await this.arSession.start();
-    this.resizeHandler.controller = this.arSession.getController();
+    const controller = this.arSession.getController();
+    this.resizeHandler.controller = controller;
+
+    const unresolvedNames = this.anchorManager.resolveTargetNames((name) => controller.getTargetIndex(name));
+    if (unresolvedNames.length > 0) {
+      this.logger.warn('Anchors reference unknown target names', { names: unresolvedNames });
+    }
 
     this.resize();
+    this._applyDetectionStrategy();
 
     this.ui.hideLoading();
     this.ui.showScanning();
@@ -80,5 +80,17 @@ export class ResizeHandler {
     this.canvas.style.width = this.container.clientWidth + 'px';
     this.canvas.style.height = this.container.clientHeight + 'px';
   }
+
+  /**
+   * Map a point of the container, in CSS pixels from its top-left corner, to a video pixel
+   * @param {[number, number]} point
+   * @returns {[number, number]}
+   */
+  containerToVideo([x, y]) {
+    const left = parseFloat(this.video.style.left) || 0;
+    const top = parseFloat(this.video.style.top) || 0;
+    const scale = this.video.videoWidth / (parseFloat(this.video.style.width) || this.video.videoWidth);
+    return [(x - left) * scale, (y - top) * scale];
+  }
 }
 
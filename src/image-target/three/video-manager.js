@@ -3,13 +3,16 @@ import { getResolutionConstraints } from "../../libs/resolution-utils.js";
 import { Logger } from "../../libs/logger.js";
 
 export class VideoManager {
-  constructor(container, ui, shouldFaceUser, userDeviceId, environmentDeviceId, resolution = null) {
+  // source: null opens the camera, or a MediaStream (e.g. from WebRTC), a video file (Blob) or its URL
+  constructor(container, ui, shouldFaceUser, userDeviceId, environmentDeviceId, resolution = null, source = null) {
     this.container = container;
     this.ui = ui;
     this.shouldFaceUser = shouldFaceUser;
     this.userDeviceId = userDeviceId;
     this.environmentDeviceId = environmentDeviceId;
     this.resolution = resolution;
+    this.source = source;
+    this.objectURL = null;
     this.video = null;
     this.logger = new Logger('VideoManager', true, 'info');
   }
@@ -27,6 +30,11 @@ export class VideoManager {
       this.video.style.zIndex = '-2';
       this.container.appendChild(this.video);
 
+      if (this.source !== null) {
+        this._startSource(resolve, reject);
+        return;
+      }
+
       if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
         this.logger.error('getUserMedia not supported');
         this.ui.showCompatibility();
@@ -72,12 +80,7 @@ export class VideoManager {
 
       navigator.mediaDevices.getUserMedia(constraints).then((stream) => {
         this.video.addEventListener('loadedmetadata', () => {
-          this.video.setAttribute('width', this.video.videoWidth);
-          this.video.setAttribute('height', this.video.videoHeight);
-          this.logger.info('Video metadata loaded', {
-            videoWidth: this.video.videoWidth,
-            videoHeight: this.video.videoHeight
-          });
+          this._onMetadataLoaded();
           resolve();
         });
         this.video.srcObject = stream;
@@ -88,9 +91,51 @@ export class VideoManager {
     });
   }
 
+  // Play an app-provided stream or video file instead of the camera
+  _startSource(resolve, reject) {
+    this.video.addEventListener('loadedmetadata', () => {
+      this._onMetadataLoaded();
+      resolve();
+    }, { once: true });
+    this.video.addEventListener('error', () => {
+      this.logger.error('Failed to load video source');
+      reject();
+    }, { once: true });
+
+    this.video.muted = true;
+    if (this.source instanceof MediaStream) {
+      this.logger.info('Using media stream source');
+      this.video.srcObject = this.source;
+    } else {
+      this.logger.info('Using video file source');
+      if (this.source instanceof Blob) {
+        this.objectURL = URL.createObjectURL(this.source);
+      }
+      this.video.loop = true;
+      this.video.src = this.objectURL ?? this.source;
+    }
+    this.video.play().catch((err) => {
+      this.logger.warn('Video source did not start playing', { error: err.message });
+    });
+  }
+
+  _onMetadataLoaded() {
+    this.video.setAttribute('width', this.video.videoWidth);
+    this.video.setAttribute('height', this.video.videoHeight);
+    this.logger.info('Video metadata loaded', {
+      videoWidth: this.video.videoWidth,
+      videoHeight: this.video.videoHeight
+    });
+  }
+
   stop() {
     this.logger.info('Stopping video');
-    if (this.video && this.video.srcObject) {
+    if (this.objectURL !== null) {
+      URL.revokeObjectURL(this.objectURL);
+      this.objectURL = null;
+    }
+    // App-provided streams belong to the app and keep running
+    if (this.source === null && this.video && this.video.srcObject) {
       const tracks = this.video.srcObject.getTracks();
       tracks.forEach(function (track) {
         track.stop();
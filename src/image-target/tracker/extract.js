@@ -21,9 +21,10 @@ const OCCUPANCY_SIZE = 24 * 2 / 3;
  * @param {Uint8Array} options.imageData
  * @param {int} options.width image width
  * @param {int} options.height image height
+ * @param {Object} options.mask optional target mask of the same size, see target-mask.js
  */
 const extract = (image) => {
-  const {data: imageData, width, height, scale} = image;
+  const {data: imageData, width, height, scale, mask} = image;
 
   // Step 1 - filter out interesting points. Interesting points have strong pixel value changed across neighbours
   const isPixelSelected = [width * height];
@@ -68,6 +69,8 @@ const extract = (image) => {
   for (let i = 1; i < width-1; i++) {
     for (let j = 1; j < height-1; j++) {
       let pos = i + width * j;
+      // pixels outside the target mask are never candidates
+      if (mask && mask.data[pos] === 0) continue;
       let isMax = true;
       for (let d = 0; d < neighbourOffsets.length; d++) {
         if (dValue[pos] <= dValue[pos + neighbourOffsets[d]]) {
@@ -1,11 +1,15 @@
 import * as tf from '@tensorflow/tfjs';
 import {buildModelViewProjectionTransform, computeScreenCoordinate} from '../math/matrix-transform.js';
+import {resizeMask} from '../target-mask.js';
+import {toSurfacePoint, createDefaultTargetGeometry} from '../target-geometry.js';
 
 const AR2_DEFAULT_TS = 6;
 const AR2_DEFAULT_TS_GAP = 1;
 const AR2_SEARCH_SIZE = 10;
 const AR2_SEARCH_GAP = 1;
 const AR2_SIM_THRESH = 0.8;
+// Minimum share of template pixels inside the target mask for a similarity to be computed
+const AR2_MIN_MASKED_TEMPLATE_RATIO = 0.5;
 
 const TRACKING_KEYFRAME = 1; // 0: 256px, 1: 128px
 
@@ -16,32 +20,30 @@ const TRACKING_KEYFRAME = 1; // 0: 256px, 1: 128px
 const PRECISION_ADJUST = 1000;
 
 class Tracker {
-  constructor(markerDimensions, trackingDataList, projectionTransform, inputWidth, inputHeight, debugMode=false) {
+  // trackingDataList entries may be null for targets that are not tracked
+  // maskList: optional target mask per target (see target-mask.js), or null. Template pixels outside the mask are ignored
+  // geometryList: optional geometry per target (see target-geometry.js). Missing entries are planar
+  constructor(markerDimensions, trackingDataList, projectionTransform, inputWidth, inputHeight, debugMode=false, maskList=[], geometryList=[]) {
     this.markerDimensions = markerDimensions;
     this.trackingDataList = trackingDataList;
+    this.geometryList = trackingDataList.map((_, i) => geometryList[i] ?? createDefaultTargetGeometry());
     this.projectionTransform = projectionTransform;
     this.debugMode = debugMode;
 
+    this.maskList = trackingDataList.map((_, i) => maskList[i] ?? null);
+
     this.trackingKeyframeList = [];
     for (let i = 0; i < trackingDataList.length; i++) {
-      this.trackingKeyframeList.push(trackingDataList[i][TRACKING_KEYFRAME]);
+      this.trackingKeyframeList.push(trackingDataList[i] === null ? null : trackingDataList[i][TRACKING_KEYFRAME]);
     }
 
     // prebuild feature and marker pixel tensors
-    let maxCount = 0;
-    for (let i = 0; i < this.trackingKeyframeList.length; i++) {
-      maxCount = Math.max(maxCount, this.trackingKeyframeList[i].points.length);
-    }
+    this.featureCount = this._getMaxFeatureCount();
     this.featurePointsListT = [];
     this.imagePixelsListT = [];
     this.imagePropertiesListT = [];
-
-    for (let i = 0; i < this.trackingKeyframeList.length; i++) {
-      const {featurePoints, imagePixels, imageProperties} = this._prebuild(this.trackingKeyframeList[i], maxCount);
-      this.featurePointsListT[i] = featurePoints;
-      this.imagePixelsListT[i] = imagePixels;
-      this.imagePropertiesListT[i] = imageProperties;
-    }
+    this.imageMaskListT = [];
+    this._prebuildTargets(0);
 
     this.kernelCaches = {};
     this.quality = 1.0;
@@ -49,6 +51,50 @@ class Tracker {
     this.templateSize = AR2_DEFAULT_TS;
   }
 
+  /**
+   * Append targets to track, after the existing ones
+   * @param {Array<[number, number]>} markerDimensions - [width, height] per target
+   * @param {Array} trackingDataList - Tracking data per target
+   * @param {Array} maskList - Target mask per target, or null
+   * @param {Array} geometryList - Geometry per target
+   */
+  addTargets(markerDimensions, trackingDataList, maskList, geometryList) {
+    const startIndex = this.trackingKeyframeList.length;
+    this.markerDimensions = [...this.markerDimensions, ...markerDimensions];
+    this.trackingDataList = [...this.trackingDataList, ...trackingDataList];
+    this.maskList = [...this.maskList, ...maskList];
+    this.geometryList = [...this.geometryList, ...geometryList];
+    for (let i = 0; i < trackingDataList.length; i++) {
+      this.trackingKeyframeList.push(trackingDataList[i] === null ? null : trackingDataList[i][TRACKING_KEYFRAME]);
+    }
+
+    // feature tensors of all targets are padded to the same count
+    const featureCount = this._getMaxFeatureCount();
+    if (featureCount > this.featureCount) {
+      this.featureCount = featureCount;
+      this._disposeTargets(0);
+      delete this.kernelCaches.computeMatching;
+      this._prebuildTargets(0);
+    } else {
+      this._prebuildTargets(startIndex);
+    }
+  }
+
+  // Release the tensors of a target. Its index stays reserved, so the other target indexes do not change
+  removeTarget(targetIndex) {
+    this.trackingKeyframeList[targetIndex] = null;
+    const lists = [this.featurePointsListT, this.imagePixelsListT, this.imagePropertiesListT, this.imageMaskListT];
+    for (const list of lists) {
+      list[targetIndex].dispose();
+      list[targetIndex] = null;
+    }
+  }
+
+  // Release the tensors of all targets
+  dispose() {
+    this._disposeTargets(0);
+  }
+
   setQuality(quality) {
     const oldQuality = this.quality;
     this.quality = Math.max(0.3, Math.min(1.0, quality));
@@ -80,6 +126,7 @@ class Tracker {
   dummyRun(inputT) {
     let transform = [[1,1,1,1], [1,1,1,1], [1,1,1,1]];
     for (let targetIndex = 0; targetIndex < this.featurePointsListT.length; targetIndex++) {
+      if (this.featurePointsListT[targetIndex] === null) continue;
       this.track(inputT, transform, targetIndex);
     }
   }
@@ -120,6 +167,7 @@ class Tracker {
       this.featurePointsListT[targetIndex],
       this.imagePixelsListT[targetIndex],
       this.imagePropertiesListT[targetIndex],
+      this.imageMaskListT[targetIndex],
       projectedImageTClone
     );
     matchingPointsT = matchingResult.matchingPointsT;
@@ -136,6 +184,8 @@ class Tracker {
     arraySyncTime = performance.now() - arraySyncStart;
 
     const trackingFrame = this.trackingKeyframeList[targetIndex];
+    const geometry = this.geometryList[targetIndex];
+    const markerWidth = this.markerDimensions[targetIndex][0];
     const worldCoords = [];
     const screenCoords = [];
     const goodTrack = [];
@@ -143,9 +193,10 @@ class Tracker {
     for (let i = 0; i < matchingPoints.length; i++) {
       if (sim[i] > AR2_SIM_THRESH && i < trackingFrame.points.length) {
 	goodTrack.push(i);
-	const point = computeScreenCoordinate(modelViewProjectionTransform, matchingPoints[i][0], matchingPoints[i][1]);
+	const matchedPoint = toSurfacePoint(geometry, markerWidth, matchingPoints[i][0], matchingPoints[i][1]);
+	const point = computeScreenCoordinate(modelViewProjectionTransform, matchedPoint.x, matchedPoint.y, matchedPoint.z);
 	screenCoords.push(point);
-	worldCoords.push({x: trackingFrame.points[i].x / trackingFrame.scale, y: trackingFrame.points[i].y / trackingFrame.scale, z: 0});
+	worldCoords.push(toSurfacePoint(geometry, markerWidth, trackingFrame.points[i].x / trackingFrame.scale, trackingFrame.points[i].y / trackingFrame.scale));
       }
     }
 
@@ -178,7 +229,7 @@ class Tracker {
     return {worldCoords, screenCoords, debugExtra};
   }
 
-  _computeMatching(featurePointsT, imagePixelsT, imagePropertiesT, projectedImageT) {
+  _computeMatching(featurePointsT, imagePixelsT, imagePropertiesT, imageMaskT, projectedImageT) {
     const templateOneSize = this.templateSize;
     const templateSize = templateOneSize * 2 + 1;
     const templateGap = AR2_DEFAULT_TS_GAP;
@@ -191,7 +242,7 @@ class Tracker {
 
     if (!this.kernelCaches.computeMatching) {
       const kernel1 = {
-	variableNames: ['features', 'markerPixels', 'markerProperties', 'targetPixels'],
+	variableNames: ['features', 'markerPixels', 'markerProperties', 'markerMask', 'targetPixels'],
 	outputShape: [featureCount, searchSize * searchSize],
 	userCode: `
 	  void main() {
@@ -222,6 +273,7 @@ class Tracker {
 	      float sumTemplate = 0.;
 	      float sumTemplateSquare = 0.;
 	      float sumPointTemplate = 0.;
+	      float count = 0.;
 
 	      for (int templateOffsetY = 0; templateOffsetY < ${templateSize}; templateOffsetY++) {
 		for (int templateOffsetX = 0; templateOffsetX < ${templateSize}; templateOffsetX++) {
@@ -232,6 +284,10 @@ class Tracker {
 		  int sy2 = sy + templateOffsetY - ${templateOneSize};
 
 		  int markerPixelIndex = fy2 * markerWidth + fx2;
+		  // pixel pairs outside the target mask are skipped
+		  if (getMarkerMask(markerPixelIndex) < 0.5 || getMarkerMask(sy2 * markerWidth + sx2) < 0.5) {
+		    continue;
+		  }
 		  float markerPixel = getMarkerPixels(markerPixelIndex);
 		  float targetPixel = getTargetPixels(sy2, sx2);
 
@@ -240,12 +296,16 @@ class Tracker {
 		  sumPoint += targetPixel;
 		  sumPointSquare += targetPixel * targetPixel;
 		  sumPointTemplate += targetPixel * markerPixel;
+		  count += 1.;
 		}
 	      }
 
 	      // Normalized cross-correlation
 	      // !important divide first avoid overflow (e.g. sumPoint / count * sumPoint)
-	      float count = float(${templateSize} * ${templateSize});
+	      if (count < float(${templateSize} * ${templateSize}) * ${AR2_MIN_MASKED_TEMPLATE_RATIO}) {
+		setOutput(-5.);
+		return;
+	      }
 	      float pointVariance = sqrt(sumPointSquare - sumPoint / count * sumPoint);
 	      float templateVariance = sqrt(sumTemplateSquare - sumTemplate / count * sumTemplate);
 
@@ -308,7 +368,7 @@ class Tracker {
 
     return tf.tidy(() => {
       const programs = this.kernelCaches.computeMatching;
-      const allSims = this._compileAndRun(programs[0], [featurePointsT, imagePixelsT, imagePropertiesT, projectedImageT]);
+      const allSims = this._compileAndRun(programs[0], [featurePointsT, imagePixelsT, imagePropertiesT, imageMaskT, projectedImageT]);
       const maxIndex = allSims.argMax(1);
       const matchingPointsT = this._compileAndRun(programs[1], [featurePointsT, imagePropertiesT, maxIndex]);
       const simT = this._compileAndRun(programs[2], [allSims, maxIndex]);
@@ -320,13 +380,24 @@ class Tracker {
     const markerWidth = this.trackingKeyframeList[targetIndex].width;
     const markerHeight = this.trackingKeyframeList[targetIndex].height;
     const markerScale = this.trackingKeyframeList[targetIndex].scale;
-    const kernelKey = markerWidth + "-" + markerHeight + "-" + markerScale;
+    const geometry = this.geometryList[targetIndex];
+    const surfaceKey = geometry.type === 'cylinder' ? "-" + geometry.radius + "-" + this.markerDimensions[targetIndex][0] : "";
+    const kernelKey = markerWidth + "-" + markerHeight + "-" + markerScale + surfaceKey;
 
     if (!this.kernelCaches.computeProjection) {
       this.kernelCaches.computeProjection = {};
     }
 
     if (!this.kernelCaches.computeProjection[kernelKey]) {
+      // marker pixel (x, y) to a point (x, y, z) on the target surface
+      const halfWidth = this.markerDimensions[targetIndex][0] / 2;
+      const surfaceCode = geometry.type === 'cylinder' ? `
+	      float angle = (x - float(${halfWidth})) / float(${geometry.radius});
+	      float z = float(${geometry.radius}) * (1. - cos(angle));
+	      x = float(${halfWidth}) + float(${geometry.radius}) * sin(angle);
+      ` : `
+	      float z = 0.;
+      `;
       const kernel = {
 	variableNames: ['M', 'pixel'],
 	outputShape: [markerHeight, markerWidth],
@@ -336,21 +407,25 @@ class Tracker {
 
 	      float m00 = getM(0, 0) * ${PRECISION_ADJUST}.;
 	      float m01 = getM(0, 1) * ${PRECISION_ADJUST}.;
+	      float m02 = getM(0, 2) * ${PRECISION_ADJUST}.;
 	      float m03 = getM(0, 3) * ${PRECISION_ADJUST}.;
 	      float m10 = getM(1, 0) * ${PRECISION_ADJUST}.;
 	      float m11 = getM(1, 1) * ${PRECISION_ADJUST}.;
+	      float m12 = getM(1, 2) * ${PRECISION_ADJUST}.;
 	      float m13 = getM(1, 3) * ${PRECISION_ADJUST}.;
 	      float m20 = getM(2, 0) * ${PRECISION_ADJUST}.;
 	      float m21 = getM(2, 1) * ${PRECISION_ADJUST}.;
+	      float m22 = getM(2, 2) * ${PRECISION_ADJUST}.;
 	      float m23 = getM(2, 3) * ${PRECISION_ADJUST}.;
 
 	      float y = float(coords[0]) / float(${markerScale});
 	      float x = float(coords[1]) / float(${markerScale});
-	      float uz = (x * m20) + (y * m21) + m23;
+	      ${surfaceCode}
+	      float uz = (x * m20) + (y * m21) + (z * m22) + m23;
 	      float oneOverUz = 1. / uz;
 
-	      float ux = (x * m00) + (y * m01) + m03;
-	      float uy = (x * m10) + (y * m11) + m13;
+	      float ux = (x * m00) + (y * m01) + (z * m02) + m03;
+	      float uy = (x * m10) + (y * m11) + (z * m12) + m13;
 
 	      ux = floor(ux * oneOverUz + 0.5);
 	      uy = floor(uy * oneOverUz + 0.5);
@@ -383,7 +458,42 @@ class Tracker {
     });
   }
 
-  _prebuild(trackingFrame, maxCount) {
+  _getMaxFeatureCount() {
+    let maxCount = 0;
+    for (let i = 0; i < this.trackingKeyframeList.length; i++) {
+      if (this.trackingKeyframeList[i] === null) continue;
+      maxCount = Math.max(maxCount, this.trackingKeyframeList[i].points.length);
+    }
+    return maxCount;
+  }
+
+  _prebuildTargets(startIndex) {
+    for (let i = startIndex; i < this.trackingKeyframeList.length; i++) {
+      if (this.trackingKeyframeList[i] === null) {
+        this.featurePointsListT[i] = null;
+        this.imagePixelsListT[i] = null;
+        this.imagePropertiesListT[i] = null;
+        this.imageMaskListT[i] = null;
+        continue;
+      }
+      const {featurePoints, imagePixels, imageProperties, imageMask} = this._prebuild(this.trackingKeyframeList[i], this.featureCount, this.maskList[i]);
+      this.featurePointsListT[i] = featurePoints;
+      this.imagePixelsListT[i] = imagePixels;
+      this.imagePropertiesListT[i] = imageProperties;
+      this.imageMaskListT[i] = imageMask;
+    }
+  }
+
+  _disposeTargets(startIndex) {
+    const lists = [this.featurePointsListT, this.imagePixelsListT, this.imagePropertiesListT, this.imageMaskListT];
+    for (const list of lists) {
+      for (const tensor of list.splice(startIndex)) {
+        if (tensor !== null) tensor.dispose();
+      }
+    }
+  }
+
+  _prebuild(trackingFrame, maxCount, mask) {
     return tf.tidy(() => {
       const scale = trackingFrame.scale;
 
@@ -398,11 +508,16 @@ class Tracker {
       const imagePixels = tf.tensor(trackingFrame.data, [trackingFrame.width * trackingFrame.height]);
       const imageProperties = tf.tensor([trackingFrame.width, trackingFrame.height, trackingFrame.scale], [3]);
       const featurePoints = tf.tensor(p, [p.length, 2], 'float32');
+      const maskData = mask === null
+	? new Float32Array(trackingFrame.width * trackingFrame.height).fill(1)
+	: Float32Array.from(resizeMask(mask, trackingFrame.width, trackingFrame.height).data, (v) => v / 255);
+      const imageMask = tf.tensor(maskData, [trackingFrame.width * trackingFrame.height]);
 
       return {
 	featurePoints,
 	imagePixels,
-	imageProperties
+	imageProperties,
+	imageMask
       }
     });
   }
@@ -0,0 +1,432 @@
+import PipelineWorker from "./pipeline.worker.js?worker&inline";
+import { createFrameSource, isRawFrame } from './frame-source.js';
+import { compileInstantTarget, DEFAULT_MAX_SIZE } from './instant-target.js';
+import {
+  createPhysicalSize,
+  validateUniqueNames,
+  findTargetIndex,
+  resolveTargetIndex,
+  resolveTargetActivation,
+  TARGET_ACTIVATION_METHODS
+} from './target-metadata.js';
+import { createProjectionTransform, createProjectionMatrix } from './math/projection.js';
+import { getRotatedZ90Matrix } from './math/matrix-transform.js';
+import { resolveControllerSettings, CONTROLLER_SETTERS, getControllerConfig } from './config/controller-settings.js';
+import { runFrameLoop } from './core/frame-loop.js';
+import { Logger } from '../libs/logger.js';
+
+// A copy of a frame that can be transferred to the worker: an ImageBitmap, or a raw buffer with its own bytes
+const toTransferableFrame = async (frame) => {
+  if (isRawFrame(frame)) {
+    const data = frame.data.slice();
+    return { frame: { data, width: frame.width, height: frame.height, format: frame.format ?? 'rgba' }, transfer: [data.buffer] };
+  }
+  const bitmap = await createImageBitmap(frame);
+  return { frame: bitmap, transfer: [bitmap] };
+};
+
+/**
+ * A Controller whose whole image-tracking pipeline runs in a worker: input loading, the detector pyramid,
+ * tracker GPU passes (on an OffscreenCanvas webgl context), matching and pose refinement. The main thread
+ * only copies frames to ImageBitmaps, transfers them, and receives onUpdate events and frame results.
+ *
+ * The API follows Controller. Methods that return results from the pipeline return promises here
+ * (addImageTargetsFromBuffer, addTargets, processFrame, estimatePose, dummyRun); target infos, physical
+ * sizes and the configuration are mirrored on the main thread. The worker runs a ControllerBase (see
+ * pipeline.worker.js) and needs OffscreenCanvas with webgl.
+ */
+class WorkerController {
+  constructor({
+    inputWidth,
+    inputHeight,
+    onUpdate = null,
+    onWorkDistributionEnabled = null,
+    ...options
+  }) {
+    this.inputWidth = inputWidth;
+    this.inputHeight = inputHeight;
+    this.onUpdate = onUpdate;
+    this.onWorkDistributionEnabled = onWorkDistributionEnabled;
+    // The settings of Controller, mirrored here
+    Object.assign(this, resolveControllerSettings(options));
+
+    this.logger = new Logger('WorkerController', true, this.debugMode ? 'debug' : 'info');
+    this.logger.info('Initializing worker controller', { inputWidth, inputHeight, maxTrack: this.maxTrack, targetFPS: this.targetFPS });
+
+    this.projectionTransform = createProjectionTransform(inputWidth, inputHeight);
+    this.projectionMatrix = createProjectionMatrix({
+      projectionTransform: this.projectionTransform,
+      width: inputWidth,
+      height: inputHeight
+    });
+
+    this.targetInfos = [];
+    this.disabledIndexes = new Set();
+    this.ready = false;
+    this.processingVideo = false;
+    this.processingFrame = false;
+    this.processingPaused = false;
+    this.frameSource = null;
+    this.ownsFrameSource = false;
+    // Loop frame skipping, see _shouldProcessLoopFrame
+    this.lastFrameTime = 0;
+    this.skipNextFrame = false;
+
+    this.nextMessageId = 0;
+    this.pendingReplies = new Map();
+    this.worker = new PipelineWorker();
+    this.worker.onmessage = (e) => this._onMessage(e.data);
+    this.worker.onerror = (error) => {
+      this.logger.error('Pipeline worker error', { error: error.message });
+    };
+  }
+
+  _onMessage(data) {
+    if (data.type === 'update') {
+      if (this.onUpdate) {
+        this.onUpdate(data.data);
+      }
+      return;
+    }
+    if (data.type === 'workDistributionEnabled') {
+      if (this.onWorkDistributionEnabled) {
+        this.onWorkDistributionEnabled(data.data);
+      }
+      return;
+    }
+    const pending = this.pendingReplies.get(data.id);
+    if (!pending) return;
+    this.pendingReplies.delete(data.id);
+    if (data.error !== undefined) {
+      pending.reject(new Error(data.error));
+    } else {
+      pending.resolve(data.result);
+    }
+  }
+
+  _request(message, transfer = []) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextMessageId++;
+      this.pendingReplies.set(id, { resolve, reject });
+      this.worker.postMessage({ ...message, id }, transfer);
+    });
+  }
+
+  _call(method, args = [], transfer = []) {
+    return this._request({ type: 'call', method, args }, transfer);
+  }
+
+  _requireTargets(method) {
+    if (!this.ready) {
+      throw new Error(`Must call addImageTargets before ${method}`);
+    }
+  }
+
+  async addImageTargets(fileURL) {
+    this.logger.info('Loading image targets from URL', { fileURL });
+    const content = await fetch(fileURL);
+    const buffer = await content.arrayBuffer();
+    return this.addImageTargetsFromBuffer(buffer);
+  }
+
+  /**
+   * Start the pipeline worker with the targets of a .mind file
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise<{dimensions: Array<[number, number]>}>}
+   */
+  async addImageTargetsFromBuffer(buffer) {
+    const { targetInfos } = await this._request({
+      type: 'setup',
+      buffer,
+      options: {
+        inputWidth: this.inputWidth,
+        inputHeight: this.inputHeight,
+        debugMode: this.debugMode,
+        ...getControllerConfig(this)
+      }
+    });
+    this.targetInfos = targetInfos;
+    this.disabledIndexes.clear();
+    this.ready = true;
+    this.logger.info('Image targets loaded in pipeline worker', { count: targetInfos.length });
+    return { dimensions: targetInfos.map(({ width, height }) => [width, height]) };
+  }
+
+  /**
+   * See Controller.addTargets
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise<number[]>}
+   */
+  async addTargets(buffer) {
+    // Without targets yet, the worker is set up with these
+    if (!this.ready) {
+      await this.addImageTargetsFromBuffer(buffer);
+      return this.targetInfos.map((_, i) => i);
+    }
+    const { targetIndexes, targetInfos } = await this._request({ type: 'addTargets', buffer });
+    targetIndexes.forEach((targetIndex, i) => {
+      this.targetInfos[targetIndex] = targetInfos[i];
+    });
+    return targetIndexes;
+  }
+
+  /**
+   * See Controller.addInstantTarget. The target is captured and compiled on the main thread
+   * @returns {Promise<number>}
+   */
+  async addInstantTarget(source, { quad = null, maxSize = DEFAULT_MAX_SIZE, target = {}, progressCallback = null, signal = null } = {}) {
+    const name = target.name ?? null;
+    validateUniqueNames([...this.targetInfos.filter((targetInfo) => targetInfo !== null), { name }]);
+
+    // Loaded on demand, so the main thread only loads tfjs when it compiles
+    const { Compiler } = await import('./compiler.js');
+    const compiler = new Compiler();
+    await compileInstantTarget(compiler, source, { quad, maxSize, target, progressCallback, signal });
+    const [targetIndex] = await this.addTargets(compiler.exportData());
+    return targetIndex;
+  }
+
+  removeTarget(target) {
+    const targetIndex = resolveTargetIndex(this.targetInfos, target);
+    this.targetInfos[targetIndex] = null;
+    this.disabledIndexes.delete(targetIndex);
+    this._callInBackground('removeTarget', [targetIndex]);
+  }
+
+  isTargetEnabled(target) {
+    return !this.disabledIndexes.has(resolveTargetIndex(this.targetInfos, target));
+  }
+
+  getTargetInfo(targetIndex) {
+    const targetInfo = this.targetInfos[targetIndex];
+    if (!targetInfo) {
+      throw new Error(`No target at index ${targetIndex}`);
+    }
+    return targetInfo;
+  }
+
+  getTargetIndex(name) {
+    return findTargetIndex(this.targetInfos, name);
+  }
+
+  // Physical sizes are only used on the main thread, to scale anchors
+  setTargetPhysicalSize(targetIndex, physicalSize) {
+    const targetInfo = this.getTargetInfo(targetIndex);
+    targetInfo.physicalSize = createPhysicalSize(physicalSize, targetInfo);
+  }
+
+  getProjectionMatrix() {
+    return this.projectionMatrix;
+  }
+
+  getRotatedZ90Matrix(m) {
+    return getRotatedZ90Matrix(m);
+  }
+
+  /**
+   * See Controller.estimatePose; the image is copied to the worker
+   * @returns {Promise<Array>}
+   */
+  async estimatePose(image, options = {}) {
+    this._requireTargets('estimatePose');
+    const { frame, transfer } = await toTransferableFrame(image);
+    return this._call('estimatePose', [frame, options], transfer);
+  }
+
+  async dummyRun(input) {
+    this._requireTargets('dummyRun');
+    const { frame, transfer } = await toTransferableFrame(input);
+    await this._call('dummyRun', [frame], transfer);
+  }
+
+  /**
+   * See Controller.processFrame. The frame is copied and transferred to the worker
+   * @param {*} frame - Any frame, see frame-source.js
+   * @param {number} timestamp - In milliseconds
+   * @returns {Promise<Array>} - One result per loaded target
+   */
+  async processFrame(frame, timestamp = performance.now()) {
+    this._requireTargets('processFrame');
+    if (this.processingVideo) {
+      throw new Error('Stop video processing before calling processFrame');
+    }
+    if (this.processingFrame) {
+      throw new Error('processFrame called before the previous frame finished processing');
+    }
+    return this._processFrame(frame, timestamp, false);
+  }
+
+  async _processFrame(frame, timestamp, loop) {
+    this.processingFrame = true;
+    try {
+      const transferable = await toTransferableFrame(frame);
+      const reply = await this._request({ type: 'frame', frame: transferable.frame, timestamp, loop }, transferable.transfer);
+      if (!loop) {
+        return reply;
+      }
+      this.skipNextFrame = reply.skipNextFrame;
+      return reply.results;
+    } finally {
+      this.processingFrame = false;
+    }
+  }
+
+  // As FrameProcessor.shouldProcessFrame, on the main thread so skipped frames are never copied.
+  // Adaptive skipping follows the worker, which reports after each loop frame whether to skip the next
+  _shouldProcessLoopFrame(now) {
+    if (this.processingPaused) {
+      return false;
+    }
+    if (this.skipNextFrame) {
+      this.skipNextFrame = false;
+      return false;
+    }
+    if (this.targetFPS) {
+      if (now - this.lastFrameTime < 1000 / this.targetFPS) {
+        return false;
+      }
+      this.lastFrameTime = now;
+    }
+    return true;
+  }
+
+  _resetFrameTiming() {
+    this.lastFrameTime = 0;
+    this.skipNextFrame = false;
+  }
+
+  /**
+   * See Controller.processVideo. One frame is in the worker at a time; frames arriving meanwhile are dropped
+   * @param {*} input - A frame source, or anything createFrameSource accepts
+   */
+  processVideo(input) {
+    if (this.processingVideo) {
+      this.logger.warn('processVideo called while already processing');
+      return;
+    }
+    this._requireTargets('processVideo');
+
+    const frameSource = createFrameSource(input);
+    this.frameSource = frameSource;
+    this.ownsFrameSource = frameSource !== input;
+    this.processingVideo = true;
+    this._resetFrameTiming();
+    this._request({ type: 'startLoop' }).catch((error) => {
+      this.logger.error('Failed to start processing in worker', { error: error.message });
+    });
+    this.logger.info('Starting video processing in worker', {
+      frameWidth: frameSource.width,
+      frameHeight: frameSource.height,
+      canRequestFrame: frameSource.canRequestFrame
+    });
+
+    // Polled videos are only copied when they have moved on to a new frame
+    runFrameLoop(frameSource, {
+      isCurrent: () => this.processingVideo && this.frameSource === frameSource,
+      shouldProcessFrame: (now) => this._shouldProcessLoopFrame(now),
+      processFrame: (frame, now) => this._processFrame(frame, now, true),
+      onError: (error) => {
+        this.logger.error('Frame processing error', { error: error.message });
+      },
+      newFramesOnly: true
+    });
+  }
+
+  stopProcessVideo() {
+    if (this.processingVideo) {
+      this.logger.info('Stopping video processing');
+    }
+    this.processingVideo = false;
+    if (this.frameSource !== null && this.ownsFrameSource) {
+      this.frameSource.close();
+    }
+    this.frameSource = null;
+    this.ownsFrameSource = false;
+    this.processingPaused = false;
+    if (this.ready) {
+      this._callInBackground('stopProcessVideo');
+    }
+  }
+
+  pauseProcessing() {
+    this.processingPaused = true;
+    if (this.ready) {
+      this._callInBackground('pauseProcessing');
+    }
+  }
+
+  resumeProcessing() {
+    this.processingPaused = false;
+    this._resetFrameTiming();
+    if (this.ready) {
+      this._callInBackground('resumeProcessing');
+    }
+  }
+
+  isProcessingPaused() {
+    return this.processingPaused;
+  }
+
+  setTargetFPS(targetFPS) {
+    this._setSetting('setTargetFPS', targetFPS);
+    this.lastFrameTime = 0;
+  }
+
+  // Mirror a setting of CONTROLLER_SETTERS. Settings made before the worker is set up are passed with the setup
+  _setSetting(method, value) {
+    Object.assign(this, CONTROLLER_SETTERS[method](value));
+    if (this.ready) {
+      this._callInBackground(method, [value]);
+    }
+  }
+
+  // Calls whose result the main thread does not wait for; their arguments were validated here
+  _callInBackground(method, args = []) {
+    this._call(method, args).catch((error) => {
+      this.logger.error('Pipeline worker call failed', { method, error: error.message });
+    });
+  }
+
+  getConfig() {
+    return getControllerConfig(this);
+  }
+
+  dispose() {
+    this.logger.info('Disposing worker controller');
+    this.stopProcessVideo();
+    this.worker.postMessage({ type: 'dispose' });
+    for (const { reject } of this.pendingReplies.values()) {
+      reject(new Error('Worker controller disposed'));
+    }
+    this.pendingReplies.clear();
+  }
+}
+
+// The other setters of Controller only mirror and forward their setting
+for (const method of Object.keys(CONTROLLER_SETTERS)) {
+  if (!Object.hasOwn(WorkerController.prototype, method)) {
+    WorkerController.prototype[method] = function (value) {
+      this._setSetting(method, value);
+    };
+  }
+}
+
+// enableTargets, disableTargets and setActiveTargets mirror the enabled targets and forward the selected indexes
+for (const method of TARGET_ACTIVATION_METHODS) {
+  WorkerController.prototype[method] = function (targets) {
+    const { targetIndexes, enabledStates } = resolveTargetActivation(this.targetInfos, method, targets);
+    for (const [targetIndex, enabled] of enabledStates) {
+      if (enabled) {
+        this.disabledIndexes.delete(targetIndex);
+      } else {
+        this.disabledIndexes.add(targetIndex);
+      }
+    }
+    this._callInBackground(method, [targetIndexes]);
+    return targetIndexes;
+  };
+}
+
+export {
+  WorkerController
+};
@@ -0,0 +1,158 @@
+import { Matcher } from '../matching/matcher.js';
+import { Estimator } from '../estimation/estimator.js';
+import { toSurfacePoint } from '../target-geometry.js';
+import { TargetIndex } from '../matching/target-index.js';
+
+/**
+ * Matching and pose estimation of the controller worker, as a message handler.
+ * Handles 'setup', 'addTargets', 'removeTarget', 'match', 'trackUpdate' and 'dispose' messages from WorkerManager
+ * @param {Function} post - Sends a reply message
+ * @param {Function} close - Called on 'dispose'
+ * @returns {Function} - Handles one message
+ */
+const createMatchingHandler = (post, close) => {
+  let matchingDataList = null;
+  let geometryList = null;
+  let targetWidths = null;
+  let matcher = null;
+  let estimator = null;
+  let matchCandidates = null;
+  let descriptorIndex = null;
+
+  const activeTargetCount = () => matchingDataList.filter((matchingData) => matchingData !== null).length;
+
+  // The index is built once the library holds more targets than are verified per detection
+  const updateTargetIndex = (startIndex) => {
+    if (descriptorIndex !== null) {
+      descriptorIndex.addTargets(matchingDataList.slice(startIndex), startIndex);
+    } else if (activeTargetCount() > matchCandidates) {
+      descriptorIndex = new TargetIndex(matchingDataList);
+    }
+  };
+
+  return (data) => {
+    switch (data.type) {
+      case 'setup': {
+        // Copied as postMessage would: removeTarget clears entries, and in-thread senders keep their list
+        matchingDataList = data.matchingDataList.slice();
+        geometryList = data.geometryList;
+        targetWidths = data.targetWidths;
+        matcher = new Matcher(data.inputWidth, data.inputHeight, data.debugMode);
+        estimator = new Estimator(data.projectionTransform);
+        matchCandidates = data.matchCandidates;
+        descriptorIndex = null;
+        updateTargetIndex(0);
+        break;
+      }
+
+      case 'addTargets': {
+        const startIndex = matchingDataList.length;
+        matchingDataList = matchingDataList.concat(data.matchingDataList);
+        geometryList = geometryList.concat(data.geometryList);
+        targetWidths = targetWidths.concat(data.targetWidths);
+        updateTargetIndex(startIndex);
+        break;
+      }
+
+      case 'removeTarget': {
+        matchingDataList[data.targetIndex] = null;
+        if (descriptorIndex !== null) {
+          descriptorIndex.removeTarget(data.targetIndex);
+        }
+        break;
+      }
+
+      case 'match': {
+        // Large libraries: verify only the candidates ranked highest by the target index
+        const candidateCount = Math.max(matchCandidates, data.maxResults);
+        const interestedTargetIndexes = descriptorIndex !== null && data.targetIndexes.length > candidateCount
+          ? descriptorIndex.rank(data.featurePoints, data.targetIndexes, candidateCount)
+          : data.targetIndexes;
+
+        // Every verified target, up to maxResults, in candidate order
+        const matches = [];
+        let matchedDebugExtra = null;
+
+        for (let i = 0; i < interestedTargetIndexes.length && matches.length < data.maxResults; i++) {
+          const matchingIndex = interestedTargetIndexes[i];
+          if (matchingDataList[matchingIndex] === null) continue;
+
+          const { keyframeIndex, screenCoords, worldCoords: flatWorldCoords, debugExtra } = matcher.matchDetection(matchingDataList[matchingIndex], data.featurePoints);
+          matchedDebugExtra = debugExtra;
+
+          if (keyframeIndex !== -1) {
+            const geometry = geometryList[matchingIndex];
+            const worldCoords = flatWorldCoords.map((p) => toSurfacePoint(geometry, targetWidths[matchingIndex], p.x, p.y));
+            let modelViewTransform = estimator.estimate({ screenCoords, worldCoords });
+
+            // Cylindrical targets: refine the homography pose against the curved surface points
+            if (modelViewTransform && geometry.type === 'cylinder') {
+              modelViewTransform = estimator.refineEstimate({ initialModelViewTransform: modelViewTransform, worldCoords, screenCoords }) ?? modelViewTransform;
+            }
+
+            if (modelViewTransform) {
+              matches.push({ targetIndex: matchingIndex, modelViewTransform });
+            }
+          }
+        }
+
+        post({
+          type: 'matchDone',
+          matches,
+          debugExtra: matchedDebugExtra
+        });
+        break;
+      }
+
+      case 'trackUpdate': {
+        const { modelViewTransform, worldCoords, screenCoords } = data;
+        const finalModelViewTransform = estimator.refineEstimate({ initialModelViewTransform: modelViewTransform, worldCoords, screenCoords });
+        post({
+          type: 'trackUpdateDone',
+          modelViewTransform: finalModelViewTransform,
+        });
+        break;
+      }
+
+      case 'dispose':
+        close();
+        break;
+
+      default:
+        throw new Error(`Invalid message type '${data.type}'`);
+    }
+  };
+};
+
+/**
+ * Runs the matching handler on the calling thread behind the Worker interface WorkerManager uses.
+ * Messages are handled asynchronously, as a worker would
+ * @returns {{postMessage: Function, terminate: Function, onmessage: Function|null, onerror: Function|null}}
+ */
+const createInThreadMatchingWorker = () => {
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    postMessage: (data) => {
+      Promise.resolve().then(() => {
+        handleMessage(data);
+      }).catch((error) => {
+        if (worker.onerror) {
+          worker.onerror(error);
+        }
+      });
+    },
+    terminate: () => {}
+  };
+  const handleMessage = createMatchingHandler((message) => {
+    if (worker.onmessage) {
+      worker.onmessage({ data: message });
+    }
+  }, () => {});
+  return worker;
+};
+
+export {
+  createMatchingHandler,
+  createInThreadMatchingWorker
+};
@@ -0,0 +1,18 @@
+import {CONTROLLER_SETTERS} from '../config/controller-settings.js';
+import {TARGET_ACTIVATION_METHODS} from '../target-metadata.js';
+
+// Controller methods WorkerController calls in the pipeline worker
+const PIPELINE_METHODS = [
+  ...Object.keys(CONTROLLER_SETTERS),
+  ...TARGET_ACTIVATION_METHODS,
+  'removeTarget',
+  'pauseProcessing',
+  'resumeProcessing',
+  'stopProcessVideo',
+  'estimatePose',
+  'dummyRun'
+];
+
+export {
+  PIPELINE_METHODS
+};
@@ -1,9 +1,9 @@
-import ControllerWorker from "../controller.worker.js?worker&inline";
 import { Logger } from "../../libs/logger.js";
 
+// worker: the controller worker, or anything with its interface such as createInThreadMatchingWorker()
 class WorkerManager {
-  constructor() {
-    this.worker = new ControllerWorker();
+  constructor(worker) {
+    this.worker = worker;
     this.matchCallback = null;
     this.trackUpdateCallback = null;
     this.logger = new Logger('WorkerManager', true, 'info');
@@ -36,19 +36,38 @@ class WorkerManager {
     });
   }
 
-  match(featurePoints, targetIndexes) {
+  // Append matching data of new targets; config: {matchingDataList, geometryList, targetWidths}
+  addTargets(config) {
+    this.logger.info('Adding targets to worker', {
+      matchingDataListCount: config.matchingDataList.length
+    });
+    this.worker.postMessage({
+      type: 'addTargets',
+      ...config
+    });
+  }
+
+  removeTarget(targetIndex) {
+    this.worker.postMessage({
+      type: 'removeTarget',
+      targetIndex
+    });
+  }
+
+  // Resolves with {matches: [{targetIndex, modelViewTransform}], debugExtra}: at most maxResults verified targets
+  match(featurePoints, targetIndexes, maxResults = 1) {
     return new Promise((resolve) => {
       this.matchCallback = (data) => {
         resolve({
-          targetIndex: data.targetIndex,
-          modelViewTransform: data.modelViewTransform,
+          matches: data.matches,
           debugExtra: data.debugExtra
         });
       };
       this.worker.postMessage({
         type: 'match',
         featurePoints,
-        targetIndexes
+        targetIndexes,
+        maxResults
       });
     });
   }
@@ -0,0 +1,84 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import * as msgpack from '@msgpack/msgpack';
+import { TestCompiler, compileTestTargets } from './helpers/test-compiler.js';
+import { createTestImage } from './helpers/images.js';
+import { encodeCompact, isCompact, decodeContent, decodeContentStream } from '../src/image-target/format/compact.js';
+
+let plainBuffer;
+let compactBuffer;
+
+before(async () => {
+  const { compiler } = await compileTestTargets([createTestImage(128, 128, 4), createTestImage(112, 128, 5)], {
+    targets: [{ name: 'a', mask: { polygons: [[[0, 0], [100, 0], [0, 100]]] } }, { name: 'b' }],
+  });
+  plainBuffer = compiler.exportData();
+  compactBuffer = compiler.exportData({ compact: true });
+});
+
+const assertClose = (actual, expected, tolerance = 1e-3) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+};
+
+test('compact files are smaller and detected as compact', () => {
+  assert.equal(isCompact(plainBuffer), false);
+  assert.equal(isCompact(compactBuffer), true);
+  assert.ok(compactBuffer.byteLength < plainBuffer.byteLength);
+});
+
+test('compact decoding restores the plain content', () => {
+  const plain = msgpack.decode(plainBuffer);
+  const compact = decodeContent(compactBuffer);
+
+  assert.equal(compact.v, plain.v);
+  assert.equal(compact.dataList.length, plain.dataList.length);
+  compact.dataList.forEach((target, i) => {
+    const expected = plain.dataList[i];
+    assert.deepEqual(target.metadata, expected.metadata);
+    assert.deepEqual(target.targetImage, expected.targetImage);
+    assert.deepEqual(Array.from(target.thumbnail.data), Array.from(expected.thumbnail.data));
+    assert.deepEqual(target.mask === null ? null : Array.from(target.mask.data), expected.mask === null ? null : Array.from(expected.mask.data));
+
+    target.trackingData.forEach((keyframe, k) => {
+      assert.deepEqual(Array.from(keyframe.data), Array.from(expected.trackingData[k].data));
+      assert.deepEqual(keyframe.points, expected.trackingData[k].points.map(({ x, y }) => ({ x, y })));
+    });
+    target.matchingData.forEach((keyframe, k) => {
+      const expectedKeyframe = expected.matchingData[k];
+      assert.deepEqual(keyframe.maximaPointsCluster, expectedKeyframe.maximaPointsCluster);
+      keyframe.maximaPoints.forEach((point, p) => {
+        const expectedPoint = expectedKeyframe.maximaPoints[p];
+        assert.deepEqual(point.descriptors, expectedPoint.descriptors);
+        assert.equal(point.scale, expectedPoint.scale);
+        assertClose(point.x, expectedPoint.x);
+        assertClose(point.y, expectedPoint.y);
+        assertClose(point.angle, expectedPoint.angle);
+      });
+    });
+  });
+});
+
+test('compact and plain files import to the same targets', () => {
+  const fromPlain = new TestCompiler().importData(plainBuffer);
+  const fromCompact = new TestCompiler().importData(compactBuffer);
+  assert.deepEqual(fromCompact.map(({ metadata }) => metadata.name), ['a', 'b']);
+  assert.deepEqual(fromCompact.map(({ matchingData }) => matchingData.length), fromPlain.map(({ matchingData }) => matchingData.length));
+});
+
+test('decodeContentStream decodes targets as their bytes arrive', async () => {
+  async function* chunks() {
+    for (let offset = 0; offset < compactBuffer.byteLength; offset += 1000) {
+      yield compactBuffer.subarray(offset, offset + 1000);
+    }
+  }
+  const progress = [];
+  const content = await decodeContentStream(chunks(), (targetIndex, targetCount) => progress.push([targetIndex, targetCount]));
+  assert.deepEqual(progress, [[0, 2], [1, 2]]);
+  assert.deepEqual(content, decodeContent(compactBuffer));
+});
+
+test('truncated compact files are rejected', () => {
+  const content = decodeContent(compactBuffer);
+  const truncated = encodeCompact(content).subarray(0, msgpack.encode({ v: content.v, encoding: 'compact', targetCount: 2 }).byteLength);
+  assert.throws(() => decodeContent(truncated), /truncated: expected 2 targets, got 0/);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TestCompiler } from './helpers/test-compiler.js';
+import { createTestImage } from './helpers/images.js';
+import { CompileAbortError } from '../src/image-target/compile-abort.js';
+
+const images = [createTestImage(128, 128, 6), createTestImage(128, 128, 7)];
+
+const isAbortError = (reason) => (error) => {
+  assert.ok(error instanceof CompileAbortError);
+  assert.equal(error.reason, reason);
+  return true;
+};
+
+test('an already aborted signal rejects before any work', async () => {
+  const compiler = new TestCompiler();
+  const controller = new AbortController();
+  controller.abort('closed');
+  const progress = [];
+
+  await assert.rejects(compiler.compileImageTargets(images, (event) => progress.push(event), { signal: controller.signal }), isAbortError('closed'));
+  assert.deepEqual(progress, []);
+});
+
+test('aborting during feature extraction rejects without finishing the compile', async () => {
+  const compiler = new TestCompiler();
+  const controller = new AbortController();
+  const stages = [];
+
+  await assert.rejects(compiler.compileImageTargets(images, ({ stage }) => {
+    stages.push(stage);
+    controller.abort('cancelled');
+  }, { signal: controller.signal }), isAbortError('cancelled'));
+  assert.ok(!stages.includes('tracking'));
+  assert.ok(!stages.includes('done'));
+});
+
+test('aborting a pooled compile terminates its workers and rejects', async () => {
+  const compiler = new TestCompiler();
+  const createCompileWorker = compiler.createCompileWorker.bind(compiler);
+  let terminated = 0;
+  compiler.createCompileWorker = () => {
+    const worker = createCompileWorker();
+    const terminate = worker.terminate;
+    worker.terminate = () => {
+      terminated += 1;
+      return terminate();
+    };
+    return worker;
+  };
+  const controller = new AbortController();
+
+  await assert.rejects(compiler.compileImageTargets(images, () => {
+    controller.abort('cancelled');
+  }, { workers: 2, signal: controller.signal }), isAbortError('cancelled'));
+  assert.equal(terminated, 2);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { compileTestTargets } from './helpers/test-compiler.js';
+import { createTestImage } from './helpers/images.js';
+import { createCacheKey, MemoryTargetCache } from '../src/image-target/compile-cache.js';
+import { FileTargetCache } from '../src/image-target/file-target-cache.js';
+
+const greyImage = (values, width) => ({ data: Uint8Array.from(values), width, height: values.length / width, mask: null });
+
+test('cache keys depend on the size, the pixels and the mask', () => {
+  const image = greyImage([1, 2, 3, 4], 2);
+  assert.equal(createCacheKey(image), createCacheKey(greyImage([1, 2, 3, 4], 2)));
+  assert.notEqual(createCacheKey(image), createCacheKey(greyImage([1, 2, 3, 5], 2)));
+  assert.notEqual(createCacheKey(image), createCacheKey(greyImage([1, 2, 3, 4], 4)));
+  assert.notEqual(createCacheKey(image), createCacheKey({ ...image, mask: { data: Uint8Array.of(255, 0, 255, 255), width: 2, height: 2 } }));
+  assert.match(createCacheKey(image), /^v1-2x2-[0-9a-f]{16}$/);
+});
+
+test('MemoryTargetCache stores, deletes and clears entries', async () => {
+  const cache = new MemoryTargetCache();
+  assert.equal(await cache.get('a'), null);
+  await cache.set('a', { matchingData: [1], trackingData: [2] });
+  await cache.set('b', { matchingData: [3], trackingData: [4] });
+  assert.deepEqual(await cache.get('a'), { matchingData: [1], trackingData: [2] });
+  await cache.delete('a');
+  assert.equal(await cache.get('a'), null);
+  await cache.clear();
+  assert.equal(await cache.get('b'), null);
+});
+
+test('FileTargetCache keeps entries on disk across instances', async (t) => {
+  const directory = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mindar-cache-')), 'cache');
+  t.after(() => fs.rmSync(path.dirname(directory), { recursive: true, force: true }));
+
+  assert.throws(() => new FileTargetCache(''), /requires a cache directory/);
+  const cache = new FileTargetCache(directory);
+  assert.equal(await cache.get('key'), null);
+  await cache.set('key', { matchingData: [{ scale: 1 }], trackingData: [{ points: [] }], extra: 'dropped' });
+  assert.deepEqual(await new FileTargetCache(directory).get('key'), { matchingData: [{ scale: 1 }], trackingData: [{ points: [] }] });
+  await cache.delete('key');
+  assert.equal(await cache.get('key'), null);
+  await cache.clear();
+  assert.equal(fs.existsSync(directory), false);
+});
+
+test('compileImageTargets reuses cached features of unchanged images', async () => {
+  const cache = new MemoryTargetCache();
+  const images = [createTestImage(128, 128, 10), createTestImage(128, 128, 11)];
+  const first = await compileTestTargets(images, { cache });
+  assert.deepEqual(first.compiler.cacheStats, { hits: 0, misses: 2 });
+  assert.equal(cache.entries.size, 2);
+
+  const second = await compileTestTargets([images[1], createTestImage(128, 128, 12)], { cache });
+  assert.deepEqual(second.compiler.cacheStats, { hits: 1, misses: 1 });
+  assert.deepEqual(second.dataList[0].matchingData, first.dataList[1].matchingData);
+  assert.deepEqual(second.dataList[0].trackingData, first.dataList[1].trackingData);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { parseArgs, collectImagePaths, sortImagePaths, buildTargetKeys, buildTargetOptions } from '../bin/compile-cli.js';
+
+const createTempDir = (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mindar-cli-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return directory;
+};
+
+test('parseArgs applies defaults and collects inputs', () => {
+  const { options, inputs } = parseArgs(['a.png', 'images']);
+  assert.deepEqual(inputs, ['a.png', 'images']);
+  assert.equal(options.output, 'targets.mind');
+  assert.equal(options.sort, 'input');
+  assert.equal(options.workers, null);
+  assert.equal(options.quiet, false);
+});
+
+test('parseArgs reads long options, aliases and flags', () => {
+  const { options, inputs } = parseArgs(['-o', 'out.mind', '--sort', 'name', '-w', '3', '-q', 'a.png']);
+  assert.equal(options.output, 'out.mind');
+  assert.equal(options.sort, 'name');
+  assert.equal(options.workers, 3);
+  assert.equal(options.quiet, true);
+  assert.deepEqual(inputs, ['a.png']);
+});
+
+test('parseArgs rejects unknown options, missing values and invalid values', () => {
+  assert.throws(() => parseArgs(['--colour']), /Unknown option '--colour'/);
+  assert.throws(() => parseArgs(['a.png', '-o']), /requires a value/);
+  assert.throws(() => parseArgs(['--sort', 'size']), /Invalid sort mode 'size'/);
+  assert.throws(() => parseArgs(['--workers', '0']), /Invalid worker count '0'/);
+  assert.throws(() => parseArgs(['--workers', '1.5']), /Invalid worker count/);
+});
+
+test('collectImagePaths expands directories to sorted image files and keeps argument order', (t) => {
+  const directory = createTempDir(t);
+  for (const file of ['b.png', 'a.JPG', 'notes.txt']) {
+    fs.writeFileSync(path.join(directory, file), '');
+  }
+  const single = path.join(directory, 'b.png');
+  assert.deepEqual(collectImagePaths([single, directory]), [
+    single,
+    path.join(directory, 'a.JPG'),
+    path.join(directory, 'b.png'),
+  ]);
+  assert.throws(() => collectImagePaths([path.join(directory, 'notes.txt')]), /not a supported image file/);
+  assert.throws(() => collectImagePaths([path.join(directory, 'missing.png')]), /does not exist/);
+});
+
+test('sortImagePaths orders by file name or modification time', (t) => {
+  const directory = createTempDir(t);
+  const older = path.join(directory, 'z.png');
+  const newer = path.join(directory, 'a.png');
+  fs.writeFileSync(older, '');
+  fs.writeFileSync(newer, '');
+  fs.utimesSync(older, new Date(1000), new Date(1000));
+  fs.utimesSync(newer, new Date(2000), new Date(2000));
+
+  assert.deepEqual(sortImagePaths([older, newer], 'input'), [older, newer]);
+  assert.deepEqual(sortImagePaths([older, newer], 'name'), [newer, older]);
+  assert.deepEqual(sortImagePaths([newer, older], 'mtime'), [older, newer]);
+});
+
+test('buildTargetKeys names targets after their file unless another input shares the file name', () => {
+  const keys = buildTargetKeys(['shop/front/logo.png', 'shop/back/logo.png', 'shop/front/poster.jpg']);
+  assert.deepEqual(keys, [
+    { key: 'front/logo.png', fileName: null, label: 'front/logo' },
+    { key: 'back/logo.png', fileName: null, label: 'back/logo' },
+    { key: 'front/poster.jpg', fileName: 'poster.jpg', label: 'poster' },
+  ]);
+});
+
+test('buildTargetOptions applies metadata keyed by file name or by path', (t) => {
+  const directory = createTempDir(t);
+  const metadataPath = path.join(directory, 'metadata.json');
+  fs.writeFileSync(metadataPath, JSON.stringify({
+    'poster.jpg': { name: 'Poster', tags: ['wall'] },
+    'back/logo.png': { name: 'Back logo' },
+  }));
+  const keys = buildTargetKeys(['shop/front/logo.png', 'shop/back/logo.png', 'shop/front/poster.jpg']);
+
+  const targets = buildTargetOptions(keys, metadataPath, true);
+  assert.deepEqual(targets, [
+    { name: 'front/logo', mask: 'alpha' },
+    { name: 'Back logo', mask: 'alpha' },
+    { name: 'Poster', mask: 'alpha', tags: ['wall'] },
+  ]);
+  assert.deepEqual(buildTargetOptions(keys, null, false).map(({ mask }) => mask), [null, null, null]);
+});
+
+test('buildTargetOptions rejects a file name key shared by several images', (t) => {
+  const directory = createTempDir(t);
+  const metadataPath = path.join(directory, 'metadata.json');
+  fs.writeFileSync(metadataPath, JSON.stringify({ 'logo.png': { name: 'Logo' } }));
+  const keys = buildTargetKeys(['shop/front/logo.png', 'shop/back/logo.png']);
+
+  assert.throws(() => buildTargetOptions(keys, metadataPath, false), /matches several images; key their metadata by path instead: 'front\/logo.png', 'back\/logo.png'/);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileTestTargets } from './helpers/test-compiler.js';
+import { createTestImage } from './helpers/images.js';
+import { CompileWorkerPool } from '../src/image-target/compile-worker-pool.js';
+
+const images = [createTestImage(128, 128, 3), createTestImage(96, 128, 4), createTestImage(128, 112, 5)];
+
+// A worker adapter that answers each compileTarget message with reply(message)
+const createFakeWorker = (reply, log) => () => {
+  let handler = null;
+  return {
+    postMessage: (message) => {
+      log.push(message);
+      setTimeout(() => {
+        for (const answer of reply(message)) handler(answer);
+      });
+    },
+    onMessage: (callback) => {
+      handler = callback;
+    },
+    onError: () => {},
+    terminate: () => {},
+  };
+};
+
+test('compiling with 1 or 2 workers exports the same data as compiling on the main thread', async () => {
+  const { compiler: serial } = await compileTestTargets(images);
+  const { compiler: oneWorker } = await compileTestTargets(images, { workers: 1 });
+  const { compiler: twoWorkers } = await compileTestTargets(images, { workers: 2 });
+
+  const expected = Buffer.from(serial.exportData());
+  assert.deepEqual(Buffer.from(oneWorker.exportData()), expected);
+  assert.deepEqual(Buffer.from(twoWorkers.exportData()), expected);
+});
+
+test('the pool returns results in input order and forwards its backend to every job', async () => {
+  const log = [];
+  const pool = new CompileWorkerPool(createFakeWorker(({ index }) => [
+    { type: 'progress', index, stage: 'matching', percent: 50 },
+    { type: 'compileDone', index, matchingData: [index], trackingData: [] },
+  ], log), 2, 'cpu');
+  const progress = [];
+
+  const results = await pool.run(['a', 'b', 'c'], (event) => progress.push(event));
+
+  assert.deepEqual(results.map(({ matchingData }) => matchingData), [[0], [1], [2]]);
+  assert.deepEqual(log.map(({ index, backend }) => [index, backend]), [[0, 'cpu'], [1, 'cpu'], [2, 'cpu']]);
+  assert.deepEqual(progress[0], { stage: 'matching', targetIndex: 0, percent: 50 / 3, targetPercent: 50 });
+  assert.equal(progress.at(-1).percent, 100);
+});
+
+test('the pool rejects when a worker reports an error', async () => {
+  const pool = new CompileWorkerPool(createFakeWorker(({ index }) => [
+    { type: 'error', index, message: "tfjs backend 'webgl' is not available in compile workers" },
+  ], []), 1, 'webgl');
+
+  await assert.rejects(pool.run(['a'], () => {}), /Failed to compile target 0: tfjs backend 'webgl' is not available/);
+  assert.throws(() => new CompileWorkerPool(() => null, 0, 'cpu'), /positive integer/);
+});
@@ -0,0 +1,48 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { TestCompiler, compileTestTargets } from './helpers/test-compiler.js';
+import { createTestImage } from './helpers/images.js';
+import { CURRENT_VERSION } from '../src/image-target/format/migration.js';
+
+const images = [createTestImage(128, 128, 1), createTestImage(128, 96, 2)];
+let buffer;
+
+before(async () => {
+  const { compiler } = await compileTestTargets(images, {
+    targets: [
+      { name: 'poster', physicalSize: { width: 20, unit: 'cm' }, tags: ['wall'], extra: { sku: 12 } },
+      {},
+    ],
+  });
+  buffer = compiler.exportData();
+});
+
+test('exported targets keep their metadata through importData', () => {
+  const compiler = new TestCompiler();
+  const dataList = compiler.importData(buffer);
+
+  assert.equal(compiler.importedVersion, CURRENT_VERSION);
+  assert.deepEqual(compiler.importMigrationSteps, []);
+  assert.equal(dataList.length, 2);
+  assert.deepEqual(dataList[0].metadata, {
+    name: 'poster',
+    physicalSize: { width: 20, height: 20, unit: 'cm' },
+    tags: ['wall'],
+    extra: { sku: 12 },
+  });
+  assert.deepEqual(dataList[1].metadata, { name: null, physicalSize: null, tags: [], extra: null });
+  assert.deepEqual(dataList[1].targetImage, { width: 128, height: 96 });
+  assert.ok(dataList[0].thumbnail.width <= 128 && dataList[0].thumbnail.height <= 128);
+});
+
+test('compileImageTargets rejects duplicate names and a wrong number of target options', async () => {
+  const compiler = new TestCompiler();
+  await assert.rejects(
+    compiler.compileImageTargets(images, () => {}, { targets: [{ name: 'a' }, { name: 'a' }] }),
+    /Duplicate target name 'a'/
+  );
+  await assert.rejects(
+    compiler.compileImageTargets(images, () => {}, { targets: [{}] }),
+    /Expected 2 target options, got 1/
+  );
+});
@@ -0,0 +1,35 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileTestTargets } from './helpers/test-compiler.js';
+import { createTestImage } from './helpers/images.js';
+import { analyzeConfusion } from '../src/image-target/analysis/confusion.js';
+
+let dataList;
+
+before(async () => {
+  // Targets 0 and 2 are the same image
+  ({ dataList } = await compileTestTargets([createTestImage(128, 128, 8), createTestImage(128, 128, 9), createTestImage(128, 128, 8)], {
+    targets: [{ name: 'original' }, { name: 'other' }, { name: 'copy' }],
+  }));
+});
+
+test('identical targets are a high confusion risk and distinct targets are not listed', async () => {
+  const progress = [];
+  const { pairs, targets } = await analyzeConfusion(dataList, { progressCallback: (percent) => progress.push(percent) });
+
+  assert.equal(pairs.length, 1);
+  assert.deepEqual(pairs[0].targets, [0, 2]);
+  assert.deepEqual(pairs[0].names, ['original', 'copy']);
+  assert.equal(pairs[0].risk, 'high');
+  assert.ok(pairs[0].inliers > 0);
+  assert.deepEqual(targets.map(({ confusedWith }) => confusedWith.map(({ index }) => index)), [[2], [], [0]]);
+  assert.equal(progress.at(-1), 100);
+  assert.equal(progress.length, 3);
+});
+
+test('includeAll lists every pair, riskiest first', async () => {
+  const { pairs } = await analyzeConfusion(dataList, { includeAll: true });
+  assert.equal(pairs.length, 3);
+  assert.equal(pairs[0].risk, 'high');
+  assert.deepEqual(pairs.slice(1).map(({ risk }) => risk), ['none', 'none']);
+});
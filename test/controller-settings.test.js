@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveControllerSettings, CONTROLLER_SETTERS, getControllerConfig } from '../src/image-target/config/controller-settings.js';
+import { DEFAULT_MATCH_CANDIDATES, DEFAULT_DETECTION_STRATEGY, DEFAULT_MAX_TRACK } from '../src/image-target/config/defaults.js';
+import { PIPELINE_METHODS } from '../src/image-target/workers/pipeline-methods.js';
+import { ControllerBase } from '../src/image-target/controller-base.js';
+
+test('resolveControllerSettings applies defaults and keeps given settings', () => {
+  const settings = resolveControllerSettings({ maxTrack: 3, targetFPS: 24, detectionStrategy: { type: 'tiles' } });
+  assert.equal(settings.maxTrack, 3);
+  assert.equal(settings.targetFPS, 24);
+  assert.deepEqual(settings.detectionStrategy, { type: 'tiles' });
+  assert.equal(settings.matchCandidates, DEFAULT_MATCH_CANDIDATES);
+  assert.equal(settings.debugMode, false);
+
+  const defaults = resolveControllerSettings({});
+  assert.equal(defaults.maxTrack, DEFAULT_MAX_TRACK);
+  assert.deepEqual(defaults.detectionStrategy, DEFAULT_DETECTION_STRATEGY);
+  assert.throws(() => resolveControllerSettings({ matchCandidates: 0 }), /matchCandidates must be a positive integer/);
+});
+
+test('setters validate their argument and return the settings they change', () => {
+  assert.deepEqual(CONTROLLER_SETTERS.setMaxTrack(2.7), { maxTrack: 2 });
+  assert.deepEqual(CONTROLLER_SETTERS.setFilterParams({}), {});
+  assert.deepEqual(CONTROLLER_SETTERS.setTargetFPS(null), { targetFPS: null });
+  assert.throws(() => CONTROLLER_SETTERS.setMaxTrack(0), /maxTrack must be a positive integer/);
+  assert.throws(() => CONTROLLER_SETTERS.setWarmupTolerance(-1), /non-negative/);
+  assert.throws(() => CONTROLLER_SETTERS.setDetectionStrategy({ type: 'grid' }), /Detection strategy type/);
+});
+
+test('getControllerConfig reports the settings of Controller.getConfig', () => {
+  const settings = resolveControllerSettings({ warmupTolerance: 2 });
+  assert.deepEqual(Object.keys(getControllerConfig({ ...settings, inputWidth: 640 })).sort(), [
+    'detectionStrategy', 'filterDCutOff', 'matchCandidates', 'maxTrack', 'missTolerance', 'targetFPS', 'warmupTolerance',
+  ]);
+  assert.equal(getControllerConfig(settings).warmupTolerance, 2);
+});
+
+test('every method the pipeline worker accepts is a ControllerBase method', () => {
+  for (const method of PIPELINE_METHODS) {
+    assert.equal(typeof ControllerBase.prototype[method], 'function', method);
+  }
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DetectionRegions, validateDetectionStrategy } from '../src/image-target/detector/detection-regions.js';
+
+const takeRegions = (regions, count) => Array.from({ length: count }, () => regions.next());
+
+test('the centre walk starts on the centre crop and cycles through 9 crops', () => {
+  const regions = new DetectionRegions(640, 480, 256);
+  const walk = takeRegions(regions, 10);
+  assert.deepEqual(walk[0], { x: 192, y: 112, size: 256 });
+  assert.equal(new Set(walk.slice(0, 9).map(({ x, y }) => `${x},${y}`)).size, 9);
+  assert.deepEqual(walk[9], walk[0]);
+});
+
+test('tiles cover the whole frame with the given overlap', () => {
+  const regions = new DetectionRegions(640, 480, 256, { type: 'tiles', overlap: 0.5 });
+  assert.equal(regions.regions.length, 12);
+  assert.deepEqual(regions.next(), { x: 0, y: 0, size: 256 });
+  assert.deepEqual(regions.regions.at(-1), { x: 383, y: 223, size: 256 });
+  assert.equal(new DetectionRegions(640, 480, 256, { type: 'tiles', overlap: 0 }).regions.length, 6);
+});
+
+test('ROI crops are squares centred on each region and kept inside the frame', () => {
+  const regions = new DetectionRegions(640, 480, 256, {
+    type: 'roi',
+    regions: [{ x: 100, y: 50, width: 40, height: 80 }, { x: 600, y: 400, width: 300, height: 100 }],
+  });
+  assert.deepEqual(takeRegions(regions, 3), [
+    { x: 80, y: 50, size: 80 },
+    { x: 339, y: 179, size: 300 },
+    { x: 80, y: 50, size: 80 },
+  ]);
+  const fallback = new DetectionRegions(640, 480, 256, { type: 'roi', regions: [] });
+  assert.deepEqual(fallback.next(), { x: 192, y: 112, size: 256 });
+});
+
+test('multi-scale walks interleave their scales, clamped to the frame', () => {
+  const regions = new DetectionRegions(640, 480, 256, { type: 'multi-scale', scales: [1, 0.5, 4] });
+  assert.equal(regions.regions.length, 27);
+  assert.deepEqual(takeRegions(regions, 3), [
+    { x: 192, y: 112, size: 256 },
+    { x: 256, y: 176, size: 128 },
+    { x: 80, y: 0, size: 479 },
+  ]);
+});
+
+test('setStrategy restarts the walk and invalid strategies are rejected', () => {
+  const regions = new DetectionRegions(640, 480, 256, { type: 'tiles' });
+  regions.next();
+  regions.setStrategy({ type: 'center' });
+  assert.deepEqual(regions.next(), { x: 192, y: 112, size: 256 });
+
+  assert.throws(() => validateDetectionStrategy({ type: 'grid' }), /must be one of 'center', 'tiles', 'roi', 'multi-scale'/);
+  assert.throws(() => validateDetectionStrategy({ type: 'tiles', overlap: 1 }), /\[0, 1\)/);
+  assert.throws(() => validateDetectionStrategy({ type: 'roi', regions: [{ x: 0, y: 0, width: 0, height: 10 }] }), /positive width and height/);
+  assert.throws(() => validateDetectionStrategy({ type: 'multi-scale', scales: [] }), /non-empty array/);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runFrameLoop } from '../src/image-target/core/frame-loop.js';
+import { PushFrameSource } from '../src/image-target/frame-source.js';
+
+const createFrame = () => ({ data: new Uint8Array(4), width: 1, height: 1 });
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+test('frames of a frame-driven source are processed once each, at their frame time', async () => {
+  const source = new PushFrameSource();
+  const processed = [];
+  const errors = [];
+  let running = true;
+  runFrameLoop(source, {
+    isCurrent: () => running,
+    shouldProcessFrame: (now) => now !== 20,
+    processFrame: async (frame, timestamp) => {
+      processed.push([frame, timestamp]);
+      if (timestamp === 30) throw new Error('failed frame');
+    },
+    onError: (error) => errors.push(error.message),
+  });
+
+  const frames = [createFrame(), createFrame(), createFrame(), createFrame()];
+  for (const [i, frame] of frames.entries()) {
+    source.pushFrame(frame, (i + 1) * 10);
+    await tick();
+  }
+  running = false;
+  source.pushFrame(createFrame(), 50);
+  await tick();
+
+  assert.deepEqual(processed, [[frames[0], 10], [frames[2], 30], [frames[3], 40]]);
+  assert.deepEqual(errors, ['failed frame']);
+});
+
+test('polled videos only process new frames when asked to', async () => {
+  const video = { currentTime: 0 };
+  const source = { canRequestFrame: false, isVideo: true, getFrame: () => video };
+  const run = async (newFramesOnly) => {
+    let count = 0;
+    let running = true;
+    runFrameLoop(source, {
+      isCurrent: () => running,
+      shouldProcessFrame: () => true,
+      processFrame: async () => {
+        count += 1;
+      },
+      onError: () => {},
+      newFramesOnly,
+    });
+    for (let i = 0; i < 4; i++) {
+      await tick();
+      if (i === 1) video.currentTime = 1;
+    }
+    running = false;
+    await tick();
+    return count;
+  };
+
+  assert.equal(await run(true), 2);
+  assert.ok(await run(false) >= 4);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFramePipeline, createFrame, createTransform } from './helpers/frame-pipeline.js';
+import { getRotatedZ90Matrix, glModelViewMatrix } from '../src/image-target/math/matrix-transform.js';
+
+const frame = createFrame(64, 48);
+
+test('one detection starts tracking every matched target, up to the free track slots', async () => {
+  const { frameProcessor, trackingStateManager, script } = createFramePipeline({
+    markerDimensions: [[100, 100], [100, 100], [100, 100]],
+    maxTrack: 3,
+  });
+  script.matches.push([{ targetIndex: 0, modelViewTransform: createTransform() }, { targetIndex: 2, modelViewTransform: createTransform() }]);
+
+  await frameProcessor.runFrame(frame, 0);
+  assert.deepEqual(script.matchCalls[0], { targetIndexes: [0, 1, 2], maxResults: 3 });
+  assert.deepEqual(trackingStateManager.getAllStates().map(({ isTracking }) => isTracking), [true, false, true]);
+
+  await frameProcessor.runFrame(frame, 33);
+  assert.deepEqual(script.matchCalls[1], { targetIndexes: [1], maxResults: 1 });
+});
+
+test('matches of disabled targets are ignored', async () => {
+  const { frameProcessor, trackingStateManager, script } = createFramePipeline();
+  trackingStateManager.setEnabled(1, false);
+  script.matches.push([{ targetIndex: 1, modelViewTransform: createTransform() }]);
+
+  await frameProcessor.runFrame(frame, 0);
+  assert.deepEqual(script.matchCalls[0].targetIndexes, [0]);
+  assert.equal(trackingStateManager.getState(1).isTracking, false);
+});
+
+test('frames in the rotated input orientation report rotated world matrices', async () => {
+  const { frameProcessor, script } = createFramePipeline();
+  script.matches.push([{ targetIndex: 0, modelViewTransform: createTransform() }]);
+
+  await frameProcessor.runFrame(createFrame(48, 64), 0);
+  const update = script.updates.find(({ type }) => type === 'updateMatrix');
+  assert.deepEqual(update.worldMatrix, getRotatedZ90Matrix(glModelViewMatrix(createTransform(), 100)).slice());
+});
+
+test('runFrame resolves with the pose of every target once it is showing', async () => {
+  const { frameProcessor, script } = createFramePipeline({ warmupTolerance: 1, missTolerance: 0 });
+  script.matches.push([{ targetIndex: 1, modelViewTransform: createTransform() }]);
+
+  const warmup = await frameProcessor.runFrame(frame, 0);
+  assert.deepEqual(warmup, [
+    { targetIndex: 0, showing: false, worldMatrix: null },
+    { targetIndex: 1, showing: false, worldMatrix: null },
+  ]);
+
+  const showing = await frameProcessor.runFrame(frame, 33);
+  assert.equal(showing[1].showing, true);
+  assert.deepEqual(showing[1].worldMatrix, glModelViewMatrix(createTransform(), 100));
+  showing[1].worldMatrix[0] = 42;
+  assert.notEqual((await frameProcessor.runFrame(frame, 66))[1].worldMatrix[0], 42);
+
+  // Lost while tracking this frame, hidden the next one past missTolerance
+  script.lost.add(1);
+  assert.equal((await frameProcessor.runFrame(frame, 100))[1].showing, true);
+  const hidden = await frameProcessor.runFrame(frame, 133);
+  assert.deepEqual(hidden[1], { targetIndex: 1, showing: false, worldMatrix: null });
+  assert.equal(script.updates.at(-1).type, 'processDone');
+});
+
+test('shouldProcessFrame skips paused frames and limits realtime frames to the target FPS', () => {
+  const { frameProcessor } = createFramePipeline({ targetFPS: 10, realtime: true });
+  assert.equal(frameProcessor.shouldProcessFrame(1000), true);
+  assert.equal(frameProcessor.shouldProcessFrame(1050), false);
+  assert.equal(frameProcessor.shouldProcessFrame(1100), true);
+
+  frameProcessor.setPaused(true);
+  assert.equal(frameProcessor.shouldProcessFrame(5000), false);
+  frameProcessor.setPaused(false);
+  assert.equal(frameProcessor.shouldProcessFrame(5000), true);
+
+  frameProcessor.setRealtime(false);
+  assert.equal(frameProcessor.shouldProcessFrame(5001), true);
+});
+
+test('runFrame processes frames while processing is paused', async () => {
+  const { frameProcessor, trackingStateManager, script } = createFramePipeline();
+  script.matches.push([{ targetIndex: 0, modelViewTransform: createTransform() }]);
+  frameProcessor.setPaused(true);
+
+  const results = await frameProcessor.runFrame(frame, 0);
+  assert.equal(trackingStateManager.getState(0).isTracking, true);
+  assert.equal(results[0].showing, true);
+});
+
+test('recorded scheduling decisions replace the live ones', async () => {
+  const { frameProcessor, script, quality } = createFramePipeline();
+  const decisionsLog = [];
+  frameProcessor.onFrameDecisions = (decisions) => decisionsLog.push(decisions);
+  script.matches.push([{ targetIndex: 0, modelViewTransform: createTransform() }, { targetIndex: 1, modelViewTransform: createTransform(-800) }]);
+  const first = await frameProcessor.runFrame(frame, 0, { trackerQuality: 0.5, detectorQuality: 0.7, skipDetection: false, trackedTargets: null });
+  assert.deepEqual(quality, { tracker: 0.5, detector: 0.7 });
+  assert.deepEqual(decisionsLog[0], { trackerQuality: 0.5, detectorQuality: 0.7, skipDetection: false, trackedTargets: null });
+
+  // Only target 1 is tracked: target 0 keeps its matrix of the previous frame
+  script.trackCalls.length = 0;
+  const second = await frameProcessor.runFrame(frame, 33, { trackerQuality: 0.5, detectorQuality: 0.7, skipDetection: true, trackedTargets: [1] });
+  assert.deepEqual(script.trackCalls, [1]);
+  assert.equal(script.matchCalls.length, 1);
+  assert.deepEqual(second[0], first[0]);
+  assert.deepEqual(decisionsLog[1].trackedTargets, [1]);
+});
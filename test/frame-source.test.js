@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isRawFrame, getFrameSize, getRawFramePixels, PushFrameSource, createFrameSource } from '../src/image-target/frame-source.js';
+
+const greyFrame = { data: new Uint8Array([0, 50, 100, 150, 200, 250]), width: 3, height: 2, format: 'grayscale' };
+
+test('raw frames are recognised and sized', () => {
+  assert.equal(isRawFrame(greyFrame), true);
+  assert.equal(isRawFrame({ data: [1, 2], width: 1, height: 2 }), false);
+  assert.equal(isRawFrame(null), false);
+  assert.deepEqual(getFrameSize(greyFrame), { width: 3, height: 2 });
+});
+
+test('grey raw frames expand to RGBA, into the given buffer when it fits', () => {
+  const pixels = getRawFramePixels(greyFrame);
+  assert.deepEqual(Array.from(pixels.subarray(4, 8)), [50, 50, 50, 255]);
+
+  const target = new Uint8Array(24);
+  assert.equal(getRawFramePixels(greyFrame, target), target);
+  assert.notEqual(getRawFramePixels(greyFrame, new Uint8Array(4)).length, 4);
+
+  const rgba = { data: new Uint8ClampedArray(8).fill(7), width: 2, height: 1 };
+  assert.deepEqual(Array.from(getRawFramePixels(rgba)), [7, 7, 7, 7, 7, 7, 7, 7]);
+});
+
+test('raw frames of the wrong size or format are rejected', () => {
+  assert.throws(() => getRawFramePixels({ ...greyFrame, format: 'bgr' }), /Unknown raw frame format 'bgr'/);
+  assert.throws(() => getRawFramePixels({ ...greyFrame, format: 'rgba' }), /Raw rgba frame of 3x2 must have 24 bytes, got 6/);
+  assert.throws(() => new PushFrameSource({ ...greyFrame, width: 4 }), /must have 8 bytes/);
+});
+
+test('PushFrameSource delivers each pushed frame once, the latest one when several wait', async () => {
+  const source = new PushFrameSource();
+  assert.equal(source.getFrame(), null);
+  assert.deepEqual([source.width, source.height], [0, 0]);
+
+  const request = () => new Promise((resolve) => source.requestFrame((frame, metadata) => resolve([frame, metadata])));
+
+  const first = { ...greyFrame };
+  const second = { ...greyFrame };
+  source.pushFrame(first, 10);
+  source.pushFrame(second, 20);
+  assert.deepEqual(await request(), [second, { expectedDisplayTime: 20 }]);
+  assert.deepEqual([source.width, source.height], [3, 2]);
+
+  // Nothing new pushed: the callback waits for the next frame
+  const next = request();
+  const third = { ...greyFrame };
+  source.pushFrame(third, 30);
+  assert.deepEqual(await next, [third, { expectedDisplayTime: 30 }]);
+
+  source.close();
+  assert.equal(source.getFrame(), null);
+});
+
+test('createFrameSource wraps raw frames and returns frame sources as they are', () => {
+  const source = createFrameSource(greyFrame);
+  assert.ok(source instanceof PushFrameSource);
+  assert.equal(source.getFrame(), greyFrame);
+  assert.equal(createFrameSource(source), source);
+  assert.throws(() => createFrameSource(42), /Unsupported frame source/);
+});
@@ -0,0 +1,126 @@
+import { FrameProcessor } from '../../src/image-target/core/frame-processor.js';
+import { TrackingStateManager } from '../../src/image-target/core/tracking-state-manager.js';
+import { PerformanceManager } from '../../src/image-target/performance/performance-manager.js';
+import { getRotatedZ90Matrix, glModelViewMatrix } from '../../src/image-target/math/matrix-transform.js';
+
+// Model-view transform of a target at distance z in front of the camera
+const createTransform = (z = -500) => [[1, 0, 0, 10], [0, 1, 0, 20], [0, 0, 1, z]];
+
+// Raw RGBA frame, see frame-source.js
+const createFrame = (width, height) => ({ data: new Uint8Array(width * height * 4), width, height });
+
+/**
+ * FrameProcessor whose detection, matching and tracking are scripted instead of computed from frames.
+ * script.matches: one list of matches per detection, consumed in order
+ * script.lost: target indexes the tracker loses
+ * script.matchCalls: {targetIndexes, maxResults} of each match request
+ * script.updates: onUpdate events, updateMatrix matrices copied
+ */
+const createFramePipeline = ({ markerDimensions = [[100, 100], [100, 100]], inputWidth = 64, inputHeight = 48, ...options } = {}) => {
+  const script = { matches: [], lost: new Set(), matchCalls: [], trackCalls: [], updates: [] };
+  const quality = { tracker: 1, detector: 1 };
+  const trackingStateManager = new TrackingStateManager(markerDimensions);
+
+  const frameProcessor = new FrameProcessor({
+    inputLoader: { loadInput: () => ({ dispose: () => {} }) },
+    cropDetector: {
+      detectMoving: () => ({ featurePoints: [] }),
+      detector: {
+        getQuality: () => quality.detector,
+        setQuality: (value) => { quality.detector = value; },
+      },
+    },
+    tracker: {
+      track: (inputT, modelViewTransform, targetIndex) => {
+        script.trackCalls.push(targetIndex);
+        const count = script.lost.has(targetIndex) ? 0 : 4;
+        return {
+          worldCoords: Array.from({ length: count }, () => ({ x: 0, y: 0, z: 0 })),
+          screenCoords: Array.from({ length: count }, () => ({ x: 0, y: 0 })),
+        };
+      },
+      getQuality: () => quality.tracker,
+      setQuality: (value) => { quality.tracker = value; },
+    },
+    workerManager: {
+      match: async (featurePoints, targetIndexes, maxResults) => {
+        script.matchCalls.push({ targetIndexes: targetIndexes.slice(), maxResults });
+        return { matches: script.matches.shift() ?? [] };
+      },
+      trackUpdate: async (modelViewTransform) => modelViewTransform,
+    },
+    trackingStateManager,
+    performanceManager: new PerformanceManager(),
+    onUpdate: (event) => {
+      script.updates.push(event.type === 'updateMatrix'
+        ? { ...event, worldMatrix: event.worldMatrix === null ? null : event.worldMatrix.slice() }
+        : { ...event });
+    },
+    debugMode: false,
+    maxTrack: 2,
+    warmupTolerance: 0,
+    missTolerance: 0,
+    targetFPS: null,
+    markerDimensions,
+    inputWidth,
+    inputHeight,
+    getRotatedZ90Matrix,
+    glModelViewMatrix,
+    onWorkDistributionEnabled: null,
+    realtime: false,
+    ...options,
+  });
+  return { frameProcessor, trackingStateManager, script, quality };
+};
+
+// The parts of a Controller that OfflineProcessor and SessionRecorder use, around a scripted pipeline
+class PipelineController {
+  constructor(pipelineOptions = {}) {
+    const { frameProcessor, trackingStateManager, script } = createFramePipeline(pipelineOptions);
+    this.frameProcessor = frameProcessor;
+    this.trackingStateManager = trackingStateManager;
+    this.script = script;
+    this.cropDetector = {
+      regions: { regionIndex: 4, regions: new Array(9) },
+      setDetectionStrategy: () => {},
+    };
+    this.targetInfos = frameProcessor.markerDimensions.map((_, index) => ({ index, name: `target ${index}` }));
+    this.detectionStrategy = { type: 'center' };
+    this.inputWidth = frameProcessor.inputWidth;
+    this.inputHeight = frameProcessor.inputHeight;
+    this.processingVideo = false;
+    this.debugMode = false;
+    this.onUpdate = null;
+  }
+
+  getConfig() {
+    return { maxTrack: this.frameProcessor.maxTrack };
+  }
+
+  isTargetEnabled(targetIndex) {
+    return this.trackingStateManager.isEnabled(targetIndex);
+  }
+
+  setMaxTrack(maxTrack) {
+    this.frameProcessor.maxTrack = maxTrack;
+  }
+
+  disableTargets(targetIndexes) {
+    for (const targetIndex of targetIndexes) {
+      this.trackingStateManager.setEnabled(targetIndex, false);
+    }
+  }
+
+  setActiveTargets(targetIndexes) {
+    this.targetInfos.forEach((_, targetIndex) => {
+      this.trackingStateManager.setEnabled(targetIndex, targetIndexes.includes(targetIndex));
+    });
+  }
+}
+
+export {
+  createTransform,
+  createFrame,
+  createFramePipeline,
+  PipelineController
+};
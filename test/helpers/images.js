@@ -0,0 +1,52 @@
+// Deterministic RGBA test images: random rectangles in grey levels, so the detector finds features
+const createTestImage = (width, height, seed = 1) => {
+  let state = seed;
+  const random = () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (let r = 0; r < 60; r++) {
+    const x0 = Math.floor(random() * width);
+    const y0 = Math.floor(random() * height);
+    const x1 = Math.min(width, x0 + 4 + Math.floor(random() * width / 4));
+    const y1 = Math.min(height, y0 + 4 + Math.floor(random() * height / 4));
+    const value = Math.floor(random() * 256);
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        const offset = (y * width + x) * 4;
+        data[offset] = data[offset + 1] = data[offset + 2] = value;
+      }
+    }
+  }
+  return { data, width, height };
+};
+
+// A pattern tile repeated over the image
+const createTiledImage = (width, height, tileSize, seed = 1) => {
+  const tile = createTestImage(tileSize, tileSize, seed);
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const source = ((y % tileSize) * tileSize + (x % tileSize)) * 4;
+      data.set(tile.data.subarray(source, source + 4), (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+};
+
+// A single grey level, without features
+const createFlatImage = (width, height, value = 128) => {
+  const data = new Uint8ClampedArray(width * height * 4).fill(value);
+  for (let i = 3; i < data.length; i += 4) {
+    data[i] = 255;
+  }
+  return { data, width, height };
+};
+
+export {
+  createTestImage,
+  createTiledImage,
+  createFlatImage
+};
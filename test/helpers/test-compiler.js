@@ -0,0 +1,53 @@
+import { Worker } from 'worker_threads';
+import * as tf from '@tensorflow/tfjs';
+import { CompilerBase } from '../../src/image-target/compiler-base.js';
+import { buildTrackingImageList } from '../../src/image-target/image-list.js';
+import { extractTrackingFeatures } from '../../src/image-target/tracker/extract-utils.js';
+import '../../src/image-target/detector/kernels/cpu/index.js';
+
+// OfflineCompiler without node-canvas: images are {data, width, height} RGBA buffers, see images.js
+class TestCompiler extends CompilerBase {
+  createProcessCanvas(img) {
+    let pixels = null;
+    return {
+      getContext: () => ({
+        drawImage: (image) => {
+          pixels = image.data;
+        },
+        getImageData: () => ({ data: pixels, width: img.width, height: img.height }),
+      }),
+    };
+  }
+
+  async compileTrack({ progressCallback, targetImages }) {
+    return targetImages.map((targetImage, i) => {
+      const imageList = buildTrackingImageList(targetImage);
+      return extractTrackingFeatures(imageList, (index) => {
+        progressCallback(i, 100 * (index + 1) / imageList.length);
+      });
+    });
+  }
+
+  createCompileWorker() {
+    const worker = new Worker(new URL('../../src/image-target/compile-pool.node-worker.js', import.meta.url));
+    return {
+      postMessage: (message) => worker.postMessage(message),
+      onMessage: (handler) => worker.on('message', handler),
+      onError: (handler) => worker.on('error', handler),
+      terminate: () => worker.terminate(),
+    };
+  }
+}
+
+// Compile images on the cpu backend; resolves with the compiler and the compiled targets
+const compileTestTargets = async (images, options = {}) => {
+  await tf.setBackend('cpu');
+  const compiler = new TestCompiler();
+  const dataList = await compiler.compileImageTargets(images, () => {}, options);
+  return { compiler, dataList };
+};
+
+export {
+  TestCompiler,
+  compileTestTargets
+};
@@ -0,0 +1,50 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { TestCompiler, compileTestTargets } from './helpers/test-compiler.js';
+import { createTestImage, createFlatImage } from './helpers/images.js';
+import { estimatePose } from '../src/image-target/image-pose-estimator.js';
+
+const targetImage = createTestImage(256, 256, 11);
+let targets;
+
+// The target pasted at (left, top) into a flat 400x320 scene, as RGBA pixels
+const createScene = (left, top) => {
+  const scene = createFlatImage(400, 320, 200);
+  for (let y = 0; y < targetImage.height; y++) {
+    const row = targetImage.data.subarray(y * targetImage.width * 4, (y + 1) * targetImage.width * 4);
+    scene.data.set(row, ((y + top) * scene.width + left) * 4);
+  }
+  return { data: new Uint8Array(scene.data.buffer), width: scene.width, height: scene.height };
+};
+
+const assertCorners = (corners, expected, tolerance) => {
+  corners.forEach(([x, y], i) => {
+    assert.ok(Math.abs(x - expected[i][0]) < tolerance && Math.abs(y - expected[i][1]) < tolerance, `corner ${i}: ${x}, ${y}`);
+  });
+};
+
+before(async () => {
+  const { compiler } = await compileTestTargets([targetImage, createTestImage(256, 256, 12)], { targets: [{ name: 'label' }, { name: 'other' }] });
+  targets = new TestCompiler().importData(compiler.exportData());
+});
+
+test('estimatePose finds the target in a still image with its corners in image pixels', async () => {
+  const results = await estimatePose(createScene(100, 40), { targets });
+
+  assert.deepEqual(results.map(({ targetIndex, name }) => [targetIndex, name]), [[0, 'label']]);
+  const [result] = results;
+  assertCorners(result.corners, [[100, 40], [356, 40], [356, 296], [100, 296]], 2);
+  assert.ok(result.inliers >= 4);
+  assert.ok(result.reprojectionError < 1);
+  assert.equal(result.trackedPoints, 0);
+  assert.equal(result.worldMatrix.length, 16);
+});
+
+test('estimatePose only looks for the requested targets and maps downscaled images back to image pixels', async () => {
+  const scene = createScene(40, 20);
+  assert.deepEqual(await estimatePose(scene, { targets, targetIndexes: [1] }), []);
+
+  const [result] = await estimatePose(scene, { targets, maxSize: 300 });
+  assertCorners(result.corners, [[40, 20], [296, 20], [296, 276], [40, 276]], 4);
+  await assert.rejects(estimatePose(scene, { targets, refineWithTracker: true }), /needs the webgl backend/);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeRectifiedSize, rectifyQuad } from '../src/image-target/instant-target.js';
+
+// RGBA image whose red channel is x and green channel is y
+const createGradientImage = (width, height) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set([x, y, 0, 255], (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+};
+
+const pixelAt = ({ data, width }, x, y) => Array.from(data.subarray((y * width + x) * 4, (y * width + x) * 4 + 4));
+
+test('computeRectifiedSize averages opposite edges and scales down to maxSize', () => {
+  assert.deepEqual(computeRectifiedSize([[0, 0], [200, 0], [200, 100], [0, 100]]), { width: 200, height: 100 });
+  assert.deepEqual(computeRectifiedSize([[0, 0], [220, 0], [200, 100], [20, 100]]), { width: 200, height: 102 });
+  assert.deepEqual(computeRectifiedSize([[0, 0], [1000, 0], [1000, 500], [0, 500]], 400), { width: 400, height: 200 });
+  assert.throws(() => computeRectifiedSize([[0, 0], [200, 0], [200, 50], [0, 50]]), /at least 64x64 pixels, got 200x50/);
+});
+
+test('rectifyQuad copies an axis-aligned quad pixel for pixel', () => {
+  const image = createGradientImage(120, 100);
+  const rectified = rectifyQuad(image, [[10, 20], [90, 20], [90, 90], [10, 90]], 80, 70);
+
+  assert.equal(rectified.width, 80);
+  assert.equal(rectified.height, 70);
+  assert.deepEqual(pixelAt(rectified, 0, 0), [10, 20, 0, 255]);
+  assert.deepEqual(pixelAt(rectified, 40, 35), [50, 55, 0, 255]);
+  assert.deepEqual(pixelAt(rectified, 78, 68), [88, 88, 0, 255]);
+});
+
+test('rectifyQuad follows the corner order and leaves pixels outside the source transparent', () => {
+  const image = createGradientImage(100, 100);
+  // Mirrored horizontally: the top-left corner of the output is the top-right of the quad
+  const mirrored = rectifyQuad(image, [[90, 0], [10, 0], [10, 80], [90, 80]], 80, 80);
+  assert.deepEqual(pixelAt(mirrored, 0, 40), [89, 40, 0, 255]);
+
+  const overhanging = rectifyQuad(image, [[50, 50], [150, 50], [150, 150], [50, 150]], 100, 100);
+  assert.deepEqual(pixelAt(overhanging, 10, 10), [60, 60, 0, 255]);
+  assert.deepEqual(pixelAt(overhanging, 90, 90), [0, 0, 0, 0]);
+});
+
+test('rectifyQuad rejects malformed and concave quads', () => {
+  const image = createGradientImage(100, 100);
+  assert.throws(() => rectifyQuad(image, [[0, 0], [10, 0], [10, 10]], 64, 64), /four \[x, y\] corners/);
+  assert.throws(() => rectifyQuad(image, [[0, 0], [100, 0], [20, 20], [0, 100]], 64, 64), /convex/);
+});
@@ -0,0 +1,79 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import * as tf from '@tensorflow/tfjs';
+import { compileTestTargets } from './helpers/test-compiler.js';
+import { createTestImage, createFlatImage } from './helpers/images.js';
+import { createMatchingHandler, createInThreadMatchingWorker } from '../src/image-target/workers/matching-handler.js';
+import { WorkerManager } from '../src/image-target/workers/worker-manager.js';
+import { Detector } from '../src/image-target/detector/detector.js';
+import { createProjectionTransform } from '../src/image-target/math/projection.js';
+
+const SCENE_WIDTH = 400;
+const SCENE_HEIGHT = 320;
+const targetImages = [createTestImage(256, 256, 21), createTestImage(256, 256, 22)];
+let setupConfig;
+
+// Feature points of a flat scene showing the target image at (left, top)
+const detectScene = (targetImage, left, top) => {
+  const scene = createFlatImage(SCENE_WIDTH, SCENE_HEIGHT, 200);
+  for (let y = 0; y < targetImage.height; y++) {
+    scene.data.set(targetImage.data.subarray(y * targetImage.width * 4, (y + 1) * targetImage.width * 4), ((y + top) * SCENE_WIDTH + left) * 4);
+  }
+  const grey = new Float32Array(SCENE_WIDTH * SCENE_HEIGHT);
+  for (let i = 0; i < grey.length; i++) {
+    grey[i] = scene.data[i * 4];
+  }
+  const detector = new Detector(SCENE_WIDTH, SCENE_HEIGHT);
+  const inputT = tf.tensor2d(grey, [SCENE_HEIGHT, SCENE_WIDTH]);
+  const { featurePoints } = detector.detect(inputT);
+  inputT.dispose();
+  detector.dispose();
+  return featurePoints;
+};
+
+before(async () => {
+  const { compiler } = await compileTestTargets(targetImages);
+  setupConfig = {
+    inputWidth: SCENE_WIDTH,
+    inputHeight: SCENE_HEIGHT,
+    projectionTransform: createProjectionTransform(SCENE_WIDTH, SCENE_HEIGHT),
+    debugMode: false,
+    matchCandidates: 5,
+    matchingDataList: compiler.data.map(({ matchingData }) => matchingData),
+    geometryList: compiler.data.map(({ geometry }) => geometry),
+    targetWidths: compiler.data.map(({ targetImage }) => targetImage.width),
+  };
+});
+
+test('the in-thread matching worker finds the targets in a frame through WorkerManager', async () => {
+  const workerManager = new WorkerManager(createInThreadMatchingWorker());
+  workerManager.setup(setupConfig);
+  const featurePoints = detectScene(targetImages[1], 100, 40);
+
+  const { matches } = await workerManager.match(featurePoints, [0, 1], 2);
+  assert.deepEqual(matches.map(({ targetIndex }) => targetIndex), [1]);
+  assert.equal(matches[0].modelViewTransform.length, 3);
+
+  workerManager.removeTarget(1);
+  assert.deepEqual((await workerManager.match(featurePoints, [0, 1], 2)).matches, []);
+  assert.notEqual(setupConfig.matchingDataList[1], null);
+  workerManager.dispose();
+});
+
+test('the matching handler replies to match requests and closes on dispose', async () => {
+  const replies = [];
+  let closed = false;
+  const handleMessage = createMatchingHandler((message) => replies.push(message), () => {
+    closed = true;
+  });
+  handleMessage({ type: 'setup', ...setupConfig, matchingDataList: [setupConfig.matchingDataList[0]], geometryList: [setupConfig.geometryList[0]], targetWidths: [256] });
+  handleMessage({ type: 'addTargets', matchingDataList: [setupConfig.matchingDataList[1]], geometryList: [setupConfig.geometryList[1]], targetWidths: [256] });
+
+  handleMessage({ type: 'match', featurePoints: detectScene(targetImages[1], 100, 40), targetIndexes: [0, 1], maxResults: 1 });
+  assert.equal(replies[0].type, 'matchDone');
+  assert.deepEqual(replies[0].matches.map(({ targetIndex }) => targetIndex), [1]);
+
+  assert.throws(() => handleMessage({ type: 'unknown' }), /Invalid message type 'unknown'/);
+  handleMessage({ type: 'dispose' });
+  assert.equal(closed, true);
+});
@@ -0,0 +1,71 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import * as msgpack from '@msgpack/msgpack';
+import { TestCompiler, compileTestTargets } from './helpers/test-compiler.js';
+import { createTestImage } from './helpers/images.js';
+import { CURRENT_VERSION, MindFileMigrationError, inspect, migrate } from '../src/image-target/format/migration.js';
+import { encodeCompact, isCompact, decodeContent } from '../src/image-target/format/compact.js';
+
+// A version 2 file: targets without metadata, thumbnail, mask or geometry
+let v2Content;
+
+before(async () => {
+  const { compiler } = await compileTestTargets([createTestImage(128, 128, 3)]);
+  const { dataList } = msgpack.decode(compiler.exportData());
+  v2Content = {
+    v: 2,
+    dataList: dataList.map(({ targetImage, trackingData, matchingData }) => ({ targetImage, trackingData, matchingData })),
+  };
+});
+
+test('inspect lists the upgrade steps of an old file', () => {
+  const inspection = inspect(msgpack.encode(v2Content));
+  assert.equal(inspection.version, 2);
+  assert.equal(inspection.currentVersion, CURRENT_VERSION);
+  assert.equal(inspection.migratable, true);
+  assert.deepEqual(inspection.steps.map(({ from, to }) => [from, to]), [[2, 3], [3, 4], [4, 5]]);
+});
+
+test('importData upgrades a version 2 file to the current version', () => {
+  const compiler = new TestCompiler();
+  const [target] = compiler.importData(msgpack.encode(v2Content));
+
+  assert.equal(compiler.importedVersion, 2);
+  assert.equal(compiler.importMigrationSteps.length, CURRENT_VERSION - 2);
+  assert.deepEqual(target.metadata, { name: null, physicalSize: null, tags: [], extra: null });
+  assert.equal(target.mask, null);
+  assert.deepEqual(target.geometry, { type: 'plane' });
+  assert.ok(target.thumbnail.data.length > 0);
+});
+
+test('migrate rewrites a file at the current version and keeps its encoding', () => {
+  const plain = migrate(msgpack.encode(v2Content));
+  assert.equal(plain.fromVersion, 2);
+  assert.equal(plain.toVersion, CURRENT_VERSION);
+  assert.equal(isCompact(plain.buffer), false);
+  assert.equal(msgpack.decode(plain.buffer).v, CURRENT_VERSION);
+
+  const upgraded = decodeContent(plain.buffer);
+  const compact = migrate(encodeCompact({ ...upgraded, v: 4, dataList: upgraded.dataList.map(({ geometry, ...target }) => target) }));
+  assert.equal(compact.fromVersion, 4);
+  assert.equal(isCompact(compact.buffer), true);
+  assert.deepEqual(decodeContent(compact.buffer).dataList[0].geometry, { type: 'plane' });
+});
+
+test('files that cannot be upgraded are rejected with the reason', () => {
+  const compiler = new TestCompiler();
+  assert.throws(() => compiler.importData(msgpack.encode({ v: 1, dataList: [] })), (error) => {
+    assert.ok(error instanceof MindFileMigrationError);
+    assert.equal(error.version, 1);
+    assert.match(error.message, /Please recompile/);
+    return true;
+  });
+  assert.throws(() => compiler.importData(msgpack.encode({ v: CURRENT_VERSION + 1, dataList: [] })), /newer than the supported version/);
+  assert.throws(() => compiler.importData(msgpack.encode({ dataList: [] })), /not a .mind file/);
+
+  const broken = { v: 2, dataList: [{ ...v2Content.dataList[0], trackingData: undefined }] };
+  assert.throws(() => compiler.importData(msgpack.encode(broken)), (error) => {
+    assert.deepEqual(error.missing, ['dataList[0].trackingData']);
+    return true;
+  });
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PipelineController, createFrame, createTransform } from './helpers/frame-pipeline.js';
+import { OfflineProcessor } from '../src/image-target/offline-processor.js';
+
+const frames = [createFrame(64, 48), createFrame(64, 48), createFrame(48, 64)];
+
+test('processImages runs every frame and records a pose track at the sequence timestamps', async () => {
+  const controller = new PipelineController();
+  controller.script.matches.push([{ targetIndex: 1, modelViewTransform: createTransform() }]);
+  const progress = [];
+
+  const poseTrack = await new OfflineProcessor(controller).processImages(frames, { fps: 10, progressCallback: (event) => progress.push(event) });
+
+  const [first, second] = poseTrack.toJSON().targets;
+  assert.deepEqual(second.samples.map(({ timestamp, showing }) => [timestamp, showing]), [[0, true], [100, true], [200, true]]);
+  assert.deepEqual(first.samples.map(({ showing }) => showing), [false, false, false]);
+  assert.equal(second.samples[0].worldMatrix.length, 16);
+  assert.deepEqual(progress.map(({ percent }) => Math.round(percent)), [33, 67, 100]);
+  assert.equal(controller.trackingStateManager.getTrackingCount(), 0);
+  assert.equal(controller.frameProcessor.realtime, true);
+});
+
+test('frames are processed while the controller is paused', async () => {
+  const controller = new PipelineController();
+  controller.frameProcessor.setPaused(true);
+  controller.script.matches.push([{ targetIndex: 0, modelViewTransform: createTransform() }]);
+
+  const poseTrack = await new OfflineProcessor(controller).processImages(frames.slice(0, 2));
+  assert.deepEqual(poseTrack.toJSON().targets[0].samples.map(({ showing }) => showing), [true, true]);
+});
+
+test('processImages rejects frames of another size, aborted signals and running video processing', async () => {
+  const controller = new PipelineController();
+  const processor = new OfflineProcessor(controller);
+  await assert.rejects(processor.processImages([createFrame(32, 32)]), /Frame size 32x32 does not match the controller input size 64x48/);
+  await assert.rejects(processor.processImages(frames, { signal: AbortSignal.abort(new Error('stopped')) }), /stopped/);
+  await assert.rejects(processor.processImages(frames, { fps: 0 }), /fps must be a positive number/);
+
+  controller.processingVideo = true;
+  await assert.rejects(processor.processImages(frames), /Stop video processing/);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodePixels, decodePixels } from '../src/image-target/format/pixel-codec.js';
+
+const roundTrip = (image) => decodePixels(encodePixels(image), image.width, image.height);
+
+test('pixels survive encoding unchanged', () => {
+  const width = 37;
+  const height = 23;
+  const gradient = Uint8Array.from({ length: width * height }, (_, i) => (i % width) * 3 + Math.floor(i / width));
+  const noise = Uint8Array.from({ length: width * height }, (_, i) => (i * 2654435761) >>> 24);
+  const extremes = Uint8Array.from({ length: width * height }, (_, i) => (i % 2 === 0 ? 0 : 255));
+
+  for (const data of [gradient, noise, extremes, new Uint8Array(width * height).fill(128)]) {
+    assert.deepEqual(roundTrip({ data, width, height }), data);
+  }
+});
+
+test('single pixels and single rows round-trip', () => {
+  assert.deepEqual(roundTrip({ data: Uint8Array.of(200), width: 1, height: 1 }), Uint8Array.of(200));
+  const row = Uint8Array.of(0, 255, 1, 254, 2);
+  assert.deepEqual(roundTrip({ data: row, width: 5, height: 1 }), row);
+  assert.deepEqual(roundTrip({ data: row, width: 1, height: 5 }), row);
+});
+
+test('smooth images compress below their raw size', () => {
+  const width = 64;
+  const height = 64;
+  const data = Uint8Array.from({ length: width * height }, (_, i) => (i % width) + Math.floor(i / width));
+  assert.ok(encodePixels({ data, width, height }).byteLength < data.length / 2);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PoseTrack } from '../src/image-target/pose-track.js';
+
+const matrix = Array.from({ length: 16 }, (_, i) => i / 2);
+
+const createPoseTrack = () => {
+  const poseTrack = new PoseTrack([{ targetIndex: 0, name: 'poster, "A"' }, { targetIndex: 3, name: null }]);
+  poseTrack.addFrame(0, new Map([[0, { showing: true, worldMatrix: matrix }]]));
+  poseTrack.addFrame(33.5, new Map([[0, { showing: false, worldMatrix: null }], [3, { showing: true, worldMatrix: matrix }]]));
+  return poseTrack;
+};
+
+test('addFrame samples every target, not showing when it has no pose', () => {
+  const { frameCount, targets } = createPoseTrack().toJSON();
+  assert.equal(frameCount, 2);
+  assert.deepEqual(targets[0].samples, [
+    { timestamp: 0, showing: true, worldMatrix: matrix },
+    { timestamp: 33.5, showing: false, worldMatrix: null },
+  ]);
+  assert.deepEqual(targets[1].samples.map(({ showing }) => showing), [false, true]);
+});
+
+test('toCSV writes a row per target and frame with quoted names and empty matrices while hidden', () => {
+  const lines = createPoseTrack().toCSV().split('\n');
+  assert.equal(lines[0], 'target_index,target_name,timestamp,showing,' + matrix.map((_, i) => `m${i}`).join(','));
+  assert.equal(lines[1], '0,"poster, ""A""",0,1,' + matrix.join(','));
+  assert.equal(lines[2], '0,"poster, ""A""",33.5,0' + ','.repeat(16));
+  assert.equal(lines[3], '3,,0,0' + ','.repeat(16));
+  assert.equal(lines.length, 6);
+  assert.equal(lines[5], '');
+});
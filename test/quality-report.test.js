@@ -0,0 +1,54 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { TestCompiler, compileTestTargets } from './helpers/test-compiler.js';
+import { createTestImage, createTiledImage, createFlatImage } from './helpers/images.js';
+import { renderQualityHeatmap } from '../src/image-target/analysis/quality-report.js';
+
+let compiler;
+let dataList;
+
+before(async () => {
+  ({ compiler, dataList } = await compileTestTargets([
+    createTestImage(160, 160, 6),
+    createTiledImage(160, 160, 32, 7),
+    createFlatImage(160, 160),
+  ], { report: true }));
+});
+
+test('each target gets a report with a score, a rating and feature counts per keyframe', () => {
+  dataList.forEach((target, index) => {
+    const { report } = target;
+    assert.equal(report.index, index);
+    assert.equal(report.matching.length, target.matchingData.length);
+    assert.equal(report.tracking.length, target.trackingData.length);
+    assert.ok(report.score >= 0 && report.score <= 100);
+    assert.ok(['good', 'fair', 'poor'].includes(report.rating));
+  });
+});
+
+test('featureless and repetitive images score lower and are warned about', () => {
+  const [textured, tiled, flat] = dataList.map(({ report }) => report);
+  const codes = (report) => report.warnings.map(({ code }) => code);
+
+  assert.ok(textured.score > flat.score);
+  assert.equal(flat.rating, 'poor');
+  assert.ok(codes(flat).includes('low-matching-features'));
+  assert.ok(codes(flat).includes('low-coverage'));
+  assert.ok(tiled.repetition.ambiguousRatio > textured.repetition.ambiguousRatio);
+  assert.ok(codes(tiled).includes('repetitive-pattern'));
+  assert.ok(!codes(textured).includes('repetitive-pattern'));
+});
+
+test('getQualityReports also works on imported targets', () => {
+  const imported = new TestCompiler();
+  imported.importData(compiler.exportData());
+  const reports = imported.getQualityReports();
+  assert.deepEqual(reports.map(({ score }) => score), dataList.map(({ report }) => report.score));
+});
+
+test('renderQualityHeatmap draws an RGBA image no larger than maxSize', () => {
+  const heatmap = renderQualityHeatmap(dataList[0], 64);
+  assert.equal(heatmap.width, 64);
+  assert.equal(heatmap.height, 64);
+  assert.equal(heatmap.data.length, 64 * 64 * 4);
+});
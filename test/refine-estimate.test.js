@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Estimator } from '../src/image-target/estimation/estimator.js';
+import { createProjectionTransform } from '../src/image-target/math/projection.js';
+import { toSurfacePoint } from '../src/image-target/target-geometry.js';
+
+const projectionTransform = createProjectionTransform(640, 480);
+
+const rotationY = (angle) => [
+  [Math.cos(angle), 0, Math.sin(angle)],
+  [0, 1, 0],
+  [-Math.sin(angle), 0, Math.cos(angle)],
+];
+
+const pose = (angle, [tx, ty, tz]) => rotationY(angle).map((row, i) => [...row, [tx, ty, tz][i]]);
+
+const project = (modelViewTransform, { x, y, z }) => {
+  const camera = modelViewTransform.map((row) => row[0] * x + row[1] * y + row[2] * z + row[3]);
+  const [[fx, , cx], [, fy, cy]] = projectionTransform;
+  return { x: fx * camera[0] / camera[2] + cx, y: fy * camera[1] / camera[2] + cy };
+};
+
+const maxReprojectionError = (modelViewTransform, worldCoords, screenCoords) => {
+  return Math.max(...worldCoords.map((point, i) => {
+    const { x, y } = project(modelViewTransform, point);
+    return Math.hypot(x - screenCoords[i].x, y - screenCoords[i].y);
+  }));
+};
+
+test('refineEstimate recovers the pose of points on a cylindrical target', () => {
+  const width = 300;
+  const geometry = { type: 'cylinder', arc: 120, radius: width / (120 * Math.PI / 180) };
+  const worldCoords = [];
+  for (let y = 0; y <= 200; y += 40) {
+    for (let x = 0; x <= width; x += 30) {
+      worldCoords.push(toSurfacePoint(geometry, width, x, y));
+    }
+  }
+  const truth = pose(0.3, [-150, -100, 900]);
+  const screenCoords = worldCoords.map((point) => project(truth, point));
+
+  const estimator = new Estimator(projectionTransform);
+  const initial = pose(0.25, [-140, -95, 950]);
+  assert.ok(maxReprojectionError(initial, worldCoords, screenCoords) > 10);
+
+  const refined = estimator.refineEstimate({ initialModelViewTransform: initial, worldCoords, screenCoords });
+  assert.ok(maxReprojectionError(refined, worldCoords, screenCoords) < 0.5);
+});
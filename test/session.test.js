@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as msgpack from '@msgpack/msgpack';
+import { Session } from '../src/image-target/session.js';
+import { SessionRecorder } from '../src/image-target/session-recorder.js';
+import { OfflineProcessor } from '../src/image-target/offline-processor.js';
+import { PipelineController, createTransform } from './helpers/frame-pipeline.js';
+
+const createSession = () => new Session({
+  inputWidth: 4,
+  inputHeight: 2,
+  config: { maxTrack: 2 },
+  targets: [{ targetIndex: 0, name: 'a' }],
+  initialState: { trackingStates: [], regionIndex: 4 },
+  frames: [
+    { timestamp: 0, width: 4, height: 2, sourceWidth: 4, sourceHeight: 2, pixels: new Uint8Array([0, 10, 20, 30, 40, 50, 60, 70]) },
+    { timestamp: 33, width: 4, height: 2, sourceWidth: 4, sourceHeight: 2, pixels: new Uint8Array(8).fill(255), decisions: { trackerQuality: 1, detectorQuality: 1, skipDetection: true, trackedTargets: null } },
+  ],
+  events: [
+    { frameIndex: 0, type: 'updateMatrix', targetIndex: 0, worldMatrix: new Array(16).fill(1) },
+    { frameIndex: 0, type: 'call', method: 'setMaxTrack', args: [1] },
+    { frameIndex: 1, type: 'updateMatrix', targetIndex: 0, worldMatrix: null },
+  ],
+});
+
+// Canvases whose 2D context reads back the RGBA pixels of the last frame drawn, for SessionRecorder and
+// session replays in Node
+const installCanvas = (t) => {
+  globalThis.ImageData = class {
+    constructor(data, width, height) {
+      Object.assign(this, { data, width, height });
+    }
+  };
+  globalThis.document = {
+    createElement: () => {
+      let pixels = null;
+      return {
+        width: 0,
+        height: 0,
+        getContext: () => ({
+          drawImage: (frame) => {
+            pixels = frame.pixels;
+          },
+          putImageData: (imageData) => {
+            pixels = imageData.data;
+          },
+          getImageData: () => ({ data: pixels }),
+        }),
+      };
+    },
+  };
+  t.after(() => {
+    delete globalThis.document;
+    delete globalThis.ImageData;
+  });
+};
+
+// A canvas frame of one RGBA colour
+const createCanvasFrame = (width, height, rgb) => {
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < pixels.length; i += 4) {
+    pixels.set([...rgb, 255], i);
+  }
+  return { width, height, pixels };
+};
+
+test('sessions round-trip through their file format', () => {
+  const session = Session.fromBuffer(createSession().toBuffer());
+  assert.equal(session.frameCount, 2);
+  assert.deepEqual(session.frames[0].pixels, new Uint8Array([0, 10, 20, 30, 40, 50, 60, 70]));
+  assert.equal(session.frames[0].decisions, null);
+  assert.deepEqual(session.frames[1].decisions, createSession().frames[1].decisions);
+  assert.deepEqual(session.events, createSession().events);
+  assert.deepEqual(session.targets, [{ targetIndex: 0, name: 'a', enabled: true }]);
+  assert.deepEqual(session.initialState, { trackingStates: [], regionIndex: 4 });
+});
+
+test('fromBuffer rejects other files and versions', () => {
+  assert.throws(() => Session.fromBuffer(new Uint8Array([0xc0])), /Not a MindAR session file/);
+  const other = msgpack.encode({ format: 'mindar-session', v: 2 });
+  assert.throws(() => Session.fromBuffer(other), /Unsupported session file version 2, expected 1/);
+});
+
+test('frames expand to RGBA and updateMatrix events become a pose track', () => {
+  const session = createSession();
+  const { data, width, height } = session.getFrameImageData(0);
+  assert.deepEqual([width, height], [4, 2]);
+  assert.deepEqual(Array.from(data.subarray(4, 8)), [10, 10, 10, 255]);
+  assert.throws(() => session.getFrameImageData(2), /No frame at index 2/);
+
+  const [target] = session.toPoseTrack().toJSON().targets;
+  assert.deepEqual(target.samples.map(({ timestamp, showing }) => [timestamp, showing]), [[0, true], [33, false]]);
+});
+
+test('SessionRecorder records grey frames, their decisions, updates and controller calls', async (t) => {
+  installCanvas(t);
+  const controller = new PipelineController();
+  controller.script.matches.push([{ targetIndex: 0, modelViewTransform: createTransform() }]);
+  const recorder = new SessionRecorder(controller);
+  recorder.start();
+
+  await controller.frameProcessor.runFrame(createCanvasFrame(64, 48, [100, 150, 200]), 0);
+  controller.setMaxTrack(1);
+  await controller.frameProcessor.runFrame(createCanvasFrame(64, 48, [0, 0, 0]), 33);
+  const session = recorder.stop();
+
+  assert.equal(session.frameCount, 2);
+  assert.deepEqual(session.config, { maxTrack: 2 });
+  assert.equal(session.frames[0].pixels[0], Math.round(0.299 * 100 + 0.587 * 150 + 0.114 * 200));
+  assert.deepEqual(session.frames[0].decisions, { trackerQuality: 1, detectorQuality: 1, skipDetection: false, trackedTargets: null });
+  assert.deepEqual(session.events.filter(({ type }) => type === 'call'), [{ frameIndex: 0, type: 'call', method: 'setMaxTrack', args: [1] }]);
+  assert.deepEqual(session.events.filter(({ type }) => type === 'updateMatrix').map(({ frameIndex, targetIndex }) => [frameIndex, targetIndex]), [[0, 0], [1, 0]]);
+  assert.equal(session.initialState.regionIndex, 4);
+
+  // The controller and frame processor are left as they were
+  assert.ok(!Object.hasOwn(controller, 'setMaxTrack'));
+  assert.equal(controller.frameProcessor.onFrame, null);
+  assert.equal(controller.frameProcessor.onFrameDecisions, null);
+});
+
+test('SessionRecorder stops by itself after maxFrames frames', async (t) => {
+  installCanvas(t);
+  const controller = new PipelineController();
+  const recorder = new SessionRecorder(controller, { maxFrames: 1 });
+  recorder.start();
+  for (let i = 0; i < 3; i++) {
+    await controller.frameProcessor.runFrame(createCanvasFrame(64, 48, [0, 0, 0]), i * 33);
+  }
+  assert.equal(recorder.recording, false);
+  assert.equal(recorder.stop().frameCount, 1);
+  assert.throws(() => new SessionRecorder(controller, { scale: 0 }), /scale must be a number in \(0, 1\]/);
+});
+
+test('replaying a session applies its calls and decisions and reproduces its poses', async (t) => {
+  installCanvas(t);
+  const controller = new PipelineController();
+  controller.script.matches.push([{ targetIndex: 0, modelViewTransform: createTransform() }]);
+  const recorder = new SessionRecorder(controller);
+  recorder.start();
+  await controller.frameProcessor.runFrame(createCanvasFrame(64, 48, [0, 0, 0]), 0);
+  controller.setMaxTrack(1);
+  await controller.frameProcessor.runFrame(createCanvasFrame(64, 48, [0, 0, 0]), 33);
+  const session = recorder.stop();
+
+  const replayController = new PipelineController();
+  replayController.script.matches.push([{ targetIndex: 0, modelViewTransform: createTransform() }]);
+  const maxTracks = [];
+  replayController.frameProcessor.onFrame = () => maxTracks.push(replayController.frameProcessor.maxTrack);
+  const poseTrack = await new OfflineProcessor(replayController).processSession(session);
+
+  assert.deepEqual(maxTracks, [2, 1]);
+  assert.equal(replayController.frameProcessor.maxTrack, 2);
+  assert.deepEqual(poseTrack.toJSON(), session.toPoseTrack().toJSON());
+  await assert.rejects(new OfflineProcessor(new PipelineController({ inputWidth: 32 })).processSession(session), /Session input size 64x48 does not match/);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTargetGeometry, toSurfacePoint } from '../src/image-target/target-geometry.js';
+
+const targetImage = { width: 300, height: 200 };
+const metadata = { physicalSize: { width: 15, height: 10, unit: 'cm' } };
+
+const assertClose = (actual, expected) => {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+};
+
+test('planar geometry is the default', () => {
+  assert.deepEqual(createTargetGeometry(null, targetImage, metadata), { type: 'plane' });
+  assert.deepEqual(createTargetGeometry({ type: 'plane' }, targetImage, metadata), { type: 'plane' });
+});
+
+test('cylinders are given by arc or by radius in physical units', () => {
+  const byArc = createTargetGeometry({ type: 'cylinder', arc: 180 }, targetImage, metadata);
+  assert.equal(byArc.arc, 180);
+  assertClose(byArc.radius, 300 / Math.PI);
+
+  // A 15 cm wide label around a 15 / PI cm radius covers half the circumference
+  const byRadius = createTargetGeometry({ type: 'cylinder', radius: 15 / Math.PI }, targetImage, metadata);
+  assertClose(byRadius.arc, 180);
+  assertClose(byRadius.radius, byArc.radius);
+});
+
+test('invalid cylinders are rejected', () => {
+  assert.throws(() => createTargetGeometry({ type: 'sphere' }, targetImage, metadata), /must be one of: plane, cylinder/);
+  assert.throws(() => createTargetGeometry({ type: 'cylinder' }, targetImage, metadata), /exactly one of arc or radius/);
+  assert.throws(() => createTargetGeometry({ type: 'cylinder', arc: 90, radius: 3 }, targetImage, metadata), /exactly one of arc or radius/);
+  assert.throws(() => createTargetGeometry({ type: 'cylinder', arc: 400 }, targetImage, metadata), /\(0, 360\]/);
+  assert.throws(() => createTargetGeometry({ type: 'cylinder', radius: 3 }, targetImage, { physicalSize: null }), /requires physicalSize/);
+  assert.throws(() => createTargetGeometry({ type: 'cylinder', radius: 1 }, targetImage, metadata), /wider than the circumference/);
+});
+
+test('toSurfacePoint wraps the image around the cylinder, touching z = 0 along the centre column', () => {
+  assert.deepEqual(toSurfacePoint({ type: 'plane' }, 300, 10, 20), { x: 10, y: 20, z: 0 });
+
+  const geometry = createTargetGeometry({ type: 'cylinder', arc: 180 }, targetImage, metadata);
+  const centre = toSurfacePoint(geometry, 300, 150, 20);
+  assertClose(centre.x, 150);
+  assertClose(centre.z, 0);
+  const edge = toSurfacePoint(geometry, 300, 300, 20);
+  assertClose(edge.x, 150 + geometry.radius);
+  assertClose(edge.z, geometry.radius);
+  assert.equal(edge.y, 20);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TargetIndex } from '../src/image-target/matching/target-index.js';
+
+const DESCRIPTOR_LENGTH = 21;
+
+// Matching data of one target: a keyframe of random maxima and minima descriptors
+const createTargetData = (seed, pointCount = 120) => {
+  let state = seed;
+  const next = () => {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    return state;
+  };
+  const createPoints = (maxima) => Array.from({ length: pointCount }, () => ({
+    maxima,
+    descriptors: Array.from({ length: DESCRIPTOR_LENGTH }, next),
+  }));
+  return [{ maximaPoints: createPoints(true), minimaPoints: createPoints(false) }];
+};
+
+// Feature points as detected in a frame showing the target
+const queryPoints = (targetData, count = 40) => {
+  const [{ maximaPoints, minimaPoints }] = targetData;
+  return [...maximaPoints.slice(0, count), ...minimaPoints.slice(0, count)];
+};
+
+const library = Array.from({ length: 12 }, (_, i) => createTargetData(i + 1));
+const allIndexes = library.map((_, i) => i);
+
+test('rank puts the target the features come from first', () => {
+  const index = new TargetIndex(library);
+  for (const targetIndex of [0, 5, 11]) {
+    assert.equal(index.rank(queryPoints(library[targetIndex]), allIndexes, 3)[0], targetIndex);
+  }
+  assert.ok(index.rank(queryPoints(library[5]), allIndexes, 3).length <= 3);
+});
+
+test('rank only returns the given candidates', () => {
+  const index = new TargetIndex(library);
+  const ranked = index.rank(queryPoints(library[5]), [1, 2, 3], 10);
+  assert.ok(!ranked.includes(5));
+  assert.ok(ranked.every((targetIndex) => [1, 2, 3].includes(targetIndex)));
+});
+
+test('removed targets leave the index and added targets are ranked with the existing vocabulary', () => {
+  const index = new TargetIndex([...library, null]);
+  index.removeTarget(5);
+  assert.ok(!index.rank(queryPoints(library[5]), allIndexes, 12).includes(5));
+
+  const added = createTargetData(99);
+  index.addTargets([added], 13);
+  assert.equal(index.rank(queryPoints(added), [...allIndexes, 13], 3)[0], 13);
+});
+
+test('libraries with more descriptors than the vocabulary is trained on still rank their last targets', () => {
+  // 300 targets of 120 maxima and 120 minima: more than the 20000 training descriptors per extremum type
+  const largeLibrary = Array.from({ length: 300 }, (_, i) => createTargetData(1000 + i));
+  const index = new TargetIndex(largeLibrary);
+  const indexes = largeLibrary.map((_, i) => i);
+  for (const targetIndex of [0, 150, 299]) {
+    assert.equal(index.rank(queryPoints(largeLibrary[targetIndex]), indexes, 5)[0], targetIndex);
+  }
+});
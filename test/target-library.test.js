@@ -0,0 +1,65 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import * as msgpack from '@msgpack/msgpack';
+import { TestCompiler, compileTestTargets } from './helpers/test-compiler.js';
+import { createTestImage } from './helpers/images.js';
+import { TargetLibrary } from '../src/image-target/target-library.js';
+
+let shopBuffer;
+let museumBuffer;
+
+before(async () => {
+  const shop = await compileTestTargets([createTestImage(96, 96, 20), createTestImage(96, 96, 21)], {
+    targets: [{ name: 'poster' }, { name: 'can' }],
+  });
+  shopBuffer = shop.compiler.exportData();
+  const museum = await compileTestTargets([createTestImage(96, 96, 22)], { targets: [{ name: 'painting' }] });
+  museumBuffer = museum.compiler.exportData();
+});
+
+const names = (library) => library.targets.map((target) => target.metadata.name);
+
+test('fromBuffers merges files in order and toBuffer writes them as one file', () => {
+  const library = TargetLibrary.fromBuffers(new TestCompiler(), shopBuffer, museumBuffer);
+  assert.equal(library.length, 3);
+  assert.deepEqual(names(library), ['poster', 'can', 'painting']);
+
+  const imported = new TestCompiler().importData(library.toBuffer());
+  assert.deepEqual(imported.map((target) => target.metadata.name), ['poster', 'can', 'painting']);
+});
+
+test('subset, remove, reorder and split select targets by index or name', () => {
+  const library = TargetLibrary.fromBuffers(new TestCompiler(), shopBuffer, museumBuffer);
+  assert.deepEqual(names(library.subset(['painting', 0])), ['painting', 'poster']);
+  assert.deepEqual(names(library.remove(['can'])), ['poster', 'painting']);
+  assert.deepEqual(names(library.reorder([2, 'poster', 'can'])), ['painting', 'poster', 'can']);
+  assert.deepEqual(library.split().map(names), [['poster'], ['can'], ['painting']]);
+  assert.deepEqual(library.split([['can'], [0, 2]]).map(names), [['can'], ['poster', 'painting']]);
+  assert.equal(library.indexOf('can'), 1);
+  assert.equal(library.indexOf(5), -1);
+  assert.equal(library.indexOf('missing'), -1);
+});
+
+test('invalid selections and duplicate names are rejected', () => {
+  const compiler = new TestCompiler();
+  const library = TargetLibrary.fromBuffers(compiler, shopBuffer);
+  assert.throws(() => library.reorder([0]), /Reorder expects all 2 targets, got 1/);
+  assert.throws(() => library.subset(['missing']), /missing/);
+  assert.throws(() => library.merge(TargetLibrary.fromBuffers(compiler, shopBuffer)), /Duplicate target name 'poster'/);
+  assert.throws(() => new TargetLibrary({}), /requires a compiler with importData and exportData/);
+});
+
+test('the compiler keeps its own data and import state', () => {
+  const compiler = new TestCompiler();
+  // A version 2 file, so the compiler records migration steps
+  const { dataList } = msgpack.decode(museumBuffer);
+  compiler.importData(msgpack.encode({ v: 2, dataList: dataList.map(({ targetImage, trackingData, matchingData }) => ({ targetImage, trackingData, matchingData })) }));
+  const { data, importedVersion, importMigrationSteps } = compiler;
+  assert.equal(importedVersion, 2);
+
+  const library = TargetLibrary.fromBuffers(compiler, shopBuffer);
+  library.toBuffer({ compact: true });
+  assert.equal(compiler.data, data);
+  assert.equal(compiler.importedVersion, importedVersion);
+  assert.equal(compiler.importMigrationSteps, importMigrationSteps);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileTestTargets } from './helpers/test-compiler.js';
+import { createTestImage } from './helpers/images.js';
+import { MASK_ON, createTargetMask, resizeMask, isInsideMask, fillMaskedPixels } from '../src/image-target/target-mask.js';
+
+const rgbaWithAlpha = (alphas) => {
+  const rgba = new Uint8ClampedArray(alphas.length * 4);
+  alphas.forEach((alpha, i) => {
+    rgba[i * 4 + 3] = alpha;
+  });
+  return rgba;
+};
+
+test('alpha masks keep pixels with alpha of at least 128', () => {
+  const mask = createTargetMask('alpha', rgbaWithAlpha([0, 127, 128, 255]), 2, 2);
+  assert.deepEqual(Array.from(mask.data), [0, 0, MASK_ON, MASK_ON]);
+  assert.equal(createTargetMask(null, rgbaWithAlpha([0]), 1, 1), null);
+});
+
+test('polygon masks fill the inside of the polygons, sampled at pixel centres', () => {
+  const mask = createTargetMask({ polygons: [[[1, 1], [3, 1], [3, 3], [1, 3]]] }, null, 4, 4);
+  assert.deepEqual(Array.from(mask.data).map((v) => (v === MASK_ON ? 1 : 0)), [
+    0, 0, 0, 0,
+    0, 1, 1, 0,
+    0, 1, 1, 0,
+    0, 0, 0, 0,
+  ]);
+  assert.throws(() => createTargetMask({ polygons: [[[0, 0], [1, 1]]] }, null, 4, 4), /at least 3 \[x, y\] points/);
+});
+
+test('bitmap masks of any size are resized to the image', () => {
+  const mask = createTargetMask({ data: [1, 0], width: 2, height: 1 }, null, 4, 2);
+  assert.deepEqual(Array.from(mask.data).map((v) => (v === MASK_ON ? 1 : 0)), [1, 1, 0, 0, 1, 1, 0, 0]);
+  assert.throws(() => createTargetMask({ data: [1, 0, 1], width: 2, height: 1 }, null, 4, 2), /width \* height values/);
+  assert.throws(() => createTargetMask({ data: [0, 0], width: 2, height: 1 }, null, 4, 2), /excludes the whole image/);
+  assert.throws(() => createTargetMask('luma', null, 4, 2), /Mask must be 'alpha'/);
+});
+
+test('resizeMask, isInsideMask and fillMaskedPixels', () => {
+  const mask = { data: Uint8Array.of(MASK_ON, 0, 0, MASK_ON), width: 2, height: 2 };
+  assert.deepEqual(Array.from(resizeMask(mask, 4, 2).data), [MASK_ON, MASK_ON, 0, 0, 0, 0, MASK_ON, MASK_ON]);
+  assert.equal(isInsideMask(mask, 0.2, -0.2), true);
+  assert.equal(isInsideMask(mask, 1, 0), false);
+  assert.equal(isInsideMask(mask, -1, 0), false);
+
+  const grey = Uint8Array.of(10, 99, 99, 30);
+  fillMaskedPixels(grey, mask);
+  assert.deepEqual(Array.from(grey), [10, 20, 20, 30]);
+});
+
+test('compiled features lie inside the mask and the mask is stored at tracking size', async () => {
+  const image = createTestImage(128, 128, 30);
+  const { dataList: [target] } = await compileTestTargets([image], {
+    targets: [{ mask: { polygons: [[[0, 0], [64, 0], [64, 128], [0, 128]]] } }],
+  });
+  for (const keyframe of target.matchingData) {
+    for (const point of [...keyframe.maximaPoints, ...keyframe.minimaPoints]) {
+      assert.ok(point.x < 64 * keyframe.scale + 1, `feature at x ${point.x} of scale ${keyframe.scale} is outside the mask`);
+    }
+  }
+  assert.equal(target.mask.width, target.trackingData[0].width);
+  assert.equal(target.mask.height, target.trackingData[0].height);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createTargetMetadata,
+  createPhysicalSize,
+  validateUniqueNames,
+  findTargetIndex,
+  resolveTargetIndex,
+  resolveTargetSelector,
+  resolveTargetActivation
+} from '../src/image-target/target-metadata.js';
+
+const targetImage = { width: 200, height: 100 };
+
+const targetInfos = [
+  { name: 'poster', tags: ['wall', 'paper'] },
+  null,
+  { name: 'can', tags: ['shelf'] },
+  { name: null, tags: ['wall'] },
+];
+
+test('createTargetMetadata validates names and tags and completes the physical size', () => {
+  assert.deepEqual(createTargetMetadata({}, targetImage), { name: null, physicalSize: null, tags: [], extra: null });
+  assert.deepEqual(createTargetMetadata({ name: 'poster', physicalSize: { width: 40, unit: 'cm' }, tags: ['a'], extra: { id: 7 } }, targetImage), {
+    name: 'poster',
+    physicalSize: { width: 40, height: 20, unit: 'cm' },
+    tags: ['a'],
+    extra: { id: 7 },
+  });
+  assert.throws(() => createTargetMetadata({ name: '' }, targetImage), /non-empty string/);
+  assert.throws(() => createTargetMetadata({ tags: [1] }, targetImage), /array of strings/);
+});
+
+test('createPhysicalSize rejects invalid widths and units', () => {
+  assert.throws(() => createPhysicalSize({ width: 0, unit: 'cm' }, targetImage), /positive number/);
+  assert.throws(() => createPhysicalSize({ width: 10, unit: 'in' }, targetImage), /must be one of: mm, cm, m/);
+});
+
+test('validateUniqueNames allows unnamed targets and rejects duplicates', () => {
+  validateUniqueNames([{ name: null }, { name: null }, { name: 'a' }]);
+  assert.throws(() => validateUniqueNames([{ name: 'a' }, { name: 'b' }, { name: 'a' }]), /Duplicate target name 'a'/);
+});
+
+test('findTargetIndex and resolveTargetIndex look targets up by name or index, skipping removed targets', () => {
+  assert.equal(findTargetIndex(targetInfos, 'can'), 2);
+  assert.equal(findTargetIndex(targetInfos, 'missing'), -1);
+  assert.equal(resolveTargetIndex(targetInfos, 'can'), 2);
+  assert.equal(resolveTargetIndex(targetInfos, 0), 0);
+  assert.throws(() => resolveTargetIndex(targetInfos, 'missing'), /No target named 'missing'/);
+  assert.throws(() => resolveTargetIndex(targetInfos, 1), /No target at index 1/);
+  assert.throws(() => resolveTargetIndex(targetInfos, 9), /No target at index 9/);
+});
+
+test('resolveTargetSelector combines indexes, names and tags without duplicates', () => {
+  assert.deepEqual(resolveTargetSelector(targetInfos, { tag: 'wall' }), [0, 3]);
+  assert.deepEqual(resolveTargetSelector(targetInfos, ['can', { tag: 'wall' }, 0]), [2, 0, 3]);
+  assert.deepEqual(resolveTargetSelector(targetInfos, { tag: 'unused' }), []);
+  assert.throws(() => resolveTargetSelector(targetInfos, { name: 'can' }), /target index, a target name or \{tag\}/);
+});
+
+test('resolveTargetActivation sets the selected targets, or every loaded target for setActiveTargets', () => {
+  assert.deepEqual(resolveTargetActivation(targetInfos, 'enableTargets', 'can'), {
+    targetIndexes: [2],
+    enabledStates: [[2, true]],
+  });
+  assert.deepEqual(resolveTargetActivation(targetInfos, 'disableTargets', { tag: 'wall' }), {
+    targetIndexes: [0, 3],
+    enabledStates: [[0, false], [3, false]],
+  });
+  assert.deepEqual(resolveTargetActivation(targetInfos, 'setActiveTargets', ['poster']), {
+    targetIndexes: [0],
+    enabledStates: [[0, true], [2, false], [3, false]],
+  });
+});
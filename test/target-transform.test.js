@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveTargetOrigin, createTargetTransform } from '../src/image-target/target-transform.js';
+
+const targetInfo = {
+  name: 'poster',
+  width: 400,
+  height: 200,
+  physicalSize: { width: 20, height: 10, unit: 'cm' },
+  geometry: { type: 'plane' },
+};
+
+test('without a world unit one unit is the target width and the anchor is at the centre', () => {
+  assert.deepEqual(createTargetTransform(targetInfo), { position: { x: 200, y: 100, z: -0 }, scale: 400 });
+});
+
+test('world units scale the anchor to the printed size', () => {
+  assert.equal(createTargetTransform(targetInfo, { worldUnit: 'cm' }).scale, 20);
+  assert.equal(createTargetTransform(targetInfo, { worldUnit: 'mm' }).scale, 2);
+  assert.equal(createTargetTransform(targetInfo, { worldUnit: 'm' }).scale, 2000);
+  assert.throws(() => createTargetTransform({ ...targetInfo, physicalSize: null }, { worldUnit: 'cm' }), /Target poster has no physical size for world unit 'cm'/);
+  assert.throws(() => createTargetTransform(targetInfo, { worldUnit: 'in' }), /World unit must be null or one of/);
+});
+
+test('origins move the anchor, in a y-up space with the origin at the bottom-left corner', () => {
+  assert.deepEqual(createTargetTransform(targetInfo, { origin: 'top-left' }).position, { x: 0, y: 200, z: -0 });
+  assert.deepEqual(createTargetTransform(targetInfo, { origin: 'bottom-right' }).position, { x: 400, y: 0, z: -0 });
+  assert.deepEqual(createTargetTransform(targetInfo, { origin: { x: 0.25, y: 0.5 } }).position, { x: 100, y: 100, z: -0 });
+  assert.deepEqual(resolveTargetOrigin('top-right'), { x: 1, y: 0 });
+  assert.throws(() => resolveTargetOrigin('middle'), /must be one of: center, top-left/);
+  assert.throws(() => resolveTargetOrigin({ x: 0.5 }), /pivot must be \{x, y\}/);
+});
+
+test('origins on cylinders lie on the curved surface', () => {
+  const cylinder = { ...targetInfo, geometry: { type: 'cylinder', arc: 180, radius: 400 / Math.PI } };
+  const { position } = createTargetTransform(cylinder, { origin: 'top-left' });
+  assert.ok(Math.abs(position.x - (200 - 400 / Math.PI)) < 1e-9);
+  assert.ok(Math.abs(position.z + 400 / Math.PI) < 1e-9);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TrackingStateManager } from '../src/image-target/core/tracking-state-manager.js';
+
+const trackTarget = (state) => {
+  Object.assign(state, { showing: true, isTracking: true, currentModelViewTransform: [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, -5]], trackCount: 3 });
+};
+
+test('addTargets appends states and keeps the tracking state of existing targets', () => {
+  const manager = new TrackingStateManager([[100, 100]]);
+  trackTarget(manager.getState(0));
+
+  manager.addTargets([[50, 80], [60, 60]]);
+
+  assert.deepEqual(manager.markerDimensions, [[100, 100], [50, 80], [60, 60]]);
+  assert.equal(manager.getAllStates().length, 3);
+  assert.equal(manager.getState(0).isTracking, true);
+  assert.equal(manager.getState(2).isTracking, false);
+  assert.equal(manager.getTrackingCount(), 1);
+});
+
+test('removed targets keep their index, lose their state and stay disabled', () => {
+  const manager = new TrackingStateManager([[100, 100], [50, 50]]);
+  trackTarget(manager.getState(0));
+
+  manager.removeTarget(0);
+  manager.setEnabled(0, true);
+  manager.reset();
+
+  assert.equal(manager.getAllStates().length, 2);
+  assert.equal(manager.getState(0).disabled, true);
+  assert.equal(manager.getState(0).isTracking, false);
+  assert.equal(manager.isEnabled(0), false);
+  assert.equal(manager.isEnabled(1), true);
+});
+
+test('disabling a target resets its state until it is enabled again', () => {
+  const manager = new TrackingStateManager([[100, 100], [50, 50]]);
+  trackTarget(manager.getState(0));
+
+  manager.setEnabled(0, false);
+  assert.equal(manager.isEnabled(0), false);
+  assert.equal(manager.getState(0).disabled, true);
+  assert.equal(manager.getState(0).isTracking, false);
+
+  manager.reset();
+  assert.equal(manager.getState(0).disabled, true);
+
+  manager.setEnabled(0, true);
+  assert.equal(manager.isEnabled(0), true);
+  assert.equal(manager.getState(0).disabled, false);
+
+  manager.setEnabled(1, false);
+  manager.updateDimensions([[10, 10], [20, 20]]);
+  assert.equal(manager.isEnabled(1), true);
+});
+
+test('restore applies a snapshot to enabled targets only', () => {
+  const manager = new TrackingStateManager([[100, 100], [50, 50]]);
+  trackTarget(manager.getState(0));
+  trackTarget(manager.getState(1));
+  const snapshot = manager.snapshot();
+  snapshot[0].currentModelViewTransform[0][0] = 9;
+  assert.equal(manager.getState(0).currentModelViewTransform[0][0], 1);
+
+  manager.reset();
+  manager.setEnabled(1, false);
+  manager.restore(snapshot);
+
+  assert.equal(manager.getState(0).isTracking, true);
+  assert.equal(manager.getState(0).currentModelViewTransform[0][0], 9);
+  assert.equal(manager.getState(1).isTracking, false);
+  assert.equal(manager.getState(1).disabled, true);
+});